@@ -46,7 +46,7 @@ gcloud run deploy "${SERVICE_CANARY}" \
   --allow-unauthenticated \
   --concurrency 20 \
   --max-instances 2 \
-  --set-env-vars ENV=prod,APP_BUILD="${IMAGE_TAG}",BRIDGE_BASE_URL=https://wa.woosh.ai,BRIDGE_TEMPLATE_NAME=growthpoint_testv1,BRIDGE_TEMPLATE_LANG=en \
+  --set-env-vars ENV=prod,APP_BUILD="${IMAGE_TAG}",BRIDGE_BASE_URL=https://wa.woosh.ai,BRIDGE_TEMPLATE_NAME=growthpoint_testv1,BRIDGE_TEMPLATE_LANG=en_US \
   --set-secrets BRIDGE_API_KEY=BRIDGE_API_KEY:latest
 
 BASE_CANARY="$(gcloud run services describe "${SERVICE_CANARY}" --region "${REGION}" --format='value(status.url)')"
@@ -99,7 +99,7 @@ gcloud run deploy "${SERVICE_MAIN}" \
   --allow-unauthenticated \
   --concurrency 20 \
   --max-instances 5 \
-  --set-env-vars ENV=prod,APP_BUILD="${IMAGE_TAG}",BRIDGE_BASE_URL=https://wa.woosh.ai,BRIDGE_TEMPLATE_NAME=growthpoint_testv1,BRIDGE_TEMPLATE_LANG=en \
+  --set-env-vars ENV=prod,APP_BUILD="${IMAGE_TAG}",BRIDGE_BASE_URL=https://wa.woosh.ai,BRIDGE_TEMPLATE_NAME=growthpoint_testv1,BRIDGE_TEMPLATE_LANG=en_US \
   --set-secrets BRIDGE_API_KEY=BRIDGE_API_KEY:latest
 
 echo "==> Flip 100% traffic to latest (retry)"
@@ -1,52 +1,51 @@
 const { PubSub } = require('@google-cloud/pubsub');
-const { Firestore } = require('@google-cloud/firestore');
+const { detectShape } = require('./src/lib/portalShapes');
+const { resolveOnCallForMsisdn } = require('./src/lib/oncall');
+const { checkOutbound, recordBlockedSend } = require('./src/lib/consent');
+const { getDirectory } = require('./src/lib/directory');
+const { languageChain, localise, contactLanguages } = require('./src/lib/i18n');
+const { query } = require('./src/db');
 
 const pubsub = new PubSub();
-const firestore = new Firestore();
+const directory = getDirectory();
 
 const SMS_INBOUND_TOPIC = 'sms-inbound';
 const WA_OUTBOUND_TOPIC = 'wa-outbound';
 const SMS_ROUTER_SUB = 'sms-router-sub';
 
-// Message schema for SMS inbound
-const normalizeSMSMessage = (rawMessage) => {
+// Message schema for SMS inbound (field mappings come from portal_shapes, shared with /sms/plain)
+const normalizeSMSMessage = async (rawMessage) => {
   const message = typeof rawMessage === 'string' ? JSON.parse(rawMessage) : rawMessage;
+  const match = await detectShape(message);
   
   return {
-    id: message.id || `sms_${Date.now()}`,
-    from: String(message.from || message.phoneNumber || '').replace(/\D/g, ''),
-    message: message.message || message.text || message.incomingData || '',
-    shortcode: message.shortcode || message.sc || message.to || '',
-    received_at: message.received_at || new Date().toISOString(),
+    id: match?.provider_id || `sms_${Date.now()}`,
+    from: match?.msisdn || '',
+    message: match?.text || '',
+    shortcode: match?.meta.shortcode || '',
+    received_at: match?.ts || new Date().toISOString(),
     raw: message.raw || message
   };
 };
 
-// Look up contacts in Firestore
+// Look up contacts in the contact directory (DIRECTORY_BACKEND)
 const lookupContacts = async (fromNumber) => {
   try {
-    console.log(`[router] Looking up contacts for: ${fromNumber}`);
+    console.log(`[router] Looking up contacts for: ${fromNumber} (${directory.name})`);
     
-    // Query Firestore for contacts matching this number
-    const contactsRef = firestore.collection('contacts');
-    const snapshot = await contactsRef.where('msisdn', '==', fromNumber).get();
-    
-    if (snapshot.empty) {
+    const entry = await directory.lookup(fromNumber);
+    if (!entry || entry.recipients.length === 0) {
       console.log(`[router] No contacts found for ${fromNumber}`);
       return [];
     }
     
-    const contacts = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      contacts.push({
-        id: doc.id,
-        msisdn: data.msisdn,
-        whatsapp: data.whatsapp,
-        lift_id: data.lift_id,
-        lift_name: data.lift_name
-      });
-    });
+    const contacts = entry.recipients.map(r => ({
+      id: r.contact_id,
+      msisdn: entry.msisdn,
+      whatsapp: r.msisdn,
+      lift_id: entry.lift_id,
+      lift_name: entry.name || entry.building
+    }));
     
     console.log(`[router] Found ${contacts.length} contacts for ${fromNumber}`);
     return contacts;
@@ -56,33 +55,99 @@ const lookupContacts = async (fromNumber) => {
   }
 };
 
+// Look up on-call contacts in Postgres, shaped like Firestore contacts
+const lookupOnCallContacts = async (fromNumber) => {
+  try {
+    const { lift, contacts } = await resolveOnCallForMsisdn(fromNumber);
+    return contacts
+      .filter(c => c.primary_msisdn)
+      .map(c => ({
+        id: c.contact_id,
+        msisdn: lift.msisdn,
+        whatsapp: c.primary_msisdn,
+        lift_id: lift.id,
+        lift_name: lift.site_name || lift.building,
+        oncall_rotation: c.rotation_name
+      }));
+  } catch (error) {
+    console.error('[router] Error looking up on-call contacts:', error.message);
+    return [];
+  }
+};
+
+// Preferred languages of the contacts (default-language alerts if Postgres is unavailable)
+const lookupLanguages = async (contacts) => {
+  try {
+    return await contactLanguages({ query }, contacts.map(c => c.whatsapp));
+  } catch (error) {
+    console.error('[router] Language lookup error:', error.message);
+    return new Map();
+  }
+};
+
+// Consent check for one recipient; alarms ignore quiet hours, and a DB outage must not stop an alarm
+const isRecipientAllowed = async (waMessage) => {
+  try {
+    const decision = await checkOutbound({ to: waMessage.to, channel: 'wa', priority: 'alarm' });
+    if (decision.allowed) return true;
+    await recordBlockedSend({
+      channel: 'wa',
+      to: waMessage.to,
+      body: waMessage.text,
+      reason: decision.reason,
+      source: 'router-job',
+      meta: { sms_id: waMessage.sms.id, lift_id: waMessage.contact.lift_id || null }
+    });
+    return false;
+  } catch (error) {
+    console.error('[router] Consent check error (sending anyway):', error.message);
+    return true;
+  }
+};
+
 // Process SMS message and route to WhatsApp
 const processSMSMessage = async (message) => {
   try {
     console.log('[router] Processing SMS message:', message.id);
     
-    const smsData = normalizeSMSMessage(message.data.toString());
+    const smsData = await normalizeSMSMessage(message.data.toString());
     console.log('[router] Normalized SMS:', smsData);
     
-    // Look up contacts for this number
-    const contacts = await lookupContacts(smsData.from);
+    // Look up contacts for this number, plus whoever is on call right now
+    const fixed = await lookupContacts(smsData.from);
+    const onCall = await lookupOnCallContacts(smsData.from);
+    const contacts = [...fixed, ...onCall.filter(c => !fixed.some(f => f.whatsapp === c.whatsapp))];
     
     if (contacts.length === 0) {
       console.log(`[router] No contacts found for ${smsData.from}, skipping`);
       return;
     }
     
-    // Create WhatsApp messages for each contact
+    const languages = await lookupLanguages(contacts);
+    
+    // Create WhatsApp messages for each contact, in their language
     for (const contact of contacts) {
+      const { lang, text } = localise('router_job_alert', languageChain(languages.get(String(contact.whatsapp).replace(/\D+/g, ''))), {
+        lift: contact.lift_name || 'Lift',
+        from: smsData.from,
+        message: smsData.message,
+        time: smsData.received_at
+      });
       const waMessage = {
         id: `wa_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         to: contact.whatsapp,
-        text: `🚨 Lift Alert from ${contact.lift_name || 'Lift'}\n\nFrom: ${smsData.from}\nMessage: ${smsData.message}\nTime: ${smsData.received_at}`,
+        text,
+        lang,
         contact: contact,
         sms: smsData,
         created_at: new Date().toISOString()
       };
       
+      if (!(await isRecipientAllowed(waMessage))) {
+        console.log(`[router] Skipping ${contact.whatsapp}: blocked by consent`);
+        continue;
+      }
+      
       // Publish to wa-outbound topic
       const topic = pubsub.topic(WA_OUTBOUND_TOPIC);
       const messageId = await topic.publishMessage({
@@ -1,52 +1,101 @@
 const { PubSub } = require('@google-cloud/pubsub');
-const { Firestore } = require('@google-cloud/firestore');
+const { detectShape } = require('./src/lib/portalShapes');
+const { resolveOnCallForMsisdn } = require('./src/lib/oncall');
+const { checkOutbound, recordBlockedSend } = require('./src/lib/consent');
+const { getDirectory } = require('./src/lib/directory');
+const { languageChain, localise, contactLanguages } = require('./src/lib/i18n');
+const { query } = require('./src/db');
 
 const pubsub = new PubSub();
-const firestore = new Firestore();
+const directory = getDirectory();
 
 const SMS_INBOUND_TOPIC = 'sms-inbound';
 const WA_OUTBOUND_TOPIC = 'wa-outbound';
 const SMS_ROUTER_SUB = 'sms-router-sub';
 
-// Message schema for SMS inbound
-const normalizeSMSMessage = (rawMessage) => {
+// Message schema for SMS inbound (field mappings come from portal_shapes, shared with /sms/plain)
+const normalizeSMSMessage = async (rawMessage) => {
   const message = typeof rawMessage === 'string' ? JSON.parse(rawMessage) : rawMessage;
+  const match = await detectShape(message);
   
   return {
-    id: message.id || `sms_${Date.now()}`,
-    from: String(message.from || message.phoneNumber || '').replace(/\D/g, ''),
-    message: message.message || message.text || message.incomingData || '',
-    shortcode: message.shortcode || message.sc || message.to || '',
-    received_at: message.received_at || new Date().toISOString(),
+    id: match?.provider_id || `sms_${Date.now()}`,
+    from: match?.msisdn || '',
+    message: match?.text || '',
+    shortcode: match?.meta.shortcode || '',
+    received_at: match?.ts || new Date().toISOString(),
     raw: message
   };
 };
 
-// Lookup contact in Firestore
+// Lookup lift and recipients in the contact directory (DIRECTORY_BACKEND)
 const lookupContact = async (msisdn) => {
   try {
-    const doc = await firestore.collection('contacts').doc(msisdn).get();
-    if (doc.exists) {
-      const data = doc.data();
-      return {
-        building: data.building,
-        building_code: data.building_code,
-        lift_id: data.lift_id,
-        recipients: data.wa_destinations || []
-      };
-    }
-    return null;
+    const entry = await directory.lookup(msisdn);
+    if (!entry) return null;
+    return {
+      building: entry.building || entry.name || '',
+      building_code: entry.building_code || '',
+      lift_id: entry.lift_id || entry.msisdn,
+      recipients: entry.recipients.map(r => r.msisdn)
+    };
   } catch (error) {
-    console.error('[router] Firestore lookup error:', error);
+    console.error(`[router] Directory (${directory.name}) lookup error:`, error);
     return null;
   }
 };
 
-// Create WhatsApp message
-const createWAMessage = (smsMessage, contact) => {
-  const text = `[Lift Alert] ${contact.building} • ${contact.lift_id}
-Message: ${smsMessage.message || 'N/A'}
-Reply: ✅ Taking / 🆘 Need help`;
+// Lookup on-call contacts in Postgres (alarms still go to the fixed recipients if this fails)
+const lookupOnCall = async (msisdn) => {
+  try {
+    const { lift, contacts } = await resolveOnCallForMsisdn(msisdn);
+    return {
+      lift,
+      recipients: contacts.map(c => c.primary_msisdn).filter(Boolean)
+    };
+  } catch (error) {
+    console.error('[router] On-call lookup error:', error.message);
+    return { lift: null, recipients: [] };
+  }
+};
+
+// Consent check for one recipient; alarms ignore quiet hours, and a DB outage must not stop an alarm
+const isRecipientAllowed = async (recipient, waMessage) => {
+  try {
+    const decision = await checkOutbound({ to: recipient, channel: 'wa', priority: 'alarm' });
+    if (decision.allowed) return true;
+    await recordBlockedSend({
+      channel: 'wa',
+      to: recipient,
+      body: waMessage.text,
+      reason: decision.reason,
+      source: 'router',
+      meta: { sms_id: waMessage.sms_id, lift_id: waMessage.lift_id }
+    });
+    return false;
+  } catch (error) {
+    console.error('[router] Consent check error (sending anyway):', error.message);
+    return true;
+  }
+};
+
+// Preferred languages of the recipients (default-language alerts if Postgres is unavailable)
+const lookupLanguages = async (recipients) => {
+  try {
+    return await contactLanguages({ query }, recipients);
+  } catch (error) {
+    console.error('[router] Language lookup error:', error.message);
+    return new Map();
+  }
+};
+
+// Create WhatsApp message in the recipient's language
+const createWAMessage = (smsMessage, contact, language) => {
+  const { lang, text } = localise('router_alert', languageChain(language), {
+    building: contact.building,
+    lift: contact.lift_id,
+    message: smsMessage.message || 'N/A'
+  });
 
   return {
     sms_id: smsMessage.id,
@@ -54,6 +103,7 @@ Reply: ✅ Taking / 🆘 Need help`;
     building: contact.building,
     lift_id: contact.lift_id,
     text,
+    lang,
     timestamp: new Date().toISOString()
   };
 };
@@ -61,28 +111,44 @@ Reply: ✅ Taking / 🆘 Need help`;
 // Process SMS message
 const processSMSMessage = async (message) => {
   try {
-    const normalizedMessage = normalizeSMSMessage(message.data.toString());
+    const normalizedMessage = await normalizeSMSMessage(message.data.toString());
     console.log('[router] Processing SMS:', normalizedMessage.id, 'from:', normalizedMessage.from);
 
-    // Lookup contact
-    const contact = await lookupContact(normalizedMessage.from);
+    // Lookup contact, then add whoever is on call right now
+    let contact = await lookupContact(normalizedMessage.from);
+    const onCall = await lookupOnCall(normalizedMessage.from);
+    if (!contact && onCall.lift) {
+      contact = {
+        building: onCall.lift.building || onCall.lift.site_name || '',
+        building_code: '',
+        lift_id: onCall.lift.msisdn,
+        recipients: []
+      };
+    }
     if (!contact) {
       console.warn('[router] No contact found for MSISDN:', normalizedMessage.from);
       return;
     }
+    contact.recipients = [...new Set([...contact.recipients, ...onCall.recipients])];
 
     if (contact.recipients.length === 0) {
       console.warn('[router] No WhatsApp recipients for contact:', normalizedMessage.from);
       return;
     }
 
-    // Create WA message
-    const waMessage = createWAMessage(normalizedMessage, contact);
+    const languages = await lookupLanguages(contact.recipients);
 
     // Fan out to each recipient
     const waOutboundTopic = pubsub.topic(WA_OUTBOUND_TOPIC);
     
+    let queued = 0;
     for (const recipient of contact.recipients) {
+      const waMessage = createWAMessage(normalizedMessage, contact, languages.get(String(recipient).replace(/\D+/g, '')));
+      if (!(await isRecipientAllowed(recipient, waMessage))) {
+        console.warn('[router] Recipient blocked by consent:', recipient);
+        continue;
+      }
+
       const waPayload = {
         ...waMessage,
         to: recipient,
@@ -100,9 +166,10 @@ const processSMSMessage = async (message) => {
       });
 
       console.log('[router] Queued WA message for:', recipient);
+      queued++;
     }
 
-    console.log('[router] Successfully processed SMS:', normalizedMessage.id, 'recipients:', contact.recipients.length);
+    console.log('[router] Successfully processed SMS:', normalizedMessage.id, 'recipients:', queued, 'of', contact.recipients.length);
 
   } catch (error) {
     console.error('[router] Error processing SMS message:', error);
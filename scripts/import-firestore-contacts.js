@@ -0,0 +1,41 @@
+'use strict';
+// Import the Firestore `contacts` collection into lifts / contacts / lift_contacts.
+// Dry run by default; pass --apply to write. Safe to re-run: only changes are written and logged to events.
+//   node scripts/import-firestore-contacts.js [--apply] [--actor=<name>] [--verbose]
+const { importFromFirestore } = require('../src/lib/directoryImport');
+const { close } = require('../src/db');
+
+const args = process.argv.slice(2);
+const apply = args.includes('--apply');
+const verbose = args.includes('--verbose');
+const actorArg = args.find(a => a.startsWith('--actor='));
+const actor = actorArg ? actorArg.slice('--actor='.length) : `cli:${process.env.USER || 'unknown'}`;
+
+(async () => {
+  try {
+    const result = await importFromFirestore({ dryRun: !apply, actor });
+    console.log('[firestore-import] %s: %d lifts, %d recipients in Firestore',
+      result.dry_run ? 'dry run' : 'applied', result.source_lifts, result.source_recipients);
+
+    if (result.changes.length === 0) {
+      console.log('[firestore-import] Postgres is up to date');
+    }
+    for (const [kind, count] of Object.entries(result.summary)) {
+      console.log('[firestore-import]   %s: %d', kind, count);
+    }
+    if (verbose || result.dry_run) {
+      for (const change of result.changes) {
+        console.log('[firestore-import] %s %s %j -> %j', change.action, change.entity, change.before || change.key, change.after);
+      }
+    }
+    if (result.dry_run && result.changes.length > 0) {
+      console.log('[firestore-import] re-run with --apply to write these changes');
+    }
+  } catch (err) {
+    process.exitCode = 1;
+    console.error('[firestore-import] ERROR:', err && err.stack || err);
+  } finally {
+    try { await close(); } catch {}
+    setImmediate(() => process.exit(process.exitCode ?? 0));
+  }
+})();
@@ -5,6 +5,8 @@ set -e
 # Tests /sms/plain with multiple portal shapes and Swathe 2 send routes
 
 BASE="${BASE:-http://localhost:3000}"
+# API key for the /send routes (unless the server runs with SEND_AUTH=none)
+SEND_API_KEY="${SEND_API_KEY:-}"
 PASS=0
 FAIL=0
 
@@ -15,6 +17,7 @@ hit() {
   local body="${3:-}"
   curl -sS -X "$method" "$BASE$url" \
     -H 'Content-Type: application/json' \
+    ${SEND_API_KEY:+-H "X-Api-Key: $SEND_API_KEY"} \
     --data-raw "$body"
 }
 
@@ -0,0 +1,53 @@
+-- Portal payload shapes declared as data
+-- Each shape maps JSON paths to the normalized fields; shapes are tried in ascending priority
+
+CREATE TABLE IF NOT EXISTS portal_shapes (
+  id uuid primary key default uuid_generate_v4(),
+  name text not null unique,
+  priority integer not null default 100,
+  enabled boolean not null default true,
+  mappings jsonb not null,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_portal_shapes_priority ON portal_shapes(priority) WHERE enabled;
+
+-- Seed the shapes previously hard-coded in src/routes/sms.js, src/server.js and router.js
+-- (keep in sync with BUILTIN_SHAPES in src/lib/portalShapes.js)
+INSERT INTO portal_shapes (name, priority, mappings, notes) VALUES
+  ('PORTAL_A', 10, '{
+     "msisdn": ["$.msisdn"],
+     "text": ["$.text"],
+     "provider_id": ["$.provider_id", "$.id"],
+     "ts": ["$.ts", "$.timestamp"],
+     "meta": {}
+   }'::jsonb, '{ "msisdn": "...", "text": "..." }'),
+  ('PORTAL_B', 20, '{
+     "msisdn": ["$.phoneNumber"],
+     "text": ["$.incomingData"],
+     "provider_id": ["$.provider_id", "$.id"],
+     "ts": ["$.incomingDateTime", "$.incomingUtc"],
+     "meta": { "provider": "$.provider" }
+   }'::jsonb, '{ "phoneNumber": "...", "incomingData": "..." }'),
+  ('PORTAL_C', 30, '{
+     "msisdn": ["$.from"],
+     "text": ["$.text", "$.body"],
+     "provider_id": ["$.provider_id", "$.id"],
+     "ts": ["$.ts", "$.timestamp"],
+     "meta": { "shortcode": ["$.shortcode", "$.sc"] }
+   }'::jsonb, '{ "from": "...", "text"|"body": "..." }'),
+  ('LEGACY_ANY', 1000, '{
+     "msisdn": ["$.phone", "$.phoneNumber", "$.msisdn", "$.to", "$.from"],
+     "text": ["$.text", "$.incomingData", "$.IncomingData", "$.message", "$.body"],
+     "provider_id": ["$.id", "$.Id", "$.messageId", "$.reqId"],
+     "ts": ["$.incomingUtc", "$.IncomingUtc", "$.incomingDateTime", "$.IncomingDateTime", "$.received_at"],
+     "meta": {
+       "mcc": ["$.mcc", "$.Mcc"],
+       "mnc": ["$.mnc", "$.Mnc"],
+       "shortcode": ["$.sc", "$.Sc", "$.shortcode"],
+       "keyword": ["$.keyword", "$.Keyword"]
+     }
+   }'::jsonb, 'Catch-all for the field aliases accepted by /sms/inbound and /sms/direct')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,22 @@
+-- Bounded capture store for raw inbound webhook requests
+-- Rows beyond CAPTURE_MAX_ROWS are pruned by the application (oldest first)
+
+CREATE TABLE IF NOT EXISTS inbound_captures (
+  id uuid primary key default uuid_generate_v4(),
+  route text not null,
+  method text not null,
+  headers jsonb not null default '{}'::jsonb,
+  body_raw text,
+  body_truncated boolean not null default false,
+  msisdn text,
+  detected_shape text,
+  status_code integer,
+  outcome text not null check (outcome in ('accepted', 'duplicate', 'rejected', 'error')),
+  message_id uuid null references messages(id) on delete set null,
+  detail text,
+  ts timestamptz not null default now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_captures_ts ON inbound_captures(ts desc, id desc);
+CREATE INDEX IF NOT EXISTS idx_inbound_captures_msisdn_ts ON inbound_captures(msisdn, ts desc);
+CREATE INDEX IF NOT EXISTS idx_inbound_captures_route_ts ON inbound_captures(route, ts desc);
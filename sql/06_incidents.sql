@@ -0,0 +1,31 @@
+-- Incident lifecycle for lift alarms
+-- open -> acknowledged -> on_site -> resolved, one active incident per lift
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'incident_state_t') THEN
+    CREATE TYPE incident_state_t AS ENUM ('open', 'acknowledged', 'on_site', 'resolved');
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS incidents (
+  id uuid primary key default uuid_generate_v4(),
+  lift_id uuid not null references lifts(id) on delete cascade,
+  state incident_state_t not null default 'open',
+  opened_at timestamptz not null default now(),
+  acknowledged_at timestamptz,
+  on_site_at timestamptz,
+  resolved_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- At most one unresolved incident per lift; new alarms attach to it
+CREATE UNIQUE INDEX IF NOT EXISTS uq_incidents_active_lift ON incidents(lift_id) WHERE state <> 'resolved';
+CREATE INDEX IF NOT EXISTS idx_incidents_state_opened ON incidents(state, opened_at desc);
+CREATE INDEX IF NOT EXISTS idx_incidents_lift_opened ON incidents(lift_id, opened_at desc);
+
+-- Link inbound alarms and outbound notifications to their incident
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS incident_id uuid references incidents(id) on delete set null;
+
+CREATE INDEX IF NOT EXISTS idx_messages_incident ON messages(incident_id) WHERE incident_id IS NOT NULL;
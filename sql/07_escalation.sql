@@ -0,0 +1,33 @@
+-- Time-based escalation for unacknowledged incidents
+-- Policies list tiers by lift_contacts.relation; a NULL lift_id row is the global default
+
+CREATE TABLE IF NOT EXISTS escalation_policies (
+  id uuid primary key default uuid_generate_v4(),
+  lift_id uuid unique references lifts(id) on delete cascade,
+  enabled boolean not null default true,
+  tiers jsonb not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Only one global default
+CREATE UNIQUE INDEX IF NOT EXISTS uq_escalation_policies_default ON escalation_policies((lift_id IS NULL)) WHERE lift_id IS NULL;
+
+-- Escalation state lives on the incident so the worker survives restarts
+ALTER TABLE incidents
+  ADD COLUMN IF NOT EXISTS escalation_tier integer not null default 0,
+  ADD COLUMN IF NOT EXISTS next_escalation_at timestamptz;
+
+-- Existing incidents keep NULL (never escalated); new ones are due immediately
+ALTER TABLE incidents ALTER COLUMN next_escalation_at SET DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS idx_incidents_next_escalation ON incidents(next_escalation_at) WHERE state = 'open' AND next_escalation_at IS NOT NULL;
+
+INSERT INTO escalation_policies (lift_id, tiers)
+SELECT NULL, '[
+  {"name": "tier1", "relations": ["tenant", "security"], "after_minutes": 0},
+  {"name": "tier2", "relations": ["technician", "tier2"], "after_minutes": 5},
+  {"name": "building_management", "relations": ["building_management", "building_manager"], "after_minutes": 15},
+  {"name": "ops", "ops_fallback": true, "after_minutes": 30}
+]'::jsonb
+WHERE NOT EXISTS (SELECT 1 FROM escalation_policies WHERE lift_id IS NULL);
@@ -0,0 +1,57 @@
+-- On-call rotations
+-- A rotation covers one lift or every lift in a building; weekly shifts say who is on call,
+-- overrides (holidays, sick leave, swaps) take precedence for a fixed window
+
+CREATE TABLE IF NOT EXISTS oncall_rotations (
+  id uuid primary key default uuid_generate_v4(),
+  name text not null unique,
+  lift_id uuid references lifts(id) on delete cascade,
+  building text,
+  timezone text not null default 'Africa/Johannesburg',
+  cycle_weeks integer not null default 1 check (cycle_weeks between 1 and 52),
+  anchor_date date not null default current_date,
+  enabled boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check ((lift_id IS NULL) <> (building IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_oncall_rotations_lift ON oncall_rotations(lift_id) WHERE lift_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_oncall_rotations_building ON oncall_rotations(building) WHERE building IS NOT NULL;
+
+-- Weekly shifts in the rotation's time zone; end_time <= start_time runs past midnight
+CREATE TABLE IF NOT EXISTS oncall_shifts (
+  id uuid primary key default uuid_generate_v4(),
+  rotation_id uuid not null references oncall_rotations(id) on delete cascade,
+  contact_id uuid not null references contacts(id) on delete cascade,
+  days smallint[] not null,
+  start_time time not null,
+  end_time time not null,
+  week_index integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_oncall_shifts_rotation ON oncall_shifts(rotation_id);
+
+-- contact_id covers (or is added); replaces_contact_id is taken off call for the window
+CREATE TABLE IF NOT EXISTS oncall_overrides (
+  id uuid primary key default uuid_generate_v4(),
+  rotation_id uuid not null references oncall_rotations(id) on delete cascade,
+  contact_id uuid references contacts(id) on delete cascade,
+  replaces_contact_id uuid references contacts(id) on delete cascade,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  reason text,
+  created_at timestamptz not null default now(),
+  check (ends_at > starts_at),
+  check (contact_id IS NOT NULL OR replaces_contact_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_oncall_overrides_window ON oncall_overrides(rotation_id, starts_at, ends_at);
+
+-- First escalation tier of the seeded default policy also pages whoever is on call
+UPDATE escalation_policies
+SET tiers = jsonb_set(tiers, '{0,oncall}', 'true'::jsonb), updated_at = now()
+WHERE lift_id IS NULL
+  AND tiers->0->>'name' = 'tier1'
+  AND NOT (tiers->0 ? 'oncall');
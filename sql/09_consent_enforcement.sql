@@ -0,0 +1,13 @@
+-- Consent and quiet-hours enforcement for outbound messages
+-- Blocked sends keep a row with status 'blocked' and the reason
+
+ALTER TYPE message_status_t ADD VALUE IF NOT EXISTS 'blocked';
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS block_reason text;
+
+-- Quiet hours in the contact's local time; end <= start runs past midnight
+ALTER TABLE contacts
+  ADD COLUMN IF NOT EXISTS quiet_hours_start time,
+  ADD COLUMN IF NOT EXISTS quiet_hours_end time,
+  ADD COLUMN IF NOT EXISTS timezone text not null default 'Africa/Johannesburg';
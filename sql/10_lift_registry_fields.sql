@@ -0,0 +1,7 @@
+-- Registry columns on lifts so the CSV registry (building, building_code, lift_id, msisdn, recipients, region)
+-- round-trips through Postgres; lift_code holds the registry's own lift id (e.g. L01)
+
+ALTER TABLE lifts
+  ADD COLUMN IF NOT EXISTS building_code text,
+  ADD COLUMN IF NOT EXISTS lift_code text,
+  ADD COLUMN IF NOT EXISTS region text;
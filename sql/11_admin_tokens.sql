@@ -0,0 +1,19 @@
+-- Admin API tokens
+-- Only a SHA-256 hash of each token is stored; the plaintext is shown once when issued.
+-- Revoked or expired tokens stay for the audit trail
+
+CREATE TABLE IF NOT EXISTS admin_tokens (
+  id uuid primary key default uuid_generate_v4(),
+  name text not null,
+  token_hash text not null unique,
+  token_prefix text not null,
+  scopes text[] not null default '{}',
+  created_by text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_by text
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_tokens_active ON admin_tokens(created_at DESC) WHERE revoked_at IS NULL;
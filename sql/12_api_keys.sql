@@ -0,0 +1,25 @@
+-- Client API keys for the /send routes
+-- Keys are stored as SHA-256 hashes; scopes limit what a key may send and quotas how much.
+-- Outbound messages record the key that created them
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id uuid primary key default uuid_generate_v4(),
+  name text not null,
+  key_hash text not null unique,
+  key_prefix text not null,
+  scopes text[] not null default '{}',
+  daily_quota integer check (daily_quota >= 0),
+  monthly_quota integer check (monthly_quota >= 0),
+  created_by text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_by text
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(created_at DESC) WHERE revoked_at IS NULL;
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS api_key_id uuid references api_keys(id) on delete set null;
+
+CREATE INDEX IF NOT EXISTS idx_messages_api_key_ts ON messages(api_key_id, ts) WHERE api_key_id IS NOT NULL;
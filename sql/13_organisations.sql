@@ -0,0 +1,29 @@
+-- Organisations (property owners / portfolios)
+-- Each organisation owns its lifts and contacts and can override the Bridge credentials, default
+-- template and branding that otherwise come from the environment. Rows with a null org_id belong
+-- to the platform and use the environment settings
+
+CREATE TABLE IF NOT EXISTS organisations (
+  id uuid primary key default uuid_generate_v4(),
+  slug text not null unique,
+  name text not null,
+  bridge_base_url text,
+  bridge_api_key text,
+  template_name text,
+  template_language text,
+  brand_name text,
+  alert_footer text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+ALTER TABLE lifts ADD COLUMN IF NOT EXISTS org_id uuid references organisations(id) on delete restrict;
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS org_id uuid references organisations(id) on delete restrict;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS org_id uuid references organisations(id) on delete set null;
+-- Admin tokens and API keys of an organisation act only within it
+ALTER TABLE admin_tokens ADD COLUMN IF NOT EXISTS org_id uuid references organisations(id) on delete cascade;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS org_id uuid references organisations(id) on delete cascade;
+
+CREATE INDEX IF NOT EXISTS idx_lifts_org ON lifts(org_id);
+CREATE INDEX IF NOT EXISTS idx_contacts_org ON contacts(org_id);
+CREATE INDEX IF NOT EXISTS idx_messages_org_ts ON messages(org_id, ts DESC) WHERE org_id IS NOT NULL;
@@ -0,0 +1,88 @@
+-- Sites and buildings
+-- A site (campus, property) has buildings and every building has lifts. lifts.site_name, building,
+-- building_code and region stay as copies of the lift's building so alert texts, on-call rotations
+-- and the registry export keep working; the app rewrites them whenever a lift moves or its building
+-- changes. Contacts linked to a building cover every lift in it
+
+CREATE TABLE IF NOT EXISTS sites (
+  id uuid primary key default uuid_generate_v4(),
+  org_id uuid references organisations(id) on delete restrict,
+  name text not null,
+  address text,
+  region text,
+  timezone text not null default 'Africa/Johannesburg',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_sites_org_name
+  ON sites (COALESCE(org_id, '00000000-0000-0000-0000-000000000000'::uuid), name);
+
+-- address, region and timezone fall back to the site's when null
+CREATE TABLE IF NOT EXISTS buildings (
+  id uuid primary key default uuid_generate_v4(),
+  site_id uuid not null references sites(id) on delete restrict,
+  name text not null,
+  building_code text,
+  address text,
+  region text,
+  timezone text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (site_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_buildings_code ON buildings(building_code) WHERE building_code IS NOT NULL;
+
+ALTER TABLE lifts ADD COLUMN IF NOT EXISTS building_id uuid references buildings(id) on delete restrict;
+CREATE INDEX IF NOT EXISTS idx_lifts_building ON lifts(building_id);
+
+CREATE TABLE IF NOT EXISTS building_contacts (
+  building_id uuid not null references buildings(id) on delete cascade,
+  contact_id uuid not null references contacts(id) on delete cascade,
+  relation text default 'tenant',
+  created_at timestamptz not null default now(),
+  primary key (building_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_building_contacts_contact ON building_contacts(contact_id);
+
+-- Everyone who covers a lift: direct links, plus its building's contacts. A contact linked both ways
+-- keeps the lift link's relation
+CREATE OR REPLACE VIEW lift_recipients AS
+SELECT DISTINCT ON (lift_id, contact_id) lift_id, contact_id, relation, source
+FROM (
+  SELECT lc.lift_id, lc.contact_id, lc.relation, 'lift' AS source, 0 AS rank
+  FROM lift_contacts lc
+  UNION ALL
+  SELECT l.id, bc.contact_id, bc.relation, 'building', 1
+  FROM building_contacts bc
+  JOIN lifts l ON l.building_id = bc.building_id
+) r
+ORDER BY lift_id, contact_id, rank;
+
+-- Backfill from the free-text fields: one site per site_name (or building), one building per building
+-- (or site_name) within it
+INSERT INTO sites (org_id, name, region)
+SELECT org_id, COALESCE(site_name, building), max(region)
+FROM lifts
+WHERE COALESCE(site_name, building) IS NOT NULL
+GROUP BY org_id, COALESCE(site_name, building)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO buildings (site_id, name, building_code, region)
+SELECT DISTINCT ON (s.id, COALESCE(l.building, l.site_name))
+       s.id, COALESCE(l.building, l.site_name), l.building_code, l.region
+FROM lifts l
+JOIN sites s ON s.org_id IS NOT DISTINCT FROM l.org_id AND s.name = COALESCE(l.site_name, l.building)
+ORDER BY s.id, COALESCE(l.building, l.site_name), l.building_code NULLS LAST
+ON CONFLICT DO NOTHING;
+
+UPDATE lifts l
+SET building_id = b.id
+FROM buildings b
+JOIN sites s ON s.id = b.site_id
+WHERE l.building_id IS NULL
+  AND s.org_id IS NOT DISTINCT FROM l.org_id
+  AND s.name = COALESCE(l.site_name, l.building)
+  AND b.name = COALESCE(l.building, l.site_name);
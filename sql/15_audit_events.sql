@@ -0,0 +1,25 @@
+-- Admin audit trail
+-- One row per change made through the admin API: the token that made it, the request id, the entity
+-- and its row before and after. actor/token_id/org_id are copies, not foreign keys, so the trail
+-- outlives revoked tokens and deleted organisations
+
+CREATE TABLE IF NOT EXISTS audit_events (
+  id uuid primary key default uuid_generate_v4(),
+  ts timestamptz not null default now(),
+  actor text,
+  token_id uuid,
+  org_id uuid,
+  request_id text,
+  method text not null,
+  path text not null,
+  entity text not null,
+  entity_id text,
+  action text not null,
+  before jsonb,
+  after jsonb
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_ts ON audit_events(ts DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_entity ON audit_events(entity, entity_id, ts DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor, ts DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_org ON audit_events(org_id, ts DESC) WHERE org_id IS NOT NULL;
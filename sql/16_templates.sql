@@ -0,0 +1,23 @@
+-- WhatsApp template registry
+-- Approved templates with their languages and named parameters, so sends can name a template by key
+-- with variables and have the components checked before they reach the Bridge. A null org_id is a
+-- platform template; an organisation's template shadows a platform one with the same key
+-- params: ordered list of { name, component: header|body|button, index (buttons), max, example }
+
+CREATE TABLE IF NOT EXISTS templates (
+  id uuid primary key default uuid_generate_v4(),
+  org_id uuid references organisations(id) on delete cascade,
+  key text not null,
+  name text not null,
+  category text not null default 'utility' check (category in ('utility', 'marketing', 'authentication')),
+  languages text[] not null,
+  params jsonb not null default '[]',
+  description text,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_templates_org_key
+  ON templates (COALESCE(org_id, '00000000-0000-0000-0000-000000000000'::uuid), key);
+CREATE INDEX IF NOT EXISTS idx_templates_name ON templates(name);
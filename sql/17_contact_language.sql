@@ -0,0 +1,4 @@
+-- Preferred alert language per contact (e.g. en, af, zu, en_ZA); null uses the organisation's
+-- default template language, then DEFAULT_LANGUAGE
+
+ALTER TABLE contacts ADD COLUMN IF NOT EXISTS language text;
@@ -0,0 +1,5 @@
+-- Interactive (reply button) messages
+-- The Bridge interactive object is stored with the outbound row so the retry worker resends the
+-- buttons, not just the body text; null for plain text and template messages
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS interactive jsonb;
@@ -0,0 +1,22 @@
+-- PDF documents sent over WhatsApp
+-- Uploads from /send/document and generated lift reports. Outbound messages point at their document
+-- (messages.document_id) so retries resend the file without copying it into every message row
+-- kind: upload | report; meta holds a report's parameters (type, incident_id, month)
+
+CREATE TABLE IF NOT EXISTS documents (
+  id uuid primary key default uuid_generate_v4(),
+  org_id uuid references organisations(id) on delete cascade,
+  kind text not null default 'upload' check (kind in ('upload', 'report')),
+  filename text not null,
+  caption text,
+  content bytea not null,
+  size_bytes integer not null,
+  sha256 text not null,
+  lift_id uuid references lifts(id) on delete set null,
+  meta jsonb,
+  created_at timestamptz not null default now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_lift ON documents(lift_id, created_at desc) WHERE lift_id IS NOT NULL;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS document_id uuid references documents(id) on delete set null;
@@ -0,0 +1,15 @@
+-- Delivery and read status from Bridge status callbacks (POST /wa/status)
+-- An accepted message is 'sent'; callbacks then move it to 'delivered', 'read' or 'failed', matched by
+-- the WhatsApp id the Bridge returned (meta->>'wa_id'). Each state keeps the time it was first reported
+
+ALTER TYPE message_status_t ADD VALUE IF NOT EXISTS 'delivered';
+ALTER TYPE message_status_t ADD VALUE IF NOT EXISTS 'read';
+ALTER TYPE message_status_t ADD VALUE IF NOT EXISTS 'failed';
+
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS sent_at timestamptz,
+  ADD COLUMN IF NOT EXISTS delivered_at timestamptz,
+  ADD COLUMN IF NOT EXISTS read_at timestamptz,
+  ADD COLUMN IF NOT EXISTS failed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_messages_wa_id ON messages ((meta->>'wa_id'));
@@ -0,0 +1,8 @@
+-- LEGACY_ANY took $.to (the shortcode on router payloads) as the lift number ahead of $.from
+-- Drop $.to from its sender mapping, unless the shape has been edited since the seed
+
+UPDATE portal_shapes
+SET mappings = jsonb_set(mappings, '{msisdn}', '["$.phone", "$.phoneNumber", "$.msisdn", "$.from"]'::jsonb),
+    updated_at = now()
+WHERE name = 'LEGACY_ANY'
+  AND mappings->'msisdn' = '["$.phone", "$.phoneNumber", "$.msisdn", "$.to", "$.from"]'::jsonb;
@@ -3,19 +3,21 @@ import fetch from "node-fetch";
 const BASE = process.env.BRIDGE_BASE_URL || "https://wa.woosh.ai";
 const API_KEY = process.env.BRIDGE_API_KEY || process.env.BRIDGE_API_KEY__FILE; // in case of secret mount
 
-export async function sendText(to: string, text: string) {
+// Organisations may carry their own Bridge credentials; omitted values use the environment
+export async function sendPayload(payload: { to: string; [key: string]: unknown }, bridge: { baseUrl?: string; apiKey?: string } = {}) {
+  const { to } = payload;
   if (!to || !/^\+?\d{6,}$/.test(to)) {
     const err = new Error("missing_or_invalid_to");
     (err as any).code = 400;
     throw err;
   }
-  const res = await fetch(`${BASE}/api/messages/send`, {
+  const res = await fetch(`${(bridge.baseUrl || BASE).replace(/\/+$/, "")}/api/messages/send`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
-      "X-Api-Key": API_KEY as string,
+      "X-Api-Key": (bridge.apiKey || API_KEY) as string,
     },
-    body: JSON.stringify({ to, text }),
+    body: JSON.stringify(payload),
   });
   const body = await res.json().catch(() => ({}));
   if (!res.ok || body?.ok !== true) {
@@ -26,3 +28,7 @@ export async function sendText(to: string, text: string) {
   }
   return body; // { ok: true, wa_id, accepted, ... }
 }
+
+export async function sendText(to: string, text: string, bridge: { baseUrl?: string; apiKey?: string } = {}) {
+  return sendPayload({ to, text }, bridge);
+}
@@ -59,6 +59,11 @@ async function withTxn(fn) {
   }
 }
 
+// Escape LIKE/ILIKE wildcards in user input
+function escapeLike(text) {
+  return String(text).replace(/[\\%_]/g, '\\$&');
+}
+
 // Graceful shutdown
 async function close() {
   await pool.end();
@@ -72,5 +77,6 @@ module.exports = {
   pool,
   query,
   withTxn,
+  escapeLike,
   close
 };
@@ -0,0 +1,156 @@
+/**
+ * Admin API tokens
+ * Random bearer tokens stored as SHA-256 hashes with a name, scopes, expiry and last-used time.
+ * ADMIN_BOOTSTRAP_TOKENS (comma-separated) are accepted with every scope, so the first real
+ * token can be issued; remove them once it exists
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db');
+const { createValidationError } = require('../validate');
+
+// admin:read covers GET/HEAD, admin:write every other method, admin:tokens the token endpoints; * is all of them
+const SCOPES = ['admin:read', 'admin:write', 'admin:tokens', '*'];
+
+const TOKEN_PREFIX = 'wla_';
+
+// last_used_at is written at most this often per token to keep reads cheap
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const BOOTSTRAP_TOKENS = String(process.env.ADMIN_BOOTSTRAP_TOKENS || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * @typedef {Object} AdminPrincipal
+ * @property {string|null} id - Token id (null for bootstrap tokens)
+ * @property {string} name - Token name
+ * @property {string[]} scopes - Granted scopes
+ * @property {string|null} org_id - Organisation the token acts within (null = platform-wide)
+ */
+
+/**
+ * Hash a token for storage and lookup
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex SHA-256
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Whether a principal holds a scope
+ * @param {AdminPrincipal} principal - Authenticated principal
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+function hasScope(principal, scope) {
+  return principal.scopes.includes('*') || principal.scopes.includes(scope);
+}
+
+/**
+ * Validate requested scopes
+ * @param {*} scopes - Requested scopes
+ * @returns {string[]} Scopes
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw createValidationError(`Field scopes must be a non-empty array of: ${SCOPES.join(', ')}`, 'scopes');
+  }
+  const unknown = scopes.filter(s => !SCOPES.includes(s));
+  if (unknown.length > 0) {
+    throw createValidationError(`Unknown scope(s): ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`, 'scopes');
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * Issue a new token; the plaintext is only ever returned here
+ * @param {Object} params - Token details
+ * @param {string} params.name - What the token is for
+ * @param {string[]} params.scopes - Scopes
+ * @param {Date|null} [params.expires_at] - Expiry
+ * @param {string|null} [params.created_by] - Issuer
+ * @param {string|null} [params.org_id] - Organisation (null = platform-wide)
+ * @returns {Promise<{ token: string, record: Object }>} Plaintext token and stored record
+ */
+async function issueToken({ name, scopes, expires_at = null, created_by = null, org_id = null }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const result = await query(`
+    INSERT INTO admin_tokens (name, token_hash, token_prefix, scopes, expires_at, created_by, org_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, name, token_prefix, scopes, org_id, created_by, created_at, expires_at, last_used_at, revoked_at
+  `, [name, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), validateScopes(scopes), expires_at, created_by, org_id]);
+  return { token, record: result.rows[0] };
+}
+
+/**
+ * Revoke a token (kept for the record)
+ * @param {string} id - Token id
+ * @param {string|null} revokedBy - Who revoked it
+ * @param {string|null} [orgId] - Only revoke a token of this organisation
+ * @returns {Promise<Object|null>} Revoked record, or null when not found / already revoked
+ */
+async function revokeToken(id, revokedBy, orgId = null) {
+  const result = await query(`
+    UPDATE admin_tokens SET revoked_at = now(), revoked_by = $2
+    WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR org_id = $3)
+    RETURNING id, name, token_prefix, scopes, org_id, created_at, expires_at, last_used_at, revoked_at, revoked_by
+  `, [id, revokedBy, orgId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List tokens, newest first (hashes are never returned)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeRevoked] - Include revoked tokens
+ * @param {string|null} [options.orgId] - Only tokens of this organisation
+ * @returns {Promise<Object[]>} Token records
+ */
+async function listTokens({ includeRevoked = false, orgId = null } = {}) {
+  const result = await query(`
+    SELECT id, name, token_prefix, scopes, org_id, created_by, created_at, expires_at, last_used_at, revoked_at, revoked_by
+    FROM admin_tokens
+    WHERE ($1::uuid IS NULL OR org_id = $1) ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+    ORDER BY created_at DESC
+  `, [orgId]);
+  return result.rows;
+}
+
+/**
+ * Resolve a presented token to a principal
+ * @param {string} token - Plaintext token from the request
+ * @returns {Promise<AdminPrincipal|null>} Principal, or null when unknown, revoked or expired
+ */
+async function authenticateToken(token) {
+  if (!token) return null;
+
+  const hash = hashToken(token);
+  if (BOOTSTRAP_TOKENS.some(t => crypto.timingSafeEqual(Buffer.from(hashToken(t)), Buffer.from(hash)))) {
+    return { id: null, name: 'bootstrap', scopes: ['*'], org_id: null };
+  }
+
+  const result = await query(`
+    SELECT id, name, scopes, org_id, last_used_at
+    FROM admin_tokens
+    WHERE token_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > now())
+  `, [hash]);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    query('UPDATE admin_tokens SET last_used_at = now() WHERE id = $1', [row.id])
+      .catch(error => console.error('[admin-auth] last_used_at update failed:', error.message));
+  }
+
+  return { id: row.id, name: row.name, scopes: row.scopes, org_id: row.org_id };
+}
+
+module.exports = {
+  issueToken,
+  revokeToken,
+  listTokens,
+  authenticateToken,
+  hasScope,
+  hashToken,
+  SCOPES
+};
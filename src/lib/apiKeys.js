@@ -0,0 +1,283 @@
+/**
+ * Client API keys for the /send routes
+ * Each integrator gets a key with send scopes and optional daily/monthly message quotas.
+ * Quota periods follow QUOTA_TIMEZONE; messages blocked by consent do not count
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db');
+const { createValidationError } = require('../validate');
+const { hashToken } = require('./adminTokens');
+
+// send:alarm is needed for priority "alarm" sends, which bypass quiet hours
+const SEND_SCOPES = ['send:text', 'send:template', 'send:interactive', 'send:document', 'send:alarm', '*'];
+
+const KEY_PREFIX = 'wlk_';
+const QUOTA_TIMEZONE = process.env.QUOTA_TIMEZONE || 'Africa/Johannesburg';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const KEY_COLUMNS = 'id, name, key_prefix, scopes, org_id, daily_quota, monthly_quota, created_by, created_at, last_used_at, revoked_at, revoked_by';
+
+/**
+ * @typedef {Object} ApiClient
+ * @property {string} id - Key id
+ * @property {string} name - Integrator name
+ * @property {string[]} scopes - Send scopes
+ * @property {number|null} daily_quota - Messages per day (null = unlimited)
+ * @property {number|null} monthly_quota - Messages per month (null = unlimited)
+ * @property {string|null} org_id - Organisation the key sends for (null = platform)
+ */
+
+/**
+ * Validate requested send scopes
+ * @param {*} scopes - Requested scopes
+ * @returns {string[]} Scopes
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw createValidationError(`Field scopes must be a non-empty array of: ${SEND_SCOPES.join(', ')}`, 'scopes');
+  }
+  const unknown = scopes.filter(s => !SEND_SCOPES.includes(s));
+  if (unknown.length > 0) {
+    throw createValidationError(`Unknown scope(s): ${unknown.join(', ')} (expected ${SEND_SCOPES.join(', ')})`, 'scopes');
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * Validate a quota (null or absent = unlimited)
+ * @param {Object} body - Request body
+ * @param {string} field - daily_quota | monthly_quota
+ * @returns {number|null|undefined} Quota, or undefined when absent
+ */
+function readQuota(body, field) {
+  const value = body[field];
+  if (value === undefined || value === null) return value;
+  if (!Number.isInteger(value) || value < 0) {
+    throw createValidationError(`Field ${field} must be a non-negative integer or null`, field);
+  }
+  return value;
+}
+
+/**
+ * Whether a client holds a scope
+ * @param {ApiClient} client - Authenticated client
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+function hasSendScope(client, scope) {
+  return client.scopes.includes('*') || client.scopes.includes(scope);
+}
+
+/**
+ * Issue a key; the plaintext is only ever returned here
+ * @param {Object} params - Key details
+ * @param {string} params.name - Integrator name
+ * @param {string[]} params.scopes - Send scopes
+ * @param {number|null} [params.daily_quota] - Messages per day
+ * @param {number|null} [params.monthly_quota] - Messages per month
+ * @param {string|null} [params.created_by] - Issuer
+ * @param {string|null} [params.org_id] - Organisation
+ * @returns {Promise<{ key: string, record: Object }>} Plaintext key and stored record
+ */
+async function issueKey({ name, scopes, daily_quota = null, monthly_quota = null, created_by = null, org_id = null }) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const result = await query(`
+    INSERT INTO api_keys (name, key_hash, key_prefix, scopes, daily_quota, monthly_quota, created_by, org_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${KEY_COLUMNS}
+  `, [name, hashToken(key), key.slice(0, KEY_PREFIX.length + 6), validateScopes(scopes), daily_quota, monthly_quota, created_by, org_id]);
+  return { key, record: result.rows[0] };
+}
+
+/**
+ * Change a key's name, scopes or quotas (fields left undefined are kept)
+ * @param {string} id - Key id
+ * @param {Object} changes - { name, scopes, daily_quota, monthly_quota }
+ * @param {string|null} [orgId] - Only update a key of this organisation
+ * @returns {Promise<Object|null>} Updated record, or null when not found / revoked
+ */
+async function updateKey(id, changes, orgId = null) {
+  const fields = {};
+  if (changes.name !== undefined) fields.name = changes.name;
+  if (changes.scopes !== undefined) fields.scopes = validateScopes(changes.scopes);
+  if (changes.daily_quota !== undefined) fields.daily_quota = changes.daily_quota;
+  if (changes.monthly_quota !== undefined) fields.monthly_quota = changes.monthly_quota;
+  const columns = Object.keys(fields);
+  if (columns.length === 0) {
+    throw createValidationError('Nothing to update; send any of name, scopes, daily_quota, monthly_quota');
+  }
+
+  const result = await query(`
+    UPDATE api_keys SET ${columns.map((c, i) => `${c} = $${i + 3}`).join(', ')}
+    WHERE id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR org_id = $2)
+    RETURNING ${KEY_COLUMNS}
+  `, [id, orgId, ...Object.values(fields)]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Revoke a key (kept so past messages stay attributed)
+ * @param {string} id - Key id
+ * @param {string|null} revokedBy - Who revoked it
+ * @param {string|null} [orgId] - Only revoke a key of this organisation
+ * @returns {Promise<Object|null>} Revoked record, or null when not found / already revoked
+ */
+async function revokeKey(id, revokedBy, orgId = null) {
+  const result = await query(`
+    UPDATE api_keys SET revoked_at = now(), revoked_by = $2
+    WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR org_id = $3)
+    RETURNING ${KEY_COLUMNS}
+  `, [id, revokedBy, orgId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve a presented key to its client
+ * @param {string} key - Plaintext key from the request
+ * @returns {Promise<ApiClient|null>} Client, or null when unknown or revoked
+ */
+async function authenticateKey(key) {
+  if (!key) return null;
+
+  const result = await query(`
+    SELECT id, name, scopes, org_id, daily_quota, monthly_quota, last_used_at
+    FROM api_keys
+    WHERE key_hash = $1 AND revoked_at IS NULL
+  `, [hashToken(key)]);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [row.id])
+      .catch(error => console.error('[api-keys] last_used_at update failed:', error.message));
+  }
+
+  const { last_used_at, ...client } = row;
+  return client;
+}
+
+/**
+ * Count a key's messages in the current day and month
+ * @param {Object} db - Query runner (pool or transaction client)
+ * @param {string} keyId - Key id
+ * @returns {Promise<Object>} { day: { sent, failed, blocked }, month: { ... } }
+ */
+async function countUsage(db, keyId) {
+  const result = await db.query(`
+    WITH bounds AS (
+      SELECT date_trunc('day', now() AT TIME ZONE $2) AT TIME ZONE $2 AS day_start,
+             date_trunc('month', now() AT TIME ZONE $2) AT TIME ZONE $2 AS month_start
+    )
+    SELECT
+      count(*) FILTER (WHERE m.ts >= b.day_start AND m.status <> 'blocked')::int AS day_sent,
+      count(*) FILTER (WHERE m.ts >= b.day_start AND m.status IN ('permanently_failed', 'failed'))::int AS day_failed,
+      count(*) FILTER (WHERE m.ts >= b.day_start AND m.status = 'blocked')::int AS day_blocked,
+      count(*) FILTER (WHERE m.status <> 'blocked')::int AS month_sent,
+      count(*) FILTER (WHERE m.status IN ('permanently_failed', 'failed'))::int AS month_failed,
+      count(*) FILTER (WHERE m.status = 'blocked')::int AS month_blocked
+    FROM bounds b
+    LEFT JOIN messages m ON m.api_key_id = $1 AND m.direction = 'out' AND m.ts >= b.month_start
+  `, [keyId, QUOTA_TIMEZONE]);
+  const row = result.rows[0];
+  return {
+    day: { sent: row.day_sent, failed: row.day_failed, blocked: row.day_blocked },
+    month: { sent: row.month_sent, failed: row.month_failed, blocked: row.month_blocked }
+  };
+}
+
+/**
+ * Remaining messages under a quota
+ * @param {number|null} quota - Quota (null = unlimited)
+ * @param {number} used - Messages counted
+ * @returns {number|null} Remaining, or null when unlimited
+ */
+function remaining(quota, used) {
+  return quota === null || quota === undefined ? null : Math.max(0, quota - used);
+}
+
+/**
+ * Usage report for a key: sends, failures and remaining quota for today and this month
+ * @param {Object} key - Key record (id, daily_quota, monthly_quota)
+ * @returns {Promise<Object>} Usage
+ */
+async function getUsage(key) {
+  const usage = await countUsage({ query }, key.id);
+  return {
+    key_id: key.id,
+    timezone: QUOTA_TIMEZONE,
+    day: { ...usage.day, quota: key.daily_quota, remaining: remaining(key.daily_quota, usage.day.sent) },
+    month: { ...usage.month, quota: key.monthly_quota, remaining: remaining(key.monthly_quota, usage.month.sent) }
+  };
+}
+
+/**
+ * List keys, newest first (hashes are never returned)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeRevoked] - Include revoked keys
+ * @param {string|null} [options.orgId] - Only keys of this organisation
+ * @returns {Promise<Object[]>} Key records
+ */
+async function listKeys({ includeRevoked = false, orgId = null } = {}) {
+  const result = await query(`
+    SELECT ${KEY_COLUMNS}
+    FROM api_keys
+    WHERE ($1::uuid IS NULL OR org_id = $1) ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+    ORDER BY created_at DESC
+  `, [orgId]);
+  return result.rows;
+}
+
+/**
+ * Get one key
+ * @param {string} id - Key id
+ * @param {string|null} [orgId] - Only a key of this organisation
+ * @returns {Promise<Object|null>} Key record
+ */
+async function getKey(id, orgId = null) {
+  const result = await query(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE id = $1 AND ($2::uuid IS NULL OR org_id = $2)`, [id, orgId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Take one message from a client's quota
+ * Call inside the transaction that stores the message: the key row is locked so concurrent sends
+ * cannot both take the last slot
+ * @param {Object} client - Transaction client
+ * @param {ApiClient} apiClient - Calling client
+ * @returns {Promise<void>}
+ * @throws {Error} 429 quota_exceeded when the day or month is used up
+ */
+async function reserveQuota(client, apiClient) {
+  const locked = await client.query('SELECT daily_quota, monthly_quota FROM api_keys WHERE id = $1 FOR UPDATE', [apiClient.id]);
+  const { daily_quota, monthly_quota } = locked.rows[0] || apiClient;
+  if (daily_quota === null && monthly_quota === null) return;
+
+  const usage = await countUsage(client, apiClient.id);
+  const period = daily_quota !== null && usage.day.sent >= daily_quota ? 'day'
+    : monthly_quota !== null && usage.month.sent >= monthly_quota ? 'month'
+    : null;
+  if (!period) return;
+
+  const limit = period === 'day' ? daily_quota : monthly_quota;
+  const error = new Error(`Quota of ${limit} messages per ${period} used up for key "${apiClient.name}"`);
+  error.status = 429;
+  error.code = 'quota_exceeded';
+  error.period = period;
+  error.limit = limit;
+  throw error;
+}
+
+module.exports = {
+  issueKey,
+  updateKey,
+  revokeKey,
+  listKeys,
+  getKey,
+  authenticateKey,
+  hasSendScope,
+  reserveQuota,
+  getUsage,
+  readQuota,
+  SEND_SCOPES
+};
@@ -0,0 +1,75 @@
+/**
+ * Admin audit trail
+ * Records who changed what through the admin API, with the entity's row before and after the change.
+ * Handlers record their own changes (inside their transaction, so the snapshot matches what was
+ * written); mw/audit.js records any other successful admin write from its response
+ */
+
+const { tenantOf } = require('./organisations');
+
+// Never stored in snapshots
+const SECRET_FIELDS = ['token', 'token_hash', 'key', 'key_hash', 'bridge_api_key'];
+
+/**
+ * Copy of a snapshot without secrets
+ * @param {*} value - Row or response data
+ * @returns {*} Redacted copy (null stays null)
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value ?? null;
+  const copy = {};
+  for (const [field, v] of Object.entries(value)) {
+    copy[field] = SECRET_FIELDS.includes(field) ? '[redacted]' : redact(v);
+  }
+  return copy;
+}
+
+/**
+ * Write an audit event for an admin change and mark the request as audited
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {Object} req - Express request (req.admin is the actor, req.id the request id)
+ * @param {Object} change - Change
+ * @param {string} change.entity - Entity, e.g. lift, contact, lift_contact
+ * @param {string|null} change.entityId - Entity id (for links: the lift, building or contact it hangs off)
+ * @param {string} change.action - create | update | delete | link | unlink | ...
+ * @param {Object|null} [change.before] - Row before the change
+ * @param {Object|null} [change.after] - Row after the change
+ * @returns {Promise<void>}
+ */
+async function recordAudit(db, req, { entity, entityId, action, before = null, after = null }) {
+  const admin = req.admin || {};
+  const orgId = tenantOf(req) || (after && after.org_id) || (before && before.org_id) || null;
+
+  await db.query(`
+    INSERT INTO audit_events (actor, token_id, org_id, request_id, method, path, entity, entity_id, action, before, after)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    admin.name || null,
+    admin.id || null,
+    orgId,
+    req.id || null,
+    req.method,
+    req.originalUrl.split('?')[0],
+    entity,
+    entityId || null,
+    action,
+    before ? JSON.stringify(redact(before)) : null,
+    after ? JSON.stringify(redact(after)) : null
+  ]);
+  req.audited = true;
+}
+
+/**
+ * Mark a write that changed nothing, so the fallback does not record it
+ * @param {Object} req - Express request
+ */
+function skipAudit(req) {
+  req.audited = true;
+}
+
+module.exports = {
+  recordAudit,
+  skipAudit,
+  redact
+};
@@ -0,0 +1,140 @@
+/**
+ * Sites and buildings
+ * Placing lifts in buildings, moving them between buildings (logged as lift_moved events; incidents,
+ * messages and links stay on the lift) and keeping the lifts' site_name / building / building_code /
+ * region copies in step with their building
+ */
+
+const { createValidationError } = require('../validate');
+const { validateTimezone } = require('./oncall');
+
+// Editable site columns (name is handled separately)
+const SITE_FIELDS = {
+  address: { max: 500 },
+  region: { max: 16 },
+  timezone: { max: 64 }
+};
+
+// Editable building columns (name and site_id are handled separately)
+const BUILDING_FIELDS = {
+  building_code: { max: 32 },
+  address: { max: 500 },
+  region: { max: 16 },
+  timezone: { max: 64 }
+};
+
+/**
+ * Validate the time zone in picked site or building fields, if any
+ * @param {Object} fields - Fields from pickFields
+ * @returns {Object} The fields
+ */
+function checkTimezone(fields) {
+  if (fields.timezone) validateTimezone(fields.timezone);
+  return fields;
+}
+
+/**
+ * Rewrite the site/building copies on lifts from their building
+ * site_name is left empty when the site is named after the building, so labels do not repeat it
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {{ buildingId?: string, siteId?: string }} scope - One building, or every building of a site
+ * @returns {Promise<number>} Lifts updated
+ */
+async function syncLiftCopies(db, { buildingId = null, siteId = null }) {
+  const result = await db.query(`
+    UPDATE lifts l
+    SET site_name = NULLIF(s.name, b.name),
+        building = b.name,
+        building_code = b.building_code,
+        region = COALESCE(b.region, s.region)
+    FROM buildings b
+    JOIN sites s ON s.id = b.site_id
+    WHERE l.building_id = b.id
+      AND (b.id = $1 OR b.site_id = $2)
+  `, [buildingId, siteId]);
+  return result.rowCount;
+}
+
+/**
+ * Move a lift into a building and refresh its copies; a change of building is logged as lift_moved
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string} liftId - Lift id
+ * @param {string} buildingId - Target building id
+ * @param {string} [actor] - Who moved it
+ * @returns {Promise<Object|null>} Updated lift, or null when the lift does not exist
+ * @throws {Error} Validation error when the building is missing or belongs to another organisation
+ */
+async function moveLift(db, liftId, buildingId, actor = 'system') {
+  const current = await db.query('SELECT id, org_id, building_id, site_name, building FROM lifts WHERE id = $1 FOR UPDATE', [liftId]);
+  const lift = current.rows[0];
+  if (!lift) return null;
+
+  const target = await db.query(`
+    SELECT b.id, s.org_id FROM buildings b JOIN sites s ON s.id = b.site_id WHERE b.id = $1
+  `, [buildingId]);
+  if (target.rows.length === 0) {
+    throw createValidationError('Building not found', 'building_id');
+  }
+  if ((target.rows[0].org_id || null) !== (lift.org_id || null)) {
+    throw createValidationError('Building belongs to another organisation than the lift', 'building_id');
+  }
+
+  await db.query('UPDATE lifts SET building_id = $2 WHERE id = $1', [liftId, buildingId]);
+  await syncLiftCopies(db, { buildingId });
+  const updated = await db.query('SELECT * FROM lifts WHERE id = $1', [liftId]);
+  const moved = updated.rows[0];
+
+  if (lift.building_id !== buildingId) {
+    await db.query(`
+      INSERT INTO events (lift_id, type, payload, ts)
+      VALUES ($1, 'lift_moved', $2, now())
+    `, [liftId, JSON.stringify({
+      from: { building_id: lift.building_id, site_name: lift.site_name, building: lift.building },
+      to: { building_id: buildingId, site_name: moved.site_name, building: moved.building },
+      actor
+    })]);
+  }
+  return moved;
+}
+
+/**
+ * Put a lift in the building named by its free-text fields, creating the site and building if needed
+ * The site is site_name (or building), the building is building (or site_name); a new or empty
+ * building takes the lift's building_code and region
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string} liftId - Lift id
+ * @param {string} [actor] - Who changed the lift
+ * @returns {Promise<Object|null>} Updated lift, or null when the lift has no site or building name
+ */
+async function placeLift(db, liftId, actor = 'system') {
+  const current = await db.query('SELECT org_id, site_name, building, building_code, region FROM lifts WHERE id = $1', [liftId]);
+  const lift = current.rows[0];
+  const siteName = lift && (lift.site_name || lift.building);
+  if (!siteName) return null;
+  const buildingName = lift.building || lift.site_name;
+
+  await db.query(`
+    INSERT INTO sites (org_id, name, region) VALUES ($1, $2, $3)
+    ON CONFLICT DO NOTHING
+  `, [lift.org_id, siteName, lift.region]);
+  const site = await db.query('SELECT id FROM sites WHERE org_id IS NOT DISTINCT FROM $1 AND name = $2', [lift.org_id, siteName]);
+
+  const building = await db.query(`
+    INSERT INTO buildings (site_id, name, building_code, region) VALUES ($1, $2, $3, $4)
+    ON CONFLICT (site_id, name) DO UPDATE SET
+      building_code = COALESCE(buildings.building_code, EXCLUDED.building_code),
+      region = COALESCE(buildings.region, EXCLUDED.region)
+    RETURNING id
+  `, [site.rows[0].id, buildingName, lift.building_code, lift.region]);
+
+  return moveLift(db, liftId, building.rows[0].id, actor);
+}
+
+module.exports = {
+  SITE_FIELDS,
+  BUILDING_FIELDS,
+  checkTimezone,
+  syncLiftCopies,
+  moveLift,
+  placeLift
+};
@@ -0,0 +1,206 @@
+/**
+ * Inbound capture store
+ * Keeps a bounded, queryable history of raw inbound webhook requests and lets operators replay them
+ */
+
+const { query } = require('../db');
+const { createValidationError } = require('../validate');
+const { detectShape, toInboundSms } = require('./portalShapes');
+
+const CAPTURE_MAX_ROWS = parseInt(process.env.CAPTURE_MAX_ROWS || '5000');
+const CAPTURE_MAX_BODY_BYTES = parseInt(process.env.CAPTURE_MAX_BODY_BYTES || '65536');
+const PRUNE_EVERY = 100;
+
+// Routes whose payloads are inbound SMS; others (e.g. /wa/inbound, /wa/status) must not be re-ingested as SMS
+const REPLAYABLE_ROUTES = ['/sms/plain', '/sms/direct', '/sms/inbound'];
+
+// Never persist credentials or signatures
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-signature', 'x-hub-signature-256', 'x-twilio-signature', 'x-webhook-token', 'x-admin-token', 'x-api-key'];
+
+let insertsSincePrune = 0;
+
+/**
+ * @typedef {Object} CaptureRecord
+ * @property {string} route - Route the request hit (e.g. /sms/plain)
+ * @property {string} method - HTTP method
+ * @property {Object} headers - Request headers (redacted)
+ * @property {string} body - Raw request body
+ * @property {number} statusCode - Response status code
+ * @property {string} [outcome] - accepted|duplicate|rejected|error (derived from statusCode when omitted)
+ * @property {string} [message_id] - Stored message id, when ingestion produced one
+ * @property {string} [detail] - Short reason or note
+ */
+
+/**
+ * Redact sensitive headers
+ * @param {Object} headers - Raw headers
+ * @returns {Object} Headers safe to store
+ */
+function redactHeaders(headers = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(headers)) {
+    out[key] = REDACTED_HEADERS.includes(key.toLowerCase()) ? '[redacted]' : value;
+  }
+  return out;
+}
+
+/**
+ * Map an HTTP status code to a capture outcome
+ * @param {number} statusCode - Response status code
+ * @returns {string} Outcome
+ */
+function outcomeFor(statusCode) {
+  if (statusCode >= 500) return 'error';
+  if (statusCode >= 400) return 'rejected';
+  return 'accepted';
+}
+
+/**
+ * Parse a raw body as JSON, tolerating garbage
+ * @param {string} raw - Raw body
+ * @returns {Object|null} Parsed object or null
+ */
+function parseJson(raw) {
+  try {
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist one capture (shape and msisdn are detected from the body)
+ * @param {CaptureRecord} record - Capture data
+ * @returns {Promise<string>} Capture id
+ */
+async function recordCapture(record) {
+  const raw = record.body || '';
+  const truncated = Buffer.byteLength(raw) > CAPTURE_MAX_BODY_BYTES;
+  const stored = truncated ? Buffer.from(raw).subarray(0, CAPTURE_MAX_BODY_BYTES).toString('utf8') : raw;
+
+  const body = parseJson(raw);
+  const match = body ? await detectShape(body) : null;
+
+  const result = await query(`
+    INSERT INTO inbound_captures (
+      route, method, headers, body_raw, body_truncated, msisdn, detected_shape,
+      status_code, outcome, message_id, detail
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id
+  `, [
+    record.route,
+    record.method,
+    JSON.stringify(redactHeaders(record.headers)),
+    stored,
+    truncated,
+    match ? match.msisdn : null,
+    match ? match.shape : null,
+    record.statusCode || null,
+    record.outcome || outcomeFor(record.statusCode || 0),
+    record.message_id || null,
+    record.detail || null
+  ]);
+
+  if (++insertsSincePrune >= PRUNE_EVERY) {
+    insertsSincePrune = 0;
+    await pruneCaptures();
+  }
+
+  return result.rows[0].id;
+}
+
+/**
+ * Delete captures beyond the configured bound (oldest first)
+ * @param {number} [maxRows] - Rows to keep
+ * @returns {Promise<number>} Rows deleted
+ */
+async function pruneCaptures(maxRows = CAPTURE_MAX_ROWS) {
+  const result = await query(`
+    DELETE FROM inbound_captures
+    WHERE id IN (
+      SELECT id FROM inbound_captures
+      ORDER BY ts DESC, id DESC
+      OFFSET $1
+    )
+  `, [maxRows]);
+  if (result.rowCount > 0) {
+    console.log(`[captures] pruned ${result.rowCount} captures beyond ${maxRows}`);
+  }
+  return result.rowCount;
+}
+
+/**
+ * Get one capture
+ * @param {string} id - Capture id
+ * @returns {Promise<Object|null>} Capture or null
+ */
+async function getCapture(id) {
+  const result = await query('SELECT * FROM inbound_captures WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Most recent capture for a route (used by /api/inbound/latest after restarts)
+ * @param {string} route - Route name
+ * @returns {Promise<Object|null>} Capture or null
+ */
+async function getLatestCapture(route) {
+  const result = await query(`
+    SELECT * FROM inbound_captures
+    WHERE route = $1
+    ORDER BY ts DESC, id DESC
+    LIMIT 1
+  `, [route]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Replay a captured payload through ingestion
+ * Ingestion is idempotent on (provider, provider_id), so replaying an already stored message reports idempotent=true
+ * @param {string} id - Capture id
+ * @returns {Promise<{ capture_id: string, shape: string, message_id: string, idempotent: boolean }|null>} Result or null if not found
+ * @throws {Error} VALIDATION_ERROR when the capture is not from an SMS route or its body cannot be normalized
+ */
+async function replayCapture(id) {
+  const capture = await getCapture(id);
+  if (!capture) return null;
+
+  if (!REPLAYABLE_ROUTES.includes(capture.route)) {
+    throw createValidationError(`Captures from ${capture.route} cannot be replayed; only ${REPLAYABLE_ROUTES.join(', ')}`);
+  }
+
+  if (capture.body_truncated) {
+    throw createValidationError('Captured body was truncated and cannot be replayed');
+  }
+
+  const body = parseJson(capture.body_raw);
+  const match = body ? await detectShape(body) : null;
+  if (!match) {
+    throw createValidationError('Captured body does not match any portal shape');
+  }
+
+  const msg = toInboundSms(match, body);
+  msg.meta.replayed_from_capture = capture.id;
+
+  // lazy-load to avoid circulars
+  const { ingestMessage } = require('./ingest');
+  const { stored_message_id, idempotent } = await ingestMessage(msg);
+
+  await query(`
+    INSERT INTO events (type, payload, ts)
+    VALUES ('capture_replayed', $1, now())
+  `, [JSON.stringify({ capture_id: capture.id, route: capture.route, message_id: stored_message_id, idempotent })]);
+
+  return { capture_id: capture.id, shape: match.shape, message_id: stored_message_id, idempotent };
+}
+
+module.exports = {
+  recordCapture,
+  pruneCaptures,
+  getCapture,
+  getLatestCapture,
+  replayCapture,
+  redactHeaders,
+  CAPTURE_MAX_ROWS
+};
@@ -0,0 +1,175 @@
+/**
+ * Outbound consent gate
+ * Every outbound send asks checkOutbound first: opted-out recipients are blocked,
+ * and non-alarm messages are held back during the contact's quiet hours
+ */
+
+const { query } = require('../db');
+const { localClock, parseTime } = require('./oncall');
+
+// opt_out: send unless the contact opted out; opt_in: send only to contacts who opted in
+const CONSENT_MODE = process.env.CONSENT_MODE === 'opt_in' ? 'opt_in' : 'opt_out';
+
+/**
+ * @typedef {Object} OutboundDecision
+ * @property {boolean} allowed - Whether the message may go out now
+ * @property {string} [reason] - opt_out | no_consent | quiet_hours
+ * @property {Date} [defer_until] - When a quiet-hours hold ends
+ * @property {string|null} contact_id - Matching contact, if any
+ */
+
+/**
+ * Minutes from now until the end of a quiet-hours window, or 0 when outside it
+ * @param {number} minutes - Local minute of day
+ * @param {number} start - Window start (minutes)
+ * @param {number} end - Window end (minutes); end <= start wraps midnight
+ * @returns {number} Minutes remaining
+ */
+function quietMinutesLeft(minutes, start, end) {
+  if (start === end) return 0;
+  if (start < end) {
+    return minutes >= start && minutes < end ? end - minutes : 0;
+  }
+  if (minutes >= start) return 1440 - minutes + end;
+  if (minutes < end) return end - minutes;
+  return 0;
+}
+
+/**
+ * Decide whether an outbound message may be sent
+ * @param {Object} params - Send details
+ * @param {string} params.to - Recipient MSISDN (any formatting)
+ * @param {string} params.channel - sms | wa
+ * @param {string} [params.priority] - alarm | normal; alarms ignore quiet hours
+ * @param {Date} [params.at] - Moment of sending (defaults to now)
+ * @returns {Promise<OutboundDecision>} Decision
+ */
+async function checkOutbound({ to, channel, priority = 'normal', at = new Date() }) {
+  const msisdn = String(to || '').replace(/\D+/g, '');
+  const result = await query(`
+    SELECT c.id, c.timezone,
+           c.quiet_hours_start::text AS quiet_hours_start,
+           c.quiet_hours_end::text AS quiet_hours_end,
+           s.status AS consent
+    FROM contacts c
+    LEFT JOIN consents s ON s.contact_id = c.id AND s.channel = $2
+    WHERE c.primary_msisdn = $1
+  `, [msisdn, channel]);
+
+  const contact = result.rows[0];
+  if (!contact) {
+    return CONSENT_MODE === 'opt_in'
+      ? { allowed: false, reason: 'no_consent', contact_id: null }
+      : { allowed: true, contact_id: null };
+  }
+
+  if (contact.consent === 'opt_out') {
+    return { allowed: false, reason: 'opt_out', contact_id: contact.id };
+  }
+  if (CONSENT_MODE === 'opt_in' && contact.consent !== 'opt_in') {
+    return { allowed: false, reason: 'no_consent', contact_id: contact.id };
+  }
+
+  if (priority !== 'alarm' && contact.quiet_hours_start && contact.quiet_hours_end) {
+    const clock = localClock(at, contact.timezone);
+    const left = quietMinutesLeft(clock.minutes, parseTime(contact.quiet_hours_start), parseTime(contact.quiet_hours_end));
+    if (left > 0) {
+      return {
+        allowed: false,
+        reason: 'quiet_hours',
+        defer_until: new Date(at.getTime() + left * 60000),
+        contact_id: contact.id
+      };
+    }
+  }
+
+  return { allowed: true, contact_id: contact.id };
+}
+
+/**
+ * Priority of a stored outbound message: anything linked to an incident is an alarm
+ * @param {{ incident_id?: string|null, meta?: Object|null }} message - Message row
+ * @returns {string} alarm | normal
+ */
+function messagePriority(message) {
+  if (message.meta && message.meta.priority) return message.meta.priority;
+  return message.incident_id ? 'alarm' : 'normal';
+}
+
+/**
+ * Whether a stored message skips the gate: STOP/START confirmations must reach someone who just opted out
+ * @param {{ meta?: Object|null }} message - Message row
+ * @returns {boolean} Whether the message is exempt
+ */
+function isGateExempt(message) {
+  return !!(message.meta && message.meta.kind === 'consent_confirmation');
+}
+
+/**
+ * Apply a negative decision to a stored message
+ * Consent blocks are final (status 'blocked'); quiet hours keep it queued until the window ends
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string} messageId - Message id
+ * @param {OutboundDecision} decision - Decision from checkOutbound
+ * @returns {Promise<{ status: string, reason: string, next_attempt_at?: Date }>} Resulting state
+ */
+async function applyDecision(db, messageId, decision) {
+  if (decision.reason === 'quiet_hours') {
+    await db.query(`
+      UPDATE messages
+      SET status = 'queued', next_attempt_at = $2, block_reason = 'quiet_hours'
+      WHERE id = $1
+    `, [messageId, decision.defer_until]);
+    return { status: 'queued', reason: 'quiet_hours', next_attempt_at: decision.defer_until };
+  }
+
+  await db.query(`
+    UPDATE messages
+    SET status = 'blocked', block_reason = $2
+    WHERE id = $1
+  `, [messageId, decision.reason]);
+  return { status: 'blocked', reason: decision.reason };
+}
+
+/**
+ * Record a send that never got a messages row because it was blocked (router fan-out, /sms/direct)
+ * @param {Object} params - Blocked send
+ * @param {string} params.channel - sms | wa
+ * @param {string} params.to - Recipient
+ * @param {string} [params.body] - Text that would have been sent
+ * @param {string} params.reason - Block reason
+ * @param {string} params.source - Path that tried to send (router, sms_direct, ...)
+ * @param {Object} [params.meta] - Extra metadata
+ * @param {string|null} [params.orgId] - Organisation the send was for, so the row shows in its message log
+ * @returns {Promise<string>} Message id
+ */
+async function recordBlockedSend({ channel, to, body = null, reason, source, meta = {}, orgId = null }) {
+  const result = await query(`
+    INSERT INTO messages (
+      channel, provider, provider_id, direction, from_msisdn, to_msisdn, body, meta, status, block_reason, org_id
+    ) VALUES (
+      $1, 'internal', $2, 'out', NULL, $3, $4, $5, 'blocked', $6, $7
+    )
+    RETURNING id
+  `, [
+    channel,
+    `blocked-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`,
+    String(to || '').replace(/\D+/g, ''),
+    body,
+    JSON.stringify({ ...meta, source }),
+    reason,
+    orgId
+  ]);
+
+  console.log(JSON.stringify({ event: 'outbound_blocked', source, channel, to, reason, message_id: result.rows[0].id }));
+  return result.rows[0].id;
+}
+
+module.exports = {
+  checkOutbound,
+  messagePriority,
+  isGateExempt,
+  applyDecision,
+  recordBlockedSend,
+  CONSENT_MODE
+};
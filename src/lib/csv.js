@@ -0,0 +1,127 @@
+/**
+ * CSV reading and writing
+ * RFC 4180 quoting (quoted commas, doubled quotes, line breaks inside quotes), plus what spreadsheet
+ * exports add: a UTF-8 BOM, a leading "sep=;" line, and ';' or tab as the delimiter
+ */
+
+const { createValidationError } = require('../validate');
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line (the one that splits it into the most cells wins)
+ * @param {string} line - Header line
+ * @returns {string} Delimiter
+ */
+function detectDelimiter(line) {
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = line.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Options
+ * @param {string} [options.delimiter] - Cell delimiter (detected from the first line by default)
+ * @returns {{ rows: Array<{ line: number, cells: string[] }>, delimiter: string }} Rows with their 1-based
+ *   starting line numbers; blank lines are skipped
+ * @throws {Error} VALIDATION_ERROR when a quoted cell is never closed
+ */
+function parseCsv(text, options = {}) {
+  let input = String(text || '').replace(/^\uFEFF/, '');
+
+  // Excel's "sep=;" hint line
+  let delimiter = options.delimiter;
+  let line = 1;
+  const sepHint = input.match(/^sep=(.)\r?\n/i);
+  if (sepHint) {
+    delimiter = delimiter || sepHint[1];
+    input = input.slice(sepHint[0].length);
+    line = 2;
+  }
+  if (!delimiter) delimiter = detectDelimiter(input.split(/\r?\n/, 1)[0]);
+
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let rowLine = line;
+  let quoteLine = 0;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+      quoteLine = line;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) {
+    throw createValidationError(`Unterminated quoted cell starting on line ${quoteLine}`, 'csv');
+  }
+  if (cell !== '' || cells.length > 0) endRow();
+
+  return { rows, delimiter };
+}
+
+/**
+ * Quote a cell when it needs it
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string} CSV cell
+ */
+function formatCell(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n;\t]/.test(str) || /^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Write rows as CSV (CRLF line endings, as spreadsheets expect)
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  formatCell
+};
@@ -0,0 +1,124 @@
+/**
+ * Delivery status callbacks
+ * After accepting a message the Bridge reports sent, delivered, read or failed, keyed by the WhatsApp id
+ * it returned (messages.meta.wa_id). Status only moves forward, sent → failed → delivered → read, so
+ * late or repeated callbacks never undo a later state; each state's time is stamped the first time it
+ * is reported, even out of order
+ */
+
+const { toIso } = require('./waInbound');
+
+const CALLBACK_STATES = ['sent', 'delivered', 'read', 'failed'];
+
+// Callbacks move a message to a higher rank only; blocked and permanently_failed rows are left alone
+const STATUS_RANK = { queued: 0, sending: 0, sent: 1, failed: 2, delivered: 3, read: 4 };
+
+/**
+ * @typedef {Object} StatusCallback
+ * @property {string} wa_id - WhatsApp message id
+ * @property {string} status - sent | delivered | read | failed
+ * @property {string} ts - ISO timestamp of the status
+ * @property {string|null} to - Recipient, digits only
+ * @property {string|null} error - Failure reason (failed only)
+ */
+
+/**
+ * Normalize one status object (Bridge flat shape or Cloud API status)
+ * @param {Object} s - Status object
+ * @returns {StatusCallback|null} Normalized status, or null when unusable
+ */
+function normalizeStatus(s) {
+  if (!s || typeof s !== 'object') return null;
+  const waId = s.wa_id || s.id || s.message_id;
+  const status = String(s.status || '').toLowerCase();
+  if (!waId || !CALLBACK_STATES.includes(status)) return null;
+
+  const firstError = Array.isArray(s.errors) ? s.errors[0] : null;
+  const error = status !== 'failed' ? null
+    : firstError ? (firstError.title || firstError.message || `error ${firstError.code}`)
+    : (s.error || s.reason || 'failed');
+
+  return {
+    wa_id: String(waId),
+    status,
+    ts: toIso(s.timestamp || s.ts),
+    to: String(s.to || s.recipient_id || '').replace(/\D+/g, '') || null,
+    error: error ? String(error).slice(0, 500) : null
+  };
+}
+
+/**
+ * Extract statuses from a webhook body
+ * Accepts the Bridge flat shape ({ wa_id, to, status, timestamp } or { statuses: [...] })
+ * and the Cloud API envelope (entry[].changes[].value.statuses[])
+ * @param {Object} body - Webhook body
+ * @returns {StatusCallback[]} Normalized statuses
+ */
+function parseStatusCallbacks(body) {
+  if (!body || typeof body !== 'object') return [];
+
+  let raw = [];
+  if (Array.isArray(body.entry)) {
+    for (const entry of body.entry) {
+      for (const change of entry.changes || []) {
+        raw.push(...(change.value?.statuses || []));
+      }
+    }
+  } else if (Array.isArray(body.statuses)) {
+    raw = body.statuses;
+  } else {
+    raw = [body];
+  }
+
+  return raw.map(normalizeStatus).filter(Boolean);
+}
+
+/**
+ * Apply a status callback to the outbound message it belongs to
+ * @param {Object} client - Transaction client
+ * @param {StatusCallback} callback - Status
+ * @returns {Promise<Object>} { wa_id, matched, message_id, status, changed }
+ */
+async function applyStatusCallback(client, callback) {
+  const found = await client.query(`
+    SELECT id, status
+    FROM messages
+    WHERE meta->>'wa_id' = $1 AND direction = 'out'
+    ORDER BY ts DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [callback.wa_id]);
+  const message = found.rows[0];
+  if (!message) return { wa_id: callback.wa_id, matched: false };
+
+  const advance = message.status in STATUS_RANK && STATUS_RANK[callback.status] > STATUS_RANK[message.status];
+  const column = `${callback.status}_at`;
+  const updated = await client.query(`
+    UPDATE messages
+    SET status = COALESCE($2::message_status_t, status),
+        ${column} = COALESCE(${column}, $3),
+        last_error = COALESCE($4, last_error),
+        last_error_at = CASE WHEN $4::text IS NULL THEN last_error_at ELSE $3 END
+    WHERE id = $1
+    RETURNING status
+  `, [
+    message.id,
+    advance ? callback.status : null,
+    callback.ts,
+    advance && callback.status === 'failed' ? callback.error : null
+  ]);
+
+  return {
+    wa_id: callback.wa_id,
+    matched: true,
+    message_id: message.id,
+    status: updated.rows[0].status,
+    changed: advance
+  };
+}
+
+module.exports = {
+  CALLBACK_STATES,
+  parseStatusCallbacks,
+  applyStatusCallback
+};
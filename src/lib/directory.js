@@ -0,0 +1,341 @@
+/**
+ * Contact directory
+ * One interface over the places that map a lift MSISDN to its alert recipients:
+ * Postgres (lifts + lift and building contacts), Firestore (`contacts` collection) and the CSV registry.
+ * DIRECTORY_BACKEND picks the one the routers use; compareBackends reports where they disagree
+ */
+
+const fs = require('fs');
+const { query } = require('../db');
+const { createValidationError } = require('../validate');
+const { parseRegistry } = require('./registry');
+
+const DIRECTORY_BACKEND = process.env.DIRECTORY_BACKEND || 'firestore';
+const REGISTRY_PATH = process.env.REGISTRY_PATH || './data/registry.csv';
+const FIRESTORE_CONTACTS_COLLECTION = process.env.FIRESTORE_CONTACTS_COLLECTION || 'contacts';
+
+const BACKENDS = ['postgres', 'firestore', 'csv'];
+
+/**
+ * @typedef {Object} DirectoryRecipient
+ * @property {string} msisdn - WhatsApp number, digits only
+ * @property {string|null} contact_id - Postgres contact id or Firestore doc id, when known
+ * @property {string|null} name - Display name, when known
+ * @property {string|null} relation - Relation to the lift, when known
+ */
+
+/**
+ * @typedef {Object} DirectoryEntry
+ * @property {string} msisdn - Lift MSISDN, digits only
+ * @property {string|null} lift_id - Lift id in the source (uuid in Postgres, lift code elsewhere)
+ * @property {string|null} lift_code - Registry lift code (e.g. L01)
+ * @property {string|null} name - Site or lift name
+ * @property {string|null} building - Building
+ * @property {string|null} building_code - Building code
+ * @property {string|null} region - Region code
+ * @property {DirectoryRecipient[]} recipients - Alert recipients
+ * @property {string} source - Backend the entry came from
+ */
+
+/**
+ * @typedef {Object} Directory
+ * @property {string} name - Backend name
+ * @property {function(string): Promise<DirectoryEntry|null>} lookup - Entry for one lift MSISDN
+ * @property {function(): Promise<DirectoryEntry[]>} list - Every entry
+ */
+
+/**
+ * Strip a number down to digits
+ * @param {*} value - Raw number
+ * @returns {string} Digits
+ */
+function digits(value) {
+  return String(value || '').replace(/\D+/g, '');
+}
+
+/**
+ * Add recipients to an entry, skipping blanks and numbers already present
+ * @param {DirectoryEntry} entry - Entry to extend
+ * @param {DirectoryRecipient[]} recipients - Recipients to add
+ * @returns {DirectoryEntry} The entry
+ */
+function addRecipients(entry, recipients) {
+  for (const recipient of recipients) {
+    const msisdn = digits(recipient.msisdn);
+    if (!msisdn || entry.recipients.some(r => r.msisdn === msisdn)) continue;
+    entry.recipients.push({ contact_id: null, name: null, relation: null, ...recipient, msisdn });
+  }
+  return entry;
+}
+
+/**
+ * Postgres directory: lifts and their linked contacts, building contacts included
+ * @returns {Directory} Directory
+ */
+function createPostgresDirectory() {
+  const select = `
+    SELECT l.id, l.msisdn, l.site_name, l.building, l.building_code, l.lift_code, l.region,
+           c.id AS contact_id, c.display_name, c.primary_msisdn, lc.relation
+    FROM lifts l
+    LEFT JOIN lift_recipients lc ON lc.lift_id = l.id
+    LEFT JOIN contacts c ON c.id = lc.contact_id AND c.primary_msisdn IS NOT NULL`;
+
+  const toEntries = (rows) => {
+    const entries = new Map();
+    for (const row of rows) {
+      if (!entries.has(row.id)) {
+        entries.set(row.id, {
+          msisdn: digits(row.msisdn),
+          lift_id: row.id,
+          lift_code: row.lift_code,
+          name: row.site_name,
+          building: row.building,
+          building_code: row.building_code,
+          region: row.region,
+          recipients: [],
+          source: 'postgres'
+        });
+      }
+      if (row.contact_id) {
+        addRecipients(entries.get(row.id), [{
+          msisdn: row.primary_msisdn,
+          contact_id: row.contact_id,
+          name: row.display_name,
+          relation: row.relation
+        }]);
+      }
+    }
+    return [...entries.values()];
+  };
+
+  return {
+    name: 'postgres',
+    async lookup(msisdn) {
+      const result = await query(`${select} WHERE l.msisdn = $1 ORDER BY c.display_name NULLS LAST`, [digits(msisdn)]);
+      return toEntries(result.rows)[0] || null;
+    },
+    async list() {
+      const result = await query(`${select} ORDER BY l.msisdn, c.display_name NULLS LAST`);
+      return toEntries(result.rows);
+    }
+  };
+}
+
+/**
+ * Firestore directory
+ * Reads both document shapes in use: one doc per lift keyed by its MSISDN with `wa_destinations`
+ * (router.js, setup-contact.js), and one doc per recipient with `msisdn` + `whatsapp` (router-job.js)
+ * @param {Object} [options] - Options
+ * @param {Object} [options.firestore] - Firestore instance (created on first use by default)
+ * @param {string} [options.collection] - Collection name
+ * @returns {Directory} Directory
+ */
+function createFirestoreDirectory({ firestore = null, collection = FIRESTORE_CONTACTS_COLLECTION } = {}) {
+  // Created lazily so Postgres/CSV deployments never need Firestore credentials
+  const contacts = () => {
+    if (!firestore) {
+      const { Firestore } = require('@google-cloud/firestore');
+      firestore = new Firestore();
+    }
+    return firestore.collection(collection);
+  };
+
+  const entryFor = (msisdn) => ({
+    msisdn,
+    lift_id: null,
+    lift_code: null,
+    name: null,
+    building: null,
+    building_code: null,
+    region: null,
+    recipients: [],
+    source: 'firestore'
+  });
+
+  // Fold one document into the entries map, whichever shape it has
+  const collect = (entries, doc) => {
+    const data = doc.data() || {};
+    if (Array.isArray(data.wa_destinations)) {
+      const msisdn = digits(doc.id);
+      const entry = entries.get(msisdn) || entryFor(msisdn);
+      entry.lift_id = entry.lift_id || data.lift_id || null;
+      entry.lift_code = entry.lift_id;
+      entry.name = entry.name || data.lift_name || null;
+      entry.building = data.building || entry.building;
+      entry.building_code = data.building_code || entry.building_code;
+      entry.region = data.region || entry.region;
+      addRecipients(entry, data.wa_destinations.map(msisdn => ({ msisdn })));
+      entries.set(msisdn, entry);
+    }
+    if (data.msisdn && data.whatsapp) {
+      const msisdn = digits(data.msisdn);
+      const entry = entries.get(msisdn) || entryFor(msisdn);
+      entry.lift_id = entry.lift_id || data.lift_id || null;
+      entry.lift_code = entry.lift_id;
+      entry.name = entry.name || data.lift_name || null;
+      addRecipients(entry, [{ msisdn: data.whatsapp, contact_id: doc.id, name: data.name || null }]);
+      entries.set(msisdn, entry);
+    }
+  };
+
+  return {
+    name: 'firestore',
+    async lookup(msisdn) {
+      const key = digits(msisdn);
+      const [doc, snapshot] = await Promise.all([
+        contacts().doc(key).get(),
+        contacts().where('msisdn', '==', key).get()
+      ]);
+      const entries = new Map();
+      if (doc.exists) collect(entries, doc);
+      snapshot.forEach(d => collect(entries, d));
+      return entries.get(key) || null;
+    },
+    async list() {
+      const snapshot = await contacts().get();
+      const entries = new Map();
+      snapshot.forEach(doc => collect(entries, doc));
+      return [...entries.values()];
+    }
+  };
+}
+
+/**
+ * CSV registry directory
+ * Registry layout (see registry.js); the file is read once and cached until reload(), and invalid rows
+ * are skipped with a warning
+ * @param {Object} [options] - Options
+ * @param {string} [options.path] - Registry file
+ * @returns {Directory & { reload: function(): number }} Directory
+ */
+function createCsvDirectory({ path = REGISTRY_PATH } = {}) {
+  let entries = null;
+
+  const reload = () => {
+    entries = new Map();
+    if (!fs.existsSync(path)) return 0;
+    let parsed;
+    try {
+      parsed = parseRegistry(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      console.error(`[registry] could not parse ${path}:`, error.message);
+      return 0;
+    }
+    for (const entry of parsed.entries) entries.set(entry.msisdn, entry);
+    if (parsed.errors.length > 0) {
+      console.warn(`[registry] skipped invalid rows in ${path}:`, JSON.stringify(parsed.errors));
+    }
+    console.log(`[registry] loaded ${entries.size} entries from ${path}`);
+    return entries.size;
+  };
+
+  const loaded = () => {
+    if (!entries) reload();
+    return entries;
+  };
+
+  return {
+    name: 'csv',
+    reload,
+    async lookup(msisdn) {
+      return loaded().get(digits(msisdn)) || null;
+    },
+    async list() {
+      return [...loaded().values()];
+    }
+  };
+}
+
+const FACTORIES = {
+  postgres: createPostgresDirectory,
+  firestore: createFirestoreDirectory,
+  csv: createCsvDirectory
+};
+
+const instances = new Map();
+
+/**
+ * Directory for a backend (DIRECTORY_BACKEND by default); instances are shared per process
+ * @param {string} [name] - postgres | firestore | csv
+ * @returns {Directory} Directory
+ */
+function getDirectory(name = DIRECTORY_BACKEND) {
+  if (!FACTORIES[name]) {
+    throw createValidationError(`Unknown directory backend: ${name} (expected ${BACKENDS.join(', ')})`, 'backend');
+  }
+  if (!instances.has(name)) instances.set(name, FACTORIES[name]());
+  return instances.get(name);
+}
+
+/**
+ * Compare recipients per lift across backends
+ * A lift is reported when it is missing from a backend or its recipient numbers differ
+ * @param {string[]} [names] - Backends to compare (all by default)
+ * @returns {Promise<Object>} Report with per-backend counts and the differing lifts
+ */
+async function compareBackends(names = BACKENDS) {
+  const listed = {};
+  const errors = {};
+  for (const name of names) {
+    try {
+      listed[name] = await getDirectory(name).list();
+    } catch (error) {
+      // One unreachable backend should not hide differences between the others
+      if (error.code === 'VALIDATION_ERROR') throw error;
+      errors[name] = error.message;
+    }
+  }
+
+  const available = Object.keys(listed);
+  const byMsisdn = new Map();
+  for (const name of available) {
+    for (const entry of listed[name]) {
+      if (!byMsisdn.has(entry.msisdn)) byMsisdn.set(entry.msisdn, {});
+      byMsisdn.get(entry.msisdn)[name] = entry;
+    }
+  }
+
+  const differences = [];
+  for (const [msisdn, sources] of byMsisdn) {
+    const recipients = {};
+    for (const name of available) {
+      recipients[name] = sources[name] ? sources[name].recipients.map(r => r.msisdn).sort() : null;
+    }
+    const signatures = new Set(available.map(name => JSON.stringify(recipients[name])));
+    if (signatures.size <= 1) continue;
+
+    const union = [...new Set(Object.values(recipients).filter(Boolean).flat())].sort();
+    const missing = {};
+    for (const name of available) {
+      const have = recipients[name] || [];
+      const gaps = union.filter(r => !have.includes(r));
+      if (gaps.length > 0) missing[name] = gaps;
+    }
+
+    differences.push({
+      msisdn,
+      missing_in: available.filter(name => !sources[name]),
+      recipients,
+      missing_recipients: missing
+    });
+  }
+
+  differences.sort((a, b) => a.msisdn.localeCompare(b.msisdn));
+  return {
+    active_backend: DIRECTORY_BACKEND,
+    backends: Object.fromEntries(available.map(name => [name, { lifts: listed[name].length }])),
+    errors,
+    lifts_compared: byMsisdn.size,
+    differences
+  };
+}
+
+module.exports = {
+  getDirectory,
+  compareBackends,
+  createPostgresDirectory,
+  createFirestoreDirectory,
+  createCsvDirectory,
+  BACKENDS,
+  DIRECTORY_BACKEND
+};
@@ -0,0 +1,238 @@
+/**
+ * Directory → Postgres import
+ * Upserts directory entries (from the Firestore `contacts` collection or a registry CSV) into lifts,
+ * contacts and lift_contacts, placing lifts in the building their site/building names point to.
+ * Empty source fields never overwrite Postgres values, so re-running an import only applies what
+ * changed; every created or changed record is logged to events
+ */
+
+const { query, withTxn } = require('../db');
+const { getDirectory } = require('./directory');
+const { placeLift } = require('./buildings');
+
+// Relation given to new links (neither Firestore nor the registry has a notion of relation)
+const IMPORT_RELATION = process.env.FIRESTORE_IMPORT_RELATION || 'tenant';
+
+/**
+ * @typedef {Object} ImportChange
+ * @property {'lift'|'contact'|'lift_contact'} entity - Table the change applies to
+ * @property {'create'|'update'} action - Change kind
+ * @property {Object} key - Natural key (msisdn / primary_msisdn / both for links)
+ * @property {Object|null} before - Current Postgres values (null when creating)
+ * @property {Object} after - Values after the import
+ */
+
+/**
+ * Values from `incoming` that are set and differ from `current`
+ * @param {Object|null} current - Current row
+ * @param {Object} incoming - Candidate values
+ * @returns {Object} Changed fields
+ */
+function changedFields(current, incoming) {
+  const changed = {};
+  for (const [field, value] of Object.entries(incoming)) {
+    if (value === null || value === undefined || value === '') continue;
+    if (!current || current[field] !== value) changed[field] = value;
+  }
+  return changed;
+}
+
+/**
+ * Work out what importing directory entries would change in Postgres
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {import('./directory').DirectoryEntry[]} entries - Entries to import
+ * @returns {Promise<ImportChange[]>} Changes, lifts and contacts before the links that need them
+ */
+async function planImport(db, entries) {
+  const liftMsisdns = entries.map(e => e.msisdn);
+  const contactMsisdns = [...new Set(entries.flatMap(e => e.recipients.map(r => r.msisdn)))];
+
+  const [lifts, contacts, links] = await Promise.all([
+    db.query(`
+      SELECT msisdn, site_name, building, building_code, lift_code, region
+      FROM lifts WHERE msisdn = ANY($1)
+    `, [liftMsisdns]),
+    db.query('SELECT primary_msisdn, display_name FROM contacts WHERE primary_msisdn = ANY($1)', [contactMsisdns]),
+    db.query(`
+      SELECT l.msisdn AS lift_msisdn, c.primary_msisdn AS contact_msisdn
+      FROM lift_contacts lc
+      JOIN lifts l ON l.id = lc.lift_id
+      JOIN contacts c ON c.id = lc.contact_id
+      WHERE l.msisdn = ANY($1)
+    `, [liftMsisdns])
+  ]);
+
+  const liftRows = new Map(lifts.rows.map(r => [r.msisdn, r]));
+  const contactRows = new Map(contacts.rows.map(r => [r.primary_msisdn, r]));
+  const linkKeys = new Set(links.rows.map(r => `${r.lift_msisdn}:${r.contact_msisdn}`));
+
+  const liftChanges = [];
+  const contactChanges = new Map();
+  const linkChanges = [];
+
+  for (const entry of entries) {
+    const current = liftRows.get(entry.msisdn) || null;
+    const changed = changedFields(current, {
+      site_name: entry.name,
+      building: entry.building,
+      building_code: entry.building_code,
+      lift_code: entry.lift_code,
+      region: entry.region
+    });
+    if (!current || Object.keys(changed).length > 0) {
+      liftChanges.push({
+        entity: 'lift',
+        action: current ? 'update' : 'create',
+        key: { msisdn: entry.msisdn },
+        before: current,
+        after: { msisdn: entry.msisdn, ...(current || {}), ...changed }
+      });
+    }
+
+    for (const recipient of entry.recipients) {
+      const existing = contactRows.get(recipient.msisdn) || null;
+      const contactChanged = changedFields(existing, { display_name: recipient.name });
+      if ((!existing || Object.keys(contactChanged).length > 0) && !contactChanges.has(recipient.msisdn)) {
+        contactChanges.set(recipient.msisdn, {
+          entity: 'contact',
+          action: existing ? 'update' : 'create',
+          key: { primary_msisdn: recipient.msisdn },
+          before: existing,
+          after: { primary_msisdn: recipient.msisdn, ...(existing || {}), ...contactChanged }
+        });
+      }
+
+      if (!linkKeys.has(`${entry.msisdn}:${recipient.msisdn}`)) {
+        linkKeys.add(`${entry.msisdn}:${recipient.msisdn}`);
+        linkChanges.push({
+          entity: 'lift_contact',
+          action: 'create',
+          key: { lift_msisdn: entry.msisdn, contact_msisdn: recipient.msisdn },
+          before: null,
+          after: { relation: IMPORT_RELATION }
+        });
+      }
+    }
+  }
+
+  return [...liftChanges, ...contactChanges.values(), ...linkChanges];
+}
+
+/**
+ * Write one planned change and log it to events
+ * @param {Object} client - Transaction client
+ * @param {ImportChange} change - Planned change
+ * @param {Object} context - { source, actor, run_at }
+ */
+async function applyChange(client, change, context) {
+  let liftId = null;
+  let contactId = null;
+
+  if (change.entity === 'lift') {
+    const result = await client.query(`
+      INSERT INTO lifts (msisdn, site_name, building, building_code, lift_code, region)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (msisdn) DO UPDATE SET
+        site_name = COALESCE(EXCLUDED.site_name, lifts.site_name),
+        building = COALESCE(EXCLUDED.building, lifts.building),
+        building_code = COALESCE(EXCLUDED.building_code, lifts.building_code),
+        lift_code = COALESCE(EXCLUDED.lift_code, lifts.lift_code),
+        region = COALESCE(EXCLUDED.region, lifts.region)
+      RETURNING id
+    `, [
+      change.key.msisdn,
+      change.after.site_name || null,
+      change.after.building || null,
+      change.after.building_code || null,
+      change.after.lift_code || null,
+      change.after.region || null
+    ]);
+    liftId = result.rows[0].id;
+    await placeLift(client, liftId, context.actor);
+  } else if (change.entity === 'contact') {
+    const result = await client.query(`
+      INSERT INTO contacts (primary_msisdn, display_name)
+      VALUES ($1, $2)
+      ON CONFLICT (primary_msisdn) DO UPDATE SET
+        display_name = COALESCE(EXCLUDED.display_name, contacts.display_name),
+        updated_at = now()
+      RETURNING id
+    `, [change.key.primary_msisdn, change.after.display_name || null]);
+    contactId = result.rows[0].id;
+  } else {
+    const result = await client.query(`
+      INSERT INTO lift_contacts (lift_id, contact_id, relation)
+      SELECT l.id, c.id, $3
+      FROM lifts l, contacts c
+      WHERE l.msisdn = $1 AND c.primary_msisdn = $2
+      ON CONFLICT (lift_id, contact_id) DO NOTHING
+      RETURNING lift_id, contact_id
+    `, [change.key.lift_msisdn, change.key.contact_msisdn, change.after.relation]);
+    // Already linked by a concurrent run
+    if (result.rows.length === 0) return false;
+    ({ lift_id: liftId, contact_id: contactId } = result.rows[0]);
+  }
+
+  await client.query(`
+    INSERT INTO events (lift_id, contact_id, type, payload, ts)
+    VALUES ($1, $2, $3, $4, now())
+  `, [liftId, contactId, `${context.source}_import`, JSON.stringify({ ...change, actor: context.actor, run_at: context.run_at })]);
+  return true;
+}
+
+/**
+ * Import directory entries into Postgres
+ * @param {import('./directory').DirectoryEntry[]} entries - Entries to import
+ * @param {Object} options - Options
+ * @param {string} options.source - Where the entries came from (firestore | registry); events are `<source>_import`
+ * @param {boolean} [options.dryRun=true] - Only report the diff
+ * @param {string} [options.actor] - Who started the import (logged on each event)
+ * @returns {Promise<Object>} Summary with counts per entity/action and the changes
+ */
+async function importEntries(entries, { source, dryRun = true, actor = 'system' }) {
+  const context = { source, actor, run_at: new Date().toISOString() };
+
+  const changes = dryRun
+    ? await planImport({ query }, entries)
+    : await withTxn(async (client) => {
+      // Plan again under the transaction so a concurrent edit cannot slip between diff and write
+      const planned = await planImport(client, entries);
+      const applied = [];
+      for (const change of planned) {
+        if (await applyChange(client, change, context)) applied.push(change);
+      }
+      return applied;
+    });
+
+  const summary = {};
+  for (const change of changes) {
+    const key = `${change.entity}_${change.action}`;
+    summary[key] = (summary[key] || 0) + 1;
+  }
+
+  return {
+    dry_run: dryRun,
+    source_lifts: entries.length,
+    source_recipients: entries.reduce((n, e) => n + e.recipients.length, 0),
+    summary,
+    changes
+  };
+}
+
+/**
+ * Import the Firestore contacts collection (both document layouts) into Postgres
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=true] - Only report the diff
+ * @param {string} [options.actor] - Who started the import
+ * @param {import('./directory').Directory} [options.directory] - Source (the firestore backend by default)
+ * @returns {Promise<Object>} Import summary
+ */
+async function importFromFirestore({ dryRun = true, actor = 'system', directory = getDirectory('firestore') } = {}) {
+  return importEntries(await directory.list(), { source: 'firestore', dryRun, actor });
+}
+
+module.exports = {
+  importEntries,
+  importFromFirestore,
+  planImport
+};
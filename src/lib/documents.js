@@ -0,0 +1,163 @@
+/**
+ * PDF documents for WhatsApp
+ * Documents sent with /send/document or generated as reports are stored once in `documents`; each
+ * outbound message points at its document, so the retry worker resends the file and the messages
+ * table stays small
+ */
+
+const crypto = require('crypto');
+const { createValidationError } = require('../validate');
+
+// Largest PDF accepted, decoded (the Bridge takes up to 100 MB; documents live in Postgres)
+const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES || String(5 * 1024 * 1024));
+const MAX_CAPTION_LENGTH = 1024;
+
+const FILENAME_PATTERN = /^[^\\/:*?"<>|\x00-\x1f]{1,196}\.pdf$/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Decode and check an uploaded PDF (throws VALIDATION_ERROR)
+ * @param {Object} body - pdf (base64, optionally as a data: URL), filename, caption
+ * @returns {{ filename: string, caption: string|null, content: Buffer }} Document
+ */
+function decodeDocument(body) {
+  if (typeof body.pdf !== 'string' || body.pdf.trim() === '') {
+    throw createValidationError('Missing required field: pdf (base64)', 'pdf');
+  }
+  const encoded = body.pdf.replace(/^data:application\/pdf;base64,/, '').replace(/\s+/g, '');
+  if (encoded.length % 4 !== 0 || !BASE64_PATTERN.test(encoded)) {
+    throw createValidationError('Field pdf must be base64 encoded', 'pdf');
+  }
+  const content = Buffer.from(encoded, 'base64');
+  if (content.length > DOCUMENT_MAX_BYTES) {
+    throw createValidationError(`Document is ${content.length} bytes; the limit is ${DOCUMENT_MAX_BYTES}`, 'pdf');
+  }
+  if (content.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw createValidationError('Field pdf is not a PDF document', 'pdf');
+  }
+
+  const filename = typeof body.filename === 'string' ? body.filename.trim() : '';
+  if (!FILENAME_PATTERN.test(filename)) {
+    throw createValidationError('Field filename must be a file name ending in .pdf (up to 200 characters, no path)', 'filename');
+  }
+  if (body.caption !== undefined && body.caption !== null && typeof body.caption !== 'string') {
+    throw createValidationError('Field caption must be a string', 'caption');
+  }
+  const caption = body.caption ? body.caption.trim() : null;
+  if (caption && caption.length > MAX_CAPTION_LENGTH) {
+    throw createValidationError(`Field caption exceeds maximum length of ${MAX_CAPTION_LENGTH}`, 'caption');
+  }
+
+  return { filename, caption: caption || null, content };
+}
+
+/**
+ * Store a document
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {Object} document - Document
+ * @param {string} document.filename - File name
+ * @param {string|null} [document.caption] - Caption sent with it
+ * @param {Buffer} document.content - PDF bytes
+ * @param {string} [document.kind] - upload (default) | report
+ * @param {string|null} [document.orgId] - Owning organisation
+ * @param {string|null} [document.liftId] - Lift a report is about
+ * @param {Object|null} [document.meta] - Extra details, e.g. the report parameters
+ * @returns {Promise<Object>} Stored row, without its content
+ */
+async function storeDocument(db, { filename, caption = null, content, kind = 'upload', orgId = null, liftId = null, meta = null }) {
+  const result = await db.query(`
+    INSERT INTO documents (org_id, kind, filename, caption, content, size_bytes, sha256, lift_id, meta)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING id, org_id, kind, filename, caption, size_bytes, sha256, lift_id, meta, created_at
+  `, [
+    orgId,
+    kind,
+    filename,
+    caption,
+    content,
+    content.length,
+    crypto.createHash('sha256').update(content).digest('hex'),
+    liftId,
+    meta ? JSON.stringify(meta) : null
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Load a document with its content
+ * @param {Object} db - Query client
+ * @param {string} id - Document id
+ * @returns {Promise<Object|null>} Row (content as a Buffer)
+ */
+async function loadDocument(db, id) {
+  const result = await db.query('SELECT id, filename, caption, content FROM documents WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue a stored document to some recipients (the retry worker delivers it, after the consent gate)
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {Object} document - Stored document row
+ * @param {Array<{ contact_id?: string|null, msisdn: string }>} recipients - Recipients
+ * @param {{ orgId: string|null, incidentId?: string|null, meta?: Object }} options - Owning organisation,
+ * linked incident and extra meta
+ * @returns {Promise<string[]>} Ids of the queued messages
+ */
+async function queueDocument(db, document, recipients, { orgId, incidentId = null, meta = {} }) {
+  const messageIds = [];
+  for (const recipient of recipients) {
+    const inserted = await db.query(`
+      INSERT INTO messages (
+        channel, provider, provider_id, direction, from_msisdn, to_msisdn, body, document_id, meta,
+        status, attempt_count, next_attempt_at, incident_id, org_id
+      ) VALUES (
+        'wa', 'internal', $1, 'out', NULL, $2, $3, $4, $5, 'queued', 0, now(), $6, $7
+      )
+      ON CONFLICT (provider, provider_id) DO NOTHING
+      RETURNING id
+    `, [
+      `document-${document.id}-${recipient.msisdn}`,
+      recipient.msisdn,
+      document.caption,
+      document.id,
+      JSON.stringify({
+        priority: 'normal',
+        ...meta,
+        filename: document.filename,
+        size_bytes: document.size_bytes,
+        contact_id: recipient.contact_id || null
+      }),
+      incidentId,
+      orgId
+    ]);
+    if (inserted.rows.length > 0) messageIds.push(inserted.rows[0].id);
+  }
+  return messageIds;
+}
+
+/**
+ * Bridge send payload for a document
+ * @param {string} to - Recipient
+ * @param {{ filename: string, caption: string|null, content: Buffer }} document - Document
+ * @returns {Object} Payload for POST /api/messages/send
+ */
+function documentPayload(to, { filename, caption, content }) {
+  return {
+    to,
+    type: 'document',
+    document: {
+      pdf: content.toString('base64'),
+      filename,
+      ...(caption ? { caption } : {})
+    }
+  };
+}
+
+module.exports = {
+  DOCUMENT_MAX_BYTES,
+  decodeDocument,
+  storeDocument,
+  loadDocument,
+  queueDocument,
+  documentPayload
+};
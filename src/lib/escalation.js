@@ -0,0 +1,523 @@
+/**
+ * Escalation engine
+ * Notifies wider circles of contacts, tier by tier, while a lift alarm stays unacknowledged
+ */
+
+const crypto = require('crypto');
+const { query, withTxn } = require('../db');
+const { createValidationError } = require('../validate');
+const { resolveOnCall } = require('./oncall');
+const { getTenantSettings, brandText } = require('./organisations');
+const { languageChain, localise, contactLanguages } = require('./i18n');
+const { alarmInteractive } = require('./interactive');
+const { buildAlarmTemplate } = require('./templates');
+
+const ESCALATION_INTERVAL_MS = parseInt(process.env.ESCALATION_INTERVAL_MS || '15000');
+const ESCALATION_BATCH_SIZE = parseInt(process.env.ESCALATION_BATCH_SIZE || '20');
+
+// Send alerts with "Taking it" / "Need help" reply buttons instead of a typed-reply hint
+const ALERT_BUTTONS = process.env.ALERT_BUTTONS === 'true';
+
+/**
+ * @typedef {Object} EscalationTier
+ * @property {string} name - Tier name shown in events and messages
+ * @property {string[]} [relations] - Relation values (lift or building links) notified at this tier
+ * @property {string[]} [msisdns] - Extra numbers notified at this tier
+ * @property {boolean} [oncall] - Also notify whoever is on call for the lift when the tier fires
+ * @property {boolean} [ops_fallback] - Also notify ESCALATION_OPS_MSISDNS
+ * @property {number} after_minutes - Minutes after the incident opened before this tier fires
+ */
+
+/**
+ * Global ops numbers used by tiers with ops_fallback
+ * @returns {string[]} MSISDNs, digits only
+ */
+function opsMsisdns() {
+  return String(process.env.ESCALATION_OPS_MSISDNS || '')
+    .split(',')
+    .map(s => s.replace(/\D+/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Validate a tier list (throws VALIDATION_ERROR)
+ * @param {any} tiers - Candidate tiers
+ * @returns {EscalationTier[]} The validated tiers
+ */
+function validateTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    throw createValidationError('Field tiers must be a non-empty array', 'tiers');
+  }
+
+  let previous = 0;
+  tiers.forEach((tier, i) => {
+    const field = `tiers[${i}]`;
+    if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+      throw createValidationError(`Field ${field} must be an object`, field);
+    }
+    if (typeof tier.name !== 'string' || tier.name.trim() === '') {
+      throw createValidationError(`Field ${field}.name is required`, `${field}.name`);
+    }
+    if (!Number.isInteger(tier.after_minutes) || tier.after_minutes < previous) {
+      throw createValidationError(`Field ${field}.after_minutes must be an integer no smaller than the previous tier`, `${field}.after_minutes`);
+    }
+    for (const key of ['relations', 'msisdns']) {
+      if (tier[key] !== undefined && (!Array.isArray(tier[key]) || tier[key].some(v => typeof v !== 'string' || v.trim() === ''))) {
+        throw createValidationError(`Field ${field}.${key} must be an array of strings`, `${field}.${key}`);
+      }
+    }
+    if (!tier.relations?.length && !tier.msisdns?.length && !tier.ops_fallback && !tier.oncall) {
+      throw createValidationError(`Field ${field} needs relations, msisdns, oncall or ops_fallback`, field);
+    }
+    previous = tier.after_minutes;
+  });
+
+  return tiers;
+}
+
+/**
+ * Load the policy that applies to a lift (its own, else the global default)
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string} liftId - Lift id
+ * @returns {Promise<Object|null>} Policy row with inherited flag, or null
+ */
+async function getPolicyForLift(db, liftId) {
+  const result = await db.query(`
+    SELECT *, (lift_id IS NULL) AS inherited
+    FROM escalation_policies
+    WHERE lift_id = $1 OR lift_id IS NULL
+    ORDER BY (lift_id IS NULL) ASC
+    LIMIT 1
+  `, [liftId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Resolve who a tier notifies for a lift
+ * @param {Object} client - Transaction client
+ * @param {string} liftId - Lift id
+ * @param {EscalationTier} tier - Tier
+ * @returns {Promise<Array<{ contact_id: string|null, msisdn: string }>>} Recipients, de-duplicated by number
+ */
+async function resolveTierRecipients(client, liftId, tier) {
+  const recipients = new Map();
+
+  if (tier.relations?.length) {
+    const result = await client.query(`
+      SELECT c.id, c.primary_msisdn
+      FROM lift_recipients lr
+      JOIN contacts c ON c.id = lr.contact_id
+      WHERE lr.lift_id = $1
+        AND lr.relation = ANY($2::text[])
+        AND c.primary_msisdn IS NOT NULL
+    `, [liftId, tier.relations]);
+    for (const row of result.rows) {
+      recipients.set(row.primary_msisdn, { contact_id: row.id, msisdn: row.primary_msisdn });
+    }
+  }
+
+  if (tier.oncall) {
+    for (const contact of await resolveOnCall(liftId)) {
+      if (contact.primary_msisdn && !recipients.has(contact.primary_msisdn)) {
+        recipients.set(contact.primary_msisdn, { contact_id: contact.contact_id, msisdn: contact.primary_msisdn, rotation: contact.rotation_name });
+      }
+    }
+  }
+
+  const extra = [...(tier.msisdns || []).map(m => m.replace(/\D+/g, '')), ...(tier.ops_fallback ? opsMsisdns() : [])];
+  for (const msisdn of extra) {
+    if (msisdn && !recipients.has(msisdn)) recipients.set(msisdn, { contact_id: null, msisdn });
+  }
+
+  return [...recipients.values()];
+}
+
+/**
+ * Human label for the lift in alert texts
+ * @param {Object} incident - Incident joined with lift fields
+ * @returns {string} Site and building, or the lift MSISDN
+ */
+function liftLabel(incident) {
+  return [incident.site_name, incident.building].filter(Boolean).join(', ') || incident.lift_msisdn;
+}
+
+/**
+ * @typedef {Object} AlertMessage
+ * @property {string} key - Message catalogue key (src/lib/i18n.js)
+ * @property {Object} vars - Placeholder values; reply_hint is added per language
+ */
+
+/**
+ * Build the alert message for a tier
+ * @param {Object} incident - Incident joined with lift fields
+ * @param {EscalationTier} tier - Tier
+ * @param {number} index - Zero-based tier index
+ * @returns {AlertMessage} Message
+ */
+function buildEscalationText(incident, tier, index) {
+  const lift = liftLabel(incident);
+  if (index === 0) {
+    return { key: 'alert_first_tier', vars: { lift } };
+  }
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(incident.opened_at).getTime()) / 60000));
+  return { key: 'alert_escalation', vars: { lift, tier: tier.name, minutes } };
+}
+
+/**
+ * Alert text in the first language of a chain the catalogue has, with the reply hint in the same language
+ * @param {AlertMessage} message - Message
+ * @param {string[]} languages - Language chain
+ * @param {{ hint?: boolean }} [options] - hint: false leaves the reply hint out (the alert has buttons)
+ * @returns {{ lang: string, text: string }} Language used and text
+ */
+function alertText(message, languages, { hint = true } = {}) {
+  const { lang } = localise(message.key, languages);
+  const reply_hint = hint ? localise('reply_hint', lang).text : '';
+  const localised = localise(message.key, lang, { ...message.vars, reply_hint });
+  return { lang, text: localised.text.trim() };
+}
+
+/**
+ * The organisation's alarm template for one alert, or null when it has none or it cannot be filled
+ * WhatsApp rejects free-form text outside the recipient's 24h session window, so alerts go out as the
+ * approved template, like /sms/inbound
+ * @param {Object} client - Transaction client
+ * @param {Object} settings - Tenant settings
+ * @param {Object} incident - Incident joined with lift fields
+ * @param {string} text - Alarm text
+ * @param {string[]} languages - Recipient's language chain
+ * @returns {Promise<Object|null>} Template send from buildAlarmTemplate
+ */
+async function alertTemplate(client, settings, incident, text, languages) {
+  if (!settings.template.name) return null;
+  try {
+    const lift = { msisdn: incident.lift_msisdn, site_name: incident.site_name, building: incident.building };
+    return await buildAlarmTemplate(client, settings, lift, text, { languages });
+  } catch (error) {
+    if (error.code !== 'VALIDATION_ERROR') throw error;
+    console.warn(`[escalation] alarm template ${settings.template.name} not usable for alerts: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Queue one outbound WhatsApp alert per recipient, linked to the incident (the retry worker delivers them)
+ * Alerts are written in each recipient's language (falling back to the organisation's default), carry
+ * the lift organisation's branding and are sent with its Bridge credentials. They go out as the
+ * organisation's alarm template, filled with the alarm text (the readable text is kept in body). With
+ * ALERT_BUTTONS they carry reply buttons whose ids encode the alert (ack:<id>, help:<id>) and the
+ * template is the fallback when WhatsApp rejects the button message; an alert too long for a button
+ * message goes out as the template, or as text with the reply hint when there is no template
+ * @param {Object} client - Transaction client
+ * @param {Object} incident - Incident
+ * @param {Array<{ contact_id: string|null, msisdn: string }>} recipients - Recipients
+ * @param {AlertMessage} message - Message
+ * @param {{ key: string, meta: Object }} options - Idempotency key prefix and extra meta
+ * @returns {Promise<string[]>} Ids of newly queued messages
+ */
+async function queueAlerts(client, incident, recipients, message, { key, meta }) {
+  const messageIds = [];
+  if (recipients.length === 0) return messageIds;
+
+  const lift = await client.query('SELECT org_id FROM lifts WHERE id = $1', [incident.lift_id]);
+  const orgId = lift.rows[0] ? lift.rows[0].org_id : null;
+  const settings = await getTenantSettings(orgId);
+  const languages = await contactLanguages(client, recipients.map(r => r.msisdn));
+
+  for (const recipient of recipients) {
+    const chain = languageChain(languages.get(recipient.msisdn), settings.template.language);
+    const messageId = crypto.randomUUID();
+    let { lang, text } = alertText(message, chain, { hint: !ALERT_BUTTONS });
+    const interactive = ALERT_BUTTONS ? alarmInteractive(brandText(settings, text), messageId, lang) : null;
+    if (ALERT_BUTTONS && !interactive) ({ lang, text } = alertText(message, chain));
+
+    const template = await alertTemplate(client, settings, incident, message.vars.message || text, chain);
+
+    const inserted = await client.query(`
+      INSERT INTO messages (
+        id, channel, provider, provider_id, direction, from_msisdn, to_msisdn, body, interactive,
+        template_name, template_language, template_components, meta,
+        status, attempt_count, next_attempt_at, incident_id, org_id
+      ) VALUES (
+        $1, 'wa', 'internal', $2, 'out', NULL, $3, $4, $5, $6, $7, $8, $9, 'queued', 0, now(), $10, $11
+      )
+      ON CONFLICT (provider, provider_id) DO NOTHING
+      RETURNING id
+    `, [
+      messageId,
+      `${key}-${recipient.msisdn}`,
+      recipient.msisdn,
+      brandText(settings, text),
+      interactive ? JSON.stringify(interactive) : null,
+      template ? template.name : null,
+      template ? template.language : null,
+      template ? JSON.stringify(template.components) : null,
+      JSON.stringify({ ...meta, contact_id: recipient.contact_id, lang, template_key: template ? template.key : null }),
+      incident.id,
+      orgId
+    ]);
+    if (inserted.rows.length > 0) messageIds.push(inserted.rows[0].id);
+  }
+  return messageIds;
+}
+
+/**
+ * Record how many tiers have run and when the next one is due
+ * @param {Object} client - Transaction client
+ * @param {string} incidentId - Incident id
+ * @param {number} tiersRun - Tiers completed
+ * @param {EscalationTier|undefined} next - Next tier, if any
+ */
+async function scheduleNextTier(client, incidentId, tiersRun, next) {
+  await client.query(`
+    UPDATE incidents
+    SET escalation_tier = $2,
+        next_escalation_at = CASE WHEN $3::int IS NULL THEN NULL ELSE opened_at + make_interval(mins => $3::int) END,
+        updated_at = now()
+    WHERE id = $1
+  `, [incidentId, tiersRun, next ? next.after_minutes : null]);
+}
+
+/**
+ * Fire the next tier for one incident and schedule the one after
+ * Must run inside the caller's transaction with the incident row locked
+ * @param {Object} client - Transaction client
+ * @param {Object} incident - Incident joined with lift fields
+ * @returns {Promise<Object>} Step summary
+ */
+async function escalateIncident(client, incident) {
+  const policy = await getPolicyForLift(client, incident.lift_id);
+  const tiers = policy && policy.enabled ? policy.tiers : [];
+  const index = incident.escalation_tier;
+  const tier = tiers[index];
+
+  if (!tier) {
+    await client.query('UPDATE incidents SET next_escalation_at = NULL, updated_at = now() WHERE id = $1', [incident.id]);
+    await client.query(`
+      INSERT INTO events (lift_id, type, payload, ts)
+      VALUES ($1, 'escalation_exhausted', $2, now())
+    `, [incident.lift_id, JSON.stringify({
+      incident_id: incident.id,
+      tiers_run: index,
+      policy_id: policy ? policy.id : null,
+      reason: !policy ? 'no_policy' : !policy.enabled ? 'policy_disabled' : 'no_more_tiers'
+    })]);
+    return { incident_id: incident.id, exhausted: true };
+  }
+
+  const recipients = await resolveTierRecipients(client, incident.lift_id, tier);
+  const messageIds = await queueAlerts(client, incident, recipients, buildEscalationText(incident, tier, index), {
+    key: `escalation-${incident.id}-${index + 1}`,
+    meta: { escalation_tier: index + 1, tier_name: tier.name }
+  });
+
+  const next = tiers[index + 1];
+  await scheduleNextTier(client, incident.id, index + 1, next);
+
+  await client.query(`
+    INSERT INTO events (lift_id, type, payload, ts)
+    VALUES ($1, $2, $3, now())
+  `, [
+    incident.lift_id,
+    recipients.length > 0 ? 'incident_escalated' : 'escalation_tier_skipped',
+    JSON.stringify({
+      incident_id: incident.id,
+      tier: index + 1,
+      tier_name: tier.name,
+      policy_id: policy.id,
+      recipients,
+      message_ids: messageIds,
+      next_tier: next ? next.name : null
+    })
+  ]);
+
+  return { incident_id: incident.id, tier: index + 1, tier_name: tier.name, notified: messageIds.length };
+}
+
+/**
+ * Alert a lift's first tier when an alarm opens a new incident
+ * Runs inside the ingest transaction and stands in for tier 1, so the worker carries on from tier 2; later
+ * tiers' relations are not woken early. Without an enabled policy everyone linked to the lift is alerted
+ * @param {Object} client - Transaction client
+ * @param {Object} incident - New incident joined with lift fields (lift_msisdn, site_name, building)
+ * @param {{ message_id: string, text: string }} alarm - Inbound alarm message
+ * @returns {Promise<{ recipients: number, message_ids: string[] }>} Queued alerts
+ */
+async function alertNewIncident(client, incident, alarm) {
+  const policy = await getPolicyForLift(client, incident.lift_id);
+  const tiers = policy && policy.enabled ? policy.tiers : [];
+
+  let recipients;
+  if (tiers[0]) {
+    recipients = new Map((await resolveTierRecipients(client, incident.lift_id, tiers[0])).map(r => [r.msisdn, r]));
+  } else {
+    const linked = await client.query(`
+      SELECT c.id, c.primary_msisdn
+      FROM lift_recipients lr
+      JOIN contacts c ON c.id = lr.contact_id
+      WHERE lr.lift_id = $1 AND c.primary_msisdn IS NOT NULL
+    `, [incident.lift_id]);
+    recipients = new Map(linked.rows.map(r => [r.primary_msisdn, { contact_id: r.id, msisdn: r.primary_msisdn }]));
+  }
+
+  const message = { key: 'alert_new_incident', vars: { lift: liftLabel(incident), message: alarm.text } };
+  const messageIds = await queueAlerts(client, incident, [...recipients.values()], message, {
+    key: `alert-${alarm.message_id}`,
+    meta: { escalation_tier: 1, tier_name: tiers[0] ? tiers[0].name : null, inbound_message_id: alarm.message_id }
+  });
+
+  await scheduleNextTier(client, incident.id, tiers.length > 0 ? 1 : 0, tiers[1]);
+
+  await client.query(`
+    INSERT INTO events (lift_id, type, payload, ts)
+    VALUES ($1, 'incident_alerted', $2, now())
+  `, [incident.lift_id, JSON.stringify({
+    incident_id: incident.id,
+    message_id: alarm.message_id,
+    recipients: [...recipients.values()],
+    message_ids: messageIds,
+    next_tier: tiers[1] ? tiers[1].name : null
+  })]);
+
+  return { recipients: recipients.size, message_ids: messageIds };
+}
+
+/**
+ * Process incidents whose next escalation is due
+ * Each incident is handled in its own transaction; SKIP LOCKED lets several instances share the work
+ * @param {number} [limit] - Maximum incidents per run
+ * @returns {Promise<number>} Incidents processed
+ */
+async function processDueEscalations(limit = ESCALATION_BATCH_SIZE) {
+  let processed = 0;
+  while (processed < limit) {
+    const step = await withTxn(async (client) => {
+      const due = await client.query(`
+        SELECT i.*, l.msisdn AS lift_msisdn, l.site_name, l.building
+        FROM incidents i
+        JOIN lifts l ON l.id = i.lift_id
+        WHERE i.state = 'open'
+          AND i.next_escalation_at IS NOT NULL
+          AND i.next_escalation_at <= now()
+        ORDER BY i.next_escalation_at ASC
+        LIMIT 1
+        FOR UPDATE OF i SKIP LOCKED
+      `);
+      if (due.rows.length === 0) return null;
+      return await escalateIncident(client, due.rows[0]);
+    });
+
+    if (!step) break;
+    console.log(JSON.stringify({ event: 'escalation_step', ...step }));
+    processed++;
+  }
+  return processed;
+}
+
+/**
+ * Start the escalation worker
+ * @param {number} [intervalMs] - Polling interval in milliseconds
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startEscalationWorker(intervalMs = ESCALATION_INTERVAL_MS) {
+  console.log(`[escalation] Starting escalation worker (every ${intervalMs}ms)`);
+
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueEscalations();
+    } catch (err) {
+      console.error('[escalation] Error processing escalations:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+}
+
+/**
+ * List all policies with their lift
+ * @returns {Promise<Object[]>} Policies, global default first
+ */
+async function listPolicies() {
+  const result = await query(`
+    SELECT p.*, l.msisdn AS lift_msisdn, l.site_name
+    FROM escalation_policies p
+    LEFT JOIN lifts l ON l.id = p.lift_id
+    ORDER BY (p.lift_id IS NULL) DESC, l.site_name ASC NULLS LAST, p.created_at ASC
+  `);
+  return result.rows;
+}
+
+/**
+ * Create or replace a policy
+ * @param {string|null} liftId - Lift id, or null for the global default
+ * @param {{ tiers: EscalationTier[], enabled?: boolean }} policy - Policy fields
+ * @returns {Promise<Object>} Stored policy
+ */
+async function upsertPolicy(liftId, { tiers, enabled = true }) {
+  validateTiers(tiers);
+
+  return await withTxn(async (client) => {
+    let result;
+    if (liftId) {
+      result = await client.query(`
+        INSERT INTO escalation_policies (lift_id, tiers, enabled)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (lift_id) DO UPDATE
+        SET tiers = EXCLUDED.tiers, enabled = EXCLUDED.enabled, updated_at = now()
+        RETURNING *
+      `, [liftId, JSON.stringify(tiers), enabled]);
+    } else {
+      result = await client.query(`
+        UPDATE escalation_policies
+        SET tiers = $1, enabled = $2, updated_at = now()
+        WHERE lift_id IS NULL
+        RETURNING *
+      `, [JSON.stringify(tiers), enabled]);
+      if (result.rows.length === 0) {
+        result = await client.query(`
+          INSERT INTO escalation_policies (lift_id, tiers, enabled)
+          VALUES (NULL, $1, $2)
+          RETURNING *
+        `, [JSON.stringify(tiers), enabled]);
+      }
+    }
+
+    await client.query(`
+      INSERT INTO events (lift_id, type, payload, ts)
+      VALUES ($1, 'escalation_policy_updated', $2, now())
+    `, [liftId, JSON.stringify({ policy_id: result.rows[0].id, enabled, tiers: tiers.length })]);
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Remove a lift's own policy so it falls back to the global default
+ * @param {string} liftId - Lift id
+ * @returns {Promise<boolean>} Whether a policy was removed
+ */
+async function deletePolicy(liftId) {
+  const result = await query('DELETE FROM escalation_policies WHERE lift_id = $1 RETURNING id', [liftId]);
+  if (result.rows.length > 0) {
+    await query(`
+      INSERT INTO events (lift_id, type, payload, ts)
+      VALUES ($1, 'escalation_policy_deleted', $2, now())
+    `, [liftId, JSON.stringify({ policy_id: result.rows[0].id })]);
+  }
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  startEscalationWorker,
+  processDueEscalations,
+  escalateIncident,
+  alertNewIncident,
+  getPolicyForLift,
+  listPolicies,
+  upsertPolicy,
+  deletePolicy,
+  validateTiers
+};
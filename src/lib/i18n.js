@@ -0,0 +1,169 @@
+/**
+ * Alert languages
+ * Contacts may have a preferred language. Free-text alerts come from the message catalogue below and
+ * template sends pick a variant from the template's languages, both following the same fallback
+ * chain: the contact's language, its configured fallbacks, the organisation's default, DEFAULT_LANGUAGE
+ */
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}([_-][A-Za-z]{2})?$/;
+
+const DEFAULT_LANGUAGE = (process.env.DEFAULT_LANGUAGE || 'en').trim();
+
+// Placeholders in {braces} are filled per message; reply words keep their emoji so
+// waInbound recognises them in any language
+const DEFAULT_CATALOGUE = {
+  reply_hint: {
+    en: 'Reply "✅ Taking" if you are responding or "🆘 Need help" for backup.',
+    af: 'Antwoord "✅ Ek gaan" as jy reageer of "🆘 Hulp nodig" vir bystand.',
+    zu: 'Phendula ngo-"✅ Ngiyeza" uma uphendula noma ngo-"🆘 Ngidinga usizo" uma udinga usizo.'
+  },
+  alert_new_incident: {
+    en: '🚨 Lift alarm: {lift}\nMessage: {message}\n{reply_hint}',
+    af: '🚨 Hysbak-alarm: {lift}\nBoodskap: {message}\n{reply_hint}',
+    zu: '🚨 I-alamu yelifti: {lift}\nUmlayezo: {message}\n{reply_hint}'
+  },
+  alert_first_tier: {
+    en: '🚨 Lift alarm: {lift}. {reply_hint}',
+    af: '🚨 Hysbak-alarm: {lift}. {reply_hint}',
+    zu: '🚨 I-alamu yelifti: {lift}. {reply_hint}'
+  },
+  alert_escalation: {
+    en: '🚨 Escalation ({tier}): lift alarm at {lift} has not been acknowledged for {minutes} min. {reply_hint}',
+    af: '🚨 Eskalasie ({tier}): die hysbak-alarm by {lift} is al {minutes} min nie erken nie. {reply_hint}',
+    zu: '🚨 Ukudluliselwa phambili ({tier}): i-alamu yelifti e-{lift} ayikamukelwa emizuzwini engu-{minutes}. {reply_hint}'
+  },
+  router_alert: {
+    en: '[Lift Alert] {building} • {lift}\nMessage: {message}\nReply: ✅ Taking / 🆘 Need help',
+    af: '[Hysbak-alarm] {building} • {lift}\nBoodskap: {message}\nAntwoord: ✅ Ek gaan / 🆘 Hulp nodig',
+    zu: '[I-alamu yelifti] {building} • {lift}\nUmlayezo: {message}\nPhendula: ✅ Ngiyeza / 🆘 Ngidinga usizo'
+  },
+  router_job_alert: {
+    en: '🚨 Lift Alert from {lift}\n\nFrom: {from}\nMessage: {message}\nTime: {time}',
+    af: '🚨 Hysbak-alarm van {lift}\n\nVan: {from}\nBoodskap: {message}\nTyd: {time}',
+    zu: '🚨 I-alamu yelifti evela ku-{lift}\n\nKusuka ku: {from}\nUmlayezo: {message}\nIsikhathi: {time}'
+  },
+  // Reply button titles: WhatsApp allows 20 characters
+  button_taking: {
+    en: '✅ Taking it',
+    af: '✅ Ek gaan',
+    zu: '✅ Ngiyeza'
+  },
+  button_need_help: {
+    en: '🆘 Need help',
+    af: '🆘 Hulp nodig',
+    zu: '🆘 Ngidinga usizo'
+  }
+};
+
+/**
+ * Parse a JSON env override, ignoring (and logging) malformed values
+ * @param {string} name - Env variable name
+ * @returns {Object} Parsed object or {}
+ */
+function envJson(name) {
+  if (!process.env[name]) return {};
+  try {
+    const parsed = JSON.parse(process.env[name]);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error(`[i18n] ignoring malformed ${name}:`, error.message);
+    return {};
+  }
+}
+
+// MESSAGE_CATALOGUE: { key: { lang: text } }; a language given there replaces (or adds) that text
+const CATALOGUE_OVERRIDES = envJson('MESSAGE_CATALOGUE');
+const CATALOGUE = Object.fromEntries(Object.entries(DEFAULT_CATALOGUE).map(([key, texts]) => (
+  [key, { ...texts, ...(CATALOGUE_OVERRIDES[key] || {}) }]
+)));
+
+// LANGUAGE_FALLBACKS: { lang: [lang, ...] } tried before the organisation and process defaults, e.g. {"xh":["zu"]}
+const FALLBACKS = envJson('LANGUAGE_FALLBACKS');
+
+/**
+ * Base language of a code: en_US → en
+ * @param {string} code - Language code
+ * @returns {string} Lower-case base language
+ */
+function baseLanguage(code) {
+  return String(code).toLowerCase().split(/[_-]/)[0];
+}
+
+/**
+ * Languages to try, best first, for a recipient
+ * @param {string|null} preferred - The contact's language
+ * @param {string|null} [orgDefault] - The organisation's default (template) language
+ * @returns {string[]} Language codes, without duplicates
+ */
+function languageChain(preferred, orgDefault = null) {
+  const chain = [];
+  const add = (code) => {
+    if (code && !chain.includes(code)) chain.push(code);
+  };
+  if (preferred) {
+    add(preferred);
+    add(baseLanguage(preferred));
+    [].concat(FALLBACKS[preferred] || FALLBACKS[baseLanguage(preferred)] || []).forEach(add);
+  }
+  add(orgDefault);
+  add(DEFAULT_LANGUAGE);
+  return chain;
+}
+
+/**
+ * First language of a chain that is available: an exact match, else the same base language
+ * @param {string|string[]} wanted - Language code or chain, best first
+ * @param {string[]} available - Available codes
+ * @returns {string|null} Available code, or null when none matches
+ */
+function matchLanguage(wanted, available) {
+  for (const code of [].concat(wanted || [])) {
+    const exact = available.find(a => a.toLowerCase() === code.replace('-', '_').toLowerCase());
+    if (exact) return exact;
+    const base = available.find(a => baseLanguage(a) === baseLanguage(code));
+    if (base) return base;
+  }
+  return null;
+}
+
+/**
+ * Catalogue text in the best available language, with its placeholders filled
+ * Missing texts fall back along the chain, then to DEFAULT_LANGUAGE, then English
+ * @param {string} key - Catalogue key, e.g. router_alert
+ * @param {string|string[]} languages - Language code or chain (see languageChain)
+ * @param {Object} [vars] - Placeholder values; missing ones are left empty
+ * @returns {{ lang: string, text: string }} Language used and text
+ */
+function localise(key, languages, vars = {}) {
+  const texts = CATALOGUE[key];
+  if (!texts) throw new Error(`Unknown message catalogue key: ${key}`);
+  const lang = matchLanguage([...[].concat(languages || []), DEFAULT_LANGUAGE, 'en'], Object.keys(texts));
+  const text = texts[lang].replace(/\{(\w+)\}/g, (_, name) => (vars[name] === undefined || vars[name] === null ? '' : String(vars[name])));
+  return { lang, text };
+}
+
+/**
+ * Preferred languages of the contacts behind some numbers
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string[]} msisdns - Numbers (any formatting)
+ * @returns {Promise<Map<string, string>>} Language by digits-only number; numbers without one are left out
+ */
+async function contactLanguages(db, msisdns) {
+  const digits = [...new Set(msisdns.map(m => String(m || '').replace(/\D+/g, '')).filter(Boolean))];
+  if (digits.length === 0) return new Map();
+  const result = await db.query(`
+    SELECT primary_msisdn, language FROM contacts
+    WHERE primary_msisdn = ANY($1) AND language IS NOT NULL
+  `, [digits]);
+  return new Map(result.rows.map(row => [row.primary_msisdn, row.language]));
+}
+
+module.exports = {
+  LANGUAGE_PATTERN,
+  DEFAULT_LANGUAGE,
+  CATALOGUE,
+  languageChain,
+  matchLanguage,
+  localise,
+  contactLanguages
+};
@@ -0,0 +1,204 @@
+/**
+ * Incident lifecycle for lift alarms
+ * Tracks each alarm from open through acknowledged and on-site to resolved, with an audit event per transition
+ */
+
+const { query, withTxn } = require('../db');
+
+/**
+ * Incident states in lifecycle order
+ */
+const INCIDENT_STATES = ['open', 'acknowledged', 'on_site', 'resolved'];
+
+/**
+ * Timestamp column set when an incident enters each state
+ */
+const STATE_TIMESTAMPS = {
+  open: 'opened_at',
+  acknowledged: 'acknowledged_at',
+  on_site: 'on_site_at',
+  resolved: 'resolved_at'
+};
+
+// Insert/select rounds before giving up when concurrent alarms and resolutions keep racing
+const OPEN_ATTEMPTS = 3;
+
+/**
+ * @typedef {Object} TransitionOptions
+ * @property {string} [actor] - Who made the change (contact id, admin name, 'system')
+ * @property {string} [note] - Free-text note
+ * @property {string} [source] - Where the change came from (admin, wa_reply, ...)
+ * @property {string} [contact_id] - Contact responsible, stored on the audit event
+ */
+
+/**
+ * Create an error carrying an HTTP status for the error middleware
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function incidentError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether a transition is allowed (forward only; resolved is terminal)
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  return INCIDENT_STATES.indexOf(to) > INCIDENT_STATES.indexOf(from);
+}
+
+/**
+ * Attach an inbound alarm to the lift's active incident, opening one if needed
+ * The active incident can be resolved between the conflicting insert and the select; the pair is then
+ * retried, so the alarm opens a fresh incident
+ * Must run inside the caller's transaction
+ * @param {Object} client - Transaction client
+ * @param {string} liftId - Lift id
+ * @param {Object} [payload] - Extra data for the incident_opened event
+ * @returns {Promise<{ incident: Object, created: boolean }>} Active incident
+ * @throws {Error} 409 INCIDENT_CONFLICT when no incident could be opened or found
+ */
+async function openOrAttachIncident(client, liftId, payload = {}) {
+  for (let attempt = 0; attempt < OPEN_ATTEMPTS; attempt++) {
+    const inserted = await client.query(`
+      INSERT INTO incidents (lift_id)
+      VALUES ($1)
+      ON CONFLICT (lift_id) WHERE state <> 'resolved' DO NOTHING
+      RETURNING *
+    `, [liftId]);
+
+    if (inserted.rows.length > 0) {
+      const incident = inserted.rows[0];
+      await client.query(`
+        INSERT INTO events (lift_id, type, payload, ts)
+        VALUES ($1, 'incident_opened', $2, now())
+      `, [liftId, JSON.stringify({ incident_id: incident.id, ...payload })]);
+      return { incident, created: true };
+    }
+
+    const existing = await client.query(`
+      SELECT * FROM incidents
+      WHERE lift_id = $1 AND state <> 'resolved'
+      FOR UPDATE
+    `, [liftId]);
+    if (existing.rows.length > 0) return { incident: existing.rows[0], created: false };
+  }
+
+  throw incidentError(409, 'INCIDENT_CONFLICT', `Could not open or find an active incident for lift ${liftId}`);
+}
+
+/**
+ * Move an incident to a new state and record the transition in events
+ * @param {string} id - Incident id
+ * @param {string} toState - Target state
+ * @param {TransitionOptions} [options] - Actor and note
+ * @returns {Promise<Object|null>} Updated incident, or null if not found
+ * @throws {Error} 409 INVALID_TRANSITION when the move is not forward
+ */
+async function transitionIncident(id, toState, options = {}) {
+  if (!INCIDENT_STATES.includes(toState) || toState === 'open') {
+    throw incidentError(400, 'VALIDATION_ERROR', `Field state must be one of: ${INCIDENT_STATES.slice(1).join(', ')}`);
+  }
+
+  return await withTxn(async (client) => {
+    const current = await client.query('SELECT * FROM incidents WHERE id = $1 FOR UPDATE', [id]);
+    if (current.rows.length === 0) return null;
+
+    const incident = current.rows[0];
+    if (!canTransition(incident.state, toState)) {
+      throw incidentError(409, 'INVALID_TRANSITION', `Cannot move incident from ${incident.state} to ${toState}`);
+    }
+
+    const column = STATE_TIMESTAMPS[toState];
+    const updated = await client.query(`
+      UPDATE incidents
+      SET state = $2, ${column} = now(), updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `, [id, toState]);
+
+    await client.query(`
+      INSERT INTO events (lift_id, contact_id, type, payload, ts)
+      VALUES ($1, $2, 'incident_transition', $3, now())
+    `, [
+      incident.lift_id,
+      options.contact_id || null,
+      JSON.stringify({
+        incident_id: id,
+        from: incident.state,
+        to: toState,
+        actor: options.actor || null,
+        source: options.source || null,
+        note: options.note || null
+      })
+    ]);
+
+    return updated.rows[0];
+  });
+}
+
+/**
+ * Get an incident with its lift, linked messages and transition history
+ * @param {string} id - Incident id
+ * @returns {Promise<Object|null>} Incident detail or null
+ */
+async function getIncident(id) {
+  const result = await query(`
+    SELECT i.*, l.msisdn AS lift_msisdn, l.site_name, l.building
+    FROM incidents i
+    JOIN lifts l ON l.id = i.lift_id
+    WHERE i.id = $1
+  `, [id]);
+  if (result.rows.length === 0) return null;
+
+  const [messages, events] = await Promise.all([
+    query(`
+      SELECT id, channel, direction, from_msisdn, to_msisdn, body, status, ts
+      FROM messages
+      WHERE incident_id = $1
+      ORDER BY ts ASC
+    `, [id]),
+    query(`
+      SELECT id, type, contact_id, payload, ts
+      FROM events
+      WHERE payload->>'incident_id' = $1
+      ORDER BY ts ASC
+    `, [id])
+  ]);
+
+  return {
+    ...result.rows[0],
+    messages: messages.rows,
+    events: events.rows
+  };
+}
+
+/**
+ * Get the active (unresolved) incident for a lift
+ * @param {string} liftId - Lift id
+ * @returns {Promise<Object|null>} Incident or null
+ */
+async function getActiveIncidentForLift(liftId) {
+  const result = await query(`
+    SELECT * FROM incidents
+    WHERE lift_id = $1 AND state <> 'resolved'
+  `, [liftId]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  openOrAttachIncident,
+  transitionIncident,
+  getIncident,
+  getActiveIncidentForLift,
+  canTransition,
+  INCIDENT_STATES
+};
@@ -4,6 +4,9 @@
  */
 
 const { query, withTxn } = require('../db');
+const { openOrAttachIncident } = require('./incidents');
+const { matchConsentKeyword, applyConsentKeyword } = require('./keywords');
+const { alertNewIncident } = require('./escalation');
 
 /**
  * @typedef {Object} InboundSms
@@ -19,6 +22,11 @@ const { query, withTxn } = require('../db');
  * @typedef {Object} IngestResult
  * @property {string} stored_message_id - UUID of stored message
  * @property {boolean} idempotent - Whether this was a duplicate message
+ * @property {string|null} [lift_id] - Lift the sender MSISDN belongs to, if known
+ * @property {string|null} [incident_id] - Incident the message was attached to
+ * @property {boolean} [incident_created] - Whether this message opened the incident
+ * @property {Object|null} [consent] - Consent change made by a STOP/START keyword
+ * @property {{ recipients: number, message_ids: string[] }|null} [notified] - Alerts queued for the lift's contacts
  */
 
 /**
@@ -53,7 +61,8 @@ async function ingestMessage(msg) {
         to_msisdn, 
         body, 
         meta, 
-        ts
+        ts,
+        org_id
       ) VALUES (
         'sms', 
         $1, 
@@ -63,7 +72,8 @@ async function ingestMessage(msg) {
         NULL, 
         $4, 
         $5, 
-        $6
+        $6,
+        (SELECT org_id FROM lifts WHERE msisdn = $7)
       ) 
       ON CONFLICT (provider, provider_id) DO NOTHING
       RETURNING id
@@ -73,7 +83,9 @@ async function ingestMessage(msg) {
       msg.msisdn,
       msg.text,
       JSON.stringify(msg.meta),
-      msg.ts
+      msg.ts,
+      // lifts.msisdn holds digits only
+      String(msg.msisdn).replace(/^\+/, '')
     ]);
     
     if (messageResult.rows.length === 0) {
@@ -91,11 +103,41 @@ async function ingestMessage(msg) {
     
     const messageId = messageResult.rows[0].id;
     
+    // Alarms from a known lift open (or join) that lift's active incident
+    const liftResult = await client.query(
+      'SELECT id, msisdn, site_name, building FROM lifts WHERE msisdn = $1',
+      [String(msg.msisdn).replace(/^\+/, '')]
+    );
+    const lift = liftResult.rows[0] || null;
+    const liftId = lift ? lift.id : null;
+    
+    let incident = null;
+    let incidentCreated = false;
+    let consent = null;
+    let notified = null;
+    const keyword = matchConsentKeyword(msg.text);
+    if (liftId) {
+      ({ incident, created: incidentCreated } = await openOrAttachIncident(client, liftId, { message_id: messageId }));
+      await client.query('UPDATE messages SET incident_id = $1 WHERE id = $2', [incident.id, messageId]);
+      // Repeat alarms join silently; reminders are the escalation worker's job
+      if (incidentCreated) {
+        notified = await alertNewIncident(client, {
+          ...incident,
+          lift_msisdn: lift.msisdn,
+          site_name: lift.site_name,
+          building: lift.building
+        }, { message_id: messageId, text: msg.text });
+      }
+    } else if (keyword) {
+      // STOP/START from a person (lift SIMs always raise alarms)
+      consent = await applyConsentKeyword(client, { msisdn: msg.msisdn, channel: 'sms', match: keyword, message_id: messageId });
+    }
+    
     // Create audit event
     await client.query(`
-      INSERT INTO events (type, payload, ts)
-      VALUES ('ingest', $1, now())
-    `, [JSON.stringify({
+      INSERT INTO events (lift_id, type, payload, ts)
+      VALUES ($1, 'ingest', $2, now())
+    `, [liftId, JSON.stringify({
       ingested_ok: true,
       message_id: messageId,
       meta: {
@@ -106,7 +148,12 @@ async function ingestMessage(msg) {
     
     return {
       stored_message_id: messageId,
-      idempotent: false
+      idempotent: false,
+      lift_id: liftId,
+      incident_id: incident ? incident.id : null,
+      incident_created: incidentCreated,
+      consent,
+      notified
     };
   });
 }
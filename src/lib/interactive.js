@@ -0,0 +1,143 @@
+/**
+ * Interactive reply-button messages
+ * Builds and checks the Bridge interactive object (WhatsApp allows up to three reply buttons with
+ * 20-character titles). Button ids may contain {message_id}, filled with the stored message's id, so
+ * a press can be traced back to the message it answers: waInbound decodes ids like ack:<message uuid>
+ */
+
+const { createValidationError } = require('../validate');
+const { localise } = require('./i18n');
+
+// WhatsApp's limits for reply button messages
+const MAX_BUTTONS = 3;
+const MAX_TITLE_LENGTH = 20;
+const MAX_BUTTON_ID_LENGTH = 256;
+const MAX_BODY_LENGTH = 1024;
+const MAX_HEADER_LENGTH = 60;
+const MAX_FOOTER_LENGTH = 60;
+
+const MESSAGE_ID_PLACEHOLDER = /\{message_id\}/g;
+
+/**
+ * Length as WhatsApp counts it: an emoji is one character
+ * @param {string} text - Text
+ * @returns {number} Characters
+ */
+function textLength(text) {
+  return [...text].length;
+}
+
+/**
+ * Optional or required text field within a length limit (throws VALIDATION_ERROR)
+ * @param {Object} body - Request body
+ * @param {string} key - Field name
+ * @param {number} max - Maximum characters
+ * @param {boolean} required - Whether the field must be present
+ * @returns {string|null} Trimmed text
+ */
+function checkText(body, key, max, required) {
+  const value = body[key];
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    if (required) throw createValidationError(`Missing required field: ${key}`, key);
+    return null;
+  }
+  if (typeof value !== 'string') throw createValidationError(`Field ${key} must be a string`, key);
+  if (textLength(value.trim()) > max) {
+    throw createValidationError(`Field ${key} exceeds maximum length of ${max}`, key);
+  }
+  return value.trim();
+}
+
+/**
+ * Build the interactive object for a send (throws VALIDATION_ERROR)
+ * @param {Object} body - text, buttons [{ id?, title }], and optionally header, footer
+ * @param {string} messageId - Id the message will be stored under, for {message_id} in button ids
+ * @returns {Object} Interactive object for the Bridge
+ */
+function buildInteractive(body, messageId) {
+  const text = checkText(body, 'text', MAX_BODY_LENGTH, true);
+  const header = checkText(body, 'header', MAX_HEADER_LENGTH, false);
+  const footer = checkText(body, 'footer', MAX_FOOTER_LENGTH, false);
+
+  if (!Array.isArray(body.buttons) || body.buttons.length === 0 || body.buttons.length > MAX_BUTTONS) {
+    throw createValidationError(`Field buttons must be an array of 1 to ${MAX_BUTTONS} buttons`, 'buttons');
+  }
+
+  const titles = new Set();
+  const ids = new Set();
+  const buttons = body.buttons.map((button, i) => {
+    const field = `buttons[${i}]`;
+    if (!button || typeof button !== 'object' || Array.isArray(button)) {
+      throw createValidationError(`Field ${field} must be an object`, field);
+    }
+
+    const title = typeof button.title === 'string' ? button.title.trim() : '';
+    if (!title || textLength(title) > MAX_TITLE_LENGTH) {
+      throw createValidationError(`Field ${field}.title must be 1 to ${MAX_TITLE_LENGTH} characters`, `${field}.title`);
+    }
+    if (titles.has(title.toLowerCase())) {
+      throw createValidationError(`Button title "${title}" is used twice`, `${field}.title`);
+    }
+    titles.add(title.toLowerCase());
+
+    if (button.id !== undefined && (typeof button.id !== 'string' || button.id.trim() === '')) {
+      throw createValidationError(`Field ${field}.id must be a non-empty string`, `${field}.id`);
+    }
+    const id = button.id === undefined ? `button_${i + 1}` : button.id.trim().replace(MESSAGE_ID_PLACEHOLDER, messageId);
+    if (id.length > MAX_BUTTON_ID_LENGTH) {
+      throw createValidationError(`Field ${field}.id exceeds maximum length of ${MAX_BUTTON_ID_LENGTH}`, `${field}.id`);
+    }
+    if (ids.has(id)) {
+      throw createValidationError(`Button id "${id}" is used twice`, `${field}.id`);
+    }
+    ids.add(id);
+
+    return { type: 'reply', reply: { id, title } };
+  });
+
+  return {
+    type: 'button',
+    ...(header ? { header: { type: 'text', text: header } } : {}),
+    body: { text },
+    ...(footer ? { footer: { text: footer } } : {}),
+    action: { buttons }
+  };
+}
+
+/**
+ * Alarm alert with "Taking it" / "Need help" buttons whose ids encode the alert (ack:<id>, help:<id>)
+ * @param {string} text - Alert text
+ * @param {string} messageId - Id the alert will be stored under
+ * @param {string|string[]} languages - Language code or chain for the button titles
+ * @returns {Object|null} Interactive object, or null when the text is too long for a button message
+ */
+function alarmInteractive(text, messageId, languages) {
+  if (textLength(text) > MAX_BODY_LENGTH) return null;
+  const title = key => [...localise(key, languages).text].slice(0, MAX_TITLE_LENGTH).join('');
+  return {
+    type: 'button',
+    body: { text },
+    action: {
+      buttons: [
+        { type: 'reply', reply: { id: `ack:${messageId}`, title: title('button_taking') } },
+        { type: 'reply', reply: { id: `help:${messageId}`, title: title('button_need_help') } }
+      ]
+    }
+  };
+}
+
+/**
+ * Bridge send payload for an interactive message
+ * @param {string} to - Recipient
+ * @param {Object} interactive - Interactive object
+ * @returns {Object} Payload for POST /api/messages/send
+ */
+function interactivePayload(to, interactive) {
+  return { to, type: 'interactive', interactive };
+}
+
+module.exports = {
+  buildInteractive,
+  alarmInteractive,
+  interactivePayload
+};
@@ -0,0 +1,189 @@
+/**
+ * Consent keywords
+ * STOP / START replies (English, Afrikaans, isiZulu by default) update the sender's consent
+ * for the channel they wrote on and queue a confirmation in the same language
+ */
+
+const DEFAULT_KEYWORDS = {
+  opt_out: {
+    en: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'OPT OUT', 'OPTOUT'],
+    af: ['STAAK', 'KANSELLEER', 'UITTEKEN', 'AFMELD'],
+    zu: ['YEKA', 'MISA', 'YIMA']
+  },
+  opt_in: {
+    en: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPT IN', 'OPTIN'],
+    af: ['BEGIN', 'INTEKEN', 'AANMELD'],
+    zu: ['QALA', 'QALISA']
+  }
+};
+
+const DEFAULT_CONFIRMATIONS = {
+  opt_out: {
+    en: 'You have been unsubscribed from Woosh Lifts alerts on this number. Reply START to subscribe again.',
+    af: "Jy is afgemeld van Woosh Lifts-waarskuwings op hierdie nommer. Antwoord BEGIN om weer in te teken.",
+    zu: 'Awusazitholi izexwayiso ze-Woosh Lifts kule nombolo. Phendula ngo-QALA ukuze uphinde ubhalise.'
+  },
+  opt_in: {
+    en: 'You are subscribed to Woosh Lifts alerts on this number. Reply STOP to unsubscribe.',
+    af: 'Jy is ingeteken vir Woosh Lifts-waarskuwings op hierdie nommer. Antwoord STAAK om af te meld.',
+    zu: 'Usubhalisile ukuthola izexwayiso ze-Woosh Lifts kule nombolo. Phendula ngo-YEKA ukuze uyeke.'
+  }
+};
+
+/**
+ * Parse a JSON env override, ignoring (and logging) malformed values
+ * @param {string} name - Env variable name
+ * @returns {Object} Parsed object or {}
+ */
+function envJson(name) {
+  if (!process.env[name]) return {};
+  try {
+    const parsed = JSON.parse(process.env[name]);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    console.error(`[keywords] ignoring malformed ${name}:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Merge { action: { lang: value } } overrides over defaults
+ * @param {Object} defaults - Defaults
+ * @param {Object} overrides - Overrides
+ * @returns {Object} Merged config
+ */
+function merge(defaults, overrides) {
+  const out = {};
+  for (const action of Object.keys(defaults)) {
+    out[action] = { ...defaults[action], ...(overrides[action] || {}) };
+  }
+  return out;
+}
+
+// CONSENT_KEYWORDS / CONSENT_CONFIRMATIONS: JSON of the same shape; a language given there replaces the default list/text
+const KEYWORDS = merge(DEFAULT_KEYWORDS, envJson('CONSENT_KEYWORDS'));
+const CONFIRMATIONS = merge(DEFAULT_CONFIRMATIONS, envJson('CONSENT_CONFIRMATIONS'));
+
+/**
+ * Normalize text for keyword comparison (case, punctuation and spacing are ignored)
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+function normalizeKeyword(text) {
+  return String(text || '')
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N} ]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const LOOKUP = new Map();
+for (const [action, languages] of Object.entries(KEYWORDS)) {
+  for (const [lang, words] of Object.entries(languages)) {
+    for (const word of [].concat(words || [])) {
+      LOOKUP.set(normalizeKeyword(word), { action, lang, keyword: normalizeKeyword(word) });
+    }
+  }
+}
+
+/**
+ * Match a message that consists of a consent keyword only
+ * @param {string} text - Message text
+ * @returns {{ action: 'opt_out'|'opt_in', lang: string, keyword: string }|null} Match or null
+ */
+function matchConsentKeyword(text) {
+  return LOOKUP.get(normalizeKeyword(text)) || null;
+}
+
+/**
+ * Confirmation text for an action in a language (falls back to English)
+ * @param {string} action - opt_out | opt_in
+ * @param {string} lang - Language code
+ * @returns {string} Confirmation text
+ */
+function confirmationText(action, lang) {
+  return CONFIRMATIONS[action][lang] || CONFIRMATIONS[action].en;
+}
+
+/**
+ * Apply a consent keyword: upsert the contact's consent, log an event and queue a confirmation
+ * The confirmation always goes out over WhatsApp (the retry worker only delivers wa rows; this service
+ * has no SMS sender), whichever channel the keyword came in on
+ * Must run inside the caller's transaction
+ * @param {Object} client - Transaction client
+ * @param {Object} params - Keyword details
+ * @param {string} params.msisdn - Sender (any formatting)
+ * @param {string} params.channel - sms | wa
+ * @param {{ action: string, lang: string, keyword: string }} params.match - Result of matchConsentKeyword
+ * @param {string} params.message_id - Inbound message id
+ * @param {string|null} [params.org_id] - Organisation the keyword was sent to (e.g. the alert's); defaults to the contact's
+ * @returns {Promise<{ contact_id: string, status: string, keyword: string, confirmation_message_id: string }>} Applied change
+ */
+async function applyConsentKeyword(client, { msisdn, channel, match, message_id, org_id = null }) {
+  const digits = String(msisdn || '').replace(/\D+/g, '');
+
+  // Unknown numbers get a bare contact so the opt-out sticks; a contact without a preferred
+  // language takes the keyword's
+  const contact = await client.query(`
+    INSERT INTO contacts (primary_msisdn, language)
+    VALUES ($1, $2)
+    ON CONFLICT (primary_msisdn) DO UPDATE SET
+      language = COALESCE(contacts.language, EXCLUDED.language),
+      updated_at = now()
+    RETURNING id, org_id
+  `, [digits, match.lang]);
+  const contactId = contact.rows[0].id;
+  const source = `keyword:${match.keyword}:${message_id}`;
+
+  await client.query(`
+    INSERT INTO consents (contact_id, channel, status, source)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (contact_id, channel) DO UPDATE SET
+      status = EXCLUDED.status,
+      source = EXCLUDED.source,
+      ts = now()
+  `, [contactId, channel, match.action, source]);
+
+  // The confirmation goes out with the organisation's Bridge credentials and shows in its message log
+  const confirmation = await client.query(`
+    INSERT INTO messages (
+      channel, provider, provider_id, direction, from_msisdn, to_msisdn, body, meta,
+      status, attempt_count, next_attempt_at, org_id
+    ) VALUES (
+      'wa', 'internal', $1, 'out', NULL, $2, $3, $4, 'queued', 0, now(), $5
+    )
+    RETURNING id
+  `, [
+    `consent-${message_id}`,
+    digits,
+    confirmationText(match.action, match.lang),
+    JSON.stringify({ kind: 'consent_confirmation', reply_to_message_id: message_id, lang: match.lang, consent_channel: channel }),
+    org_id || contact.rows[0].org_id
+  ]);
+
+  await client.query(`
+    INSERT INTO events (contact_id, type, payload, ts)
+    VALUES ($1, 'consent_keyword', $2, now())
+  `, [contactId, JSON.stringify({
+    channel,
+    status: match.action,
+    keyword: match.keyword,
+    lang: match.lang,
+    message_id,
+    confirmation_message_id: confirmation.rows[0].id
+  })]);
+
+  return {
+    contact_id: contactId,
+    status: match.action,
+    keyword: match.keyword,
+    confirmation_message_id: confirmation.rows[0].id
+  };
+}
+
+module.exports = {
+  matchConsentKeyword,
+  applyConsentKeyword,
+  confirmationText,
+  KEYWORDS
+};
@@ -0,0 +1,262 @@
+/**
+ * SMS provider adapters
+ * Converts each provider's native webhook payload into the InboundSms shape used by ingest
+ */
+
+const { createValidationError } = require('../validate');
+
+/**
+ * @typedef {import('./ingest').InboundSms} InboundSms
+ */
+
+const MAX_TEXT_LENGTH = 1024;
+const MAX_PROVIDER_ID_LENGTH = 128;
+
+/**
+ * Return the first non-empty value from a list of candidates
+ * @param {...any} values - Candidate values
+ * @returns {string} First non-empty value as a trimmed string, or ''
+ */
+function pick(...values) {
+  for (const value of values) {
+    if (value === undefined || value === null) continue;
+    const str = String(value).trim();
+    if (str !== '') return str;
+  }
+  return '';
+}
+
+/**
+ * Normalize a phone number to E.164 (with leading +)
+ * @param {string} raw - Raw phone number
+ * @returns {string} E.164 phone number
+ */
+function toE164(raw) {
+  let digits = String(raw || '').replace(/\D+/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (!/^[0-9]{10,15}$/.test(digits)) {
+    throw createValidationError('Invalid phone number', 'msisdn');
+  }
+  return `+${digits}`;
+}
+
+// Compact yyyyMMddHHmmss timestamps (no zone; read as UTC)
+const COMPACT_TS = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/;
+
+/**
+ * Normalize a provider event time to an ISO timestamp
+ * Accepts ISO strings, compact yyyyMMddHHmmss, epoch seconds and epoch milliseconds; falls back to
+ * server time when absent
+ * @param {string|number} raw - Raw timestamp
+ * @returns {string} ISO timestamp
+ */
+function toIsoTs(raw) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return new Date().toISOString();
+  }
+
+  let date;
+  const compact = String(raw).trim().match(COMPACT_TS);
+  if (compact) {
+    const [, y, mo, d, h, mi, s] = compact.map(Number);
+    date = new Date(Date.UTC(y, mo - 1, d, h, mi, s));
+    // Date.UTC rolls 20261332... (or second 60) over into the next unit; reject instead
+    if (date.getUTCMonth() !== mo - 1 || date.getUTCDate() !== d || date.getUTCHours() !== h ||
+        date.getUTCMinutes() !== mi || date.getUTCSeconds() !== s) date = new Date(NaN);
+  } else if (/^\d+$/.test(String(raw).trim())) {
+    const n = Number(raw);
+    // Heuristic: 10-digit values are epoch seconds, longer ones are milliseconds
+    date = new Date(n < 1e12 ? n * 1000 : n);
+  } else {
+    date = new Date(String(raw).trim());
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw createValidationError('Invalid timestamp', 'ts');
+  }
+  return date.toISOString();
+}
+
+/**
+ * Validate and assemble an InboundSms
+ * @param {string} provider - Provider name
+ * @param {Object} fields - Extracted raw fields
+ * @param {Object} original - Original payload (stored in meta)
+ * @returns {InboundSms} Normalized message
+ */
+function build(provider, { provider_id, msisdn, text, ts, extras = {} }, original) {
+  if (!provider_id) {
+    throw createValidationError('Missing provider message id', 'provider_id');
+  }
+  if (provider_id.length > MAX_PROVIDER_ID_LENGTH) {
+    throw createValidationError(`Provider message id exceeds maximum length of ${MAX_PROVIDER_ID_LENGTH}`, 'provider_id');
+  }
+  if (!msisdn) {
+    throw createValidationError('Missing phone number', 'msisdn');
+  }
+  if (!text) {
+    throw createValidationError('Missing message text', 'text');
+  }
+
+  return {
+    provider,
+    provider_id,
+    msisdn: toE164(msisdn),
+    text: text.slice(0, MAX_TEXT_LENGTH),
+    ts: toIsoTs(ts),
+    meta: {
+      ...extras,
+      original
+    }
+  };
+}
+
+/**
+ * Twilio Messaging webhook (application/x-www-form-urlencoded)
+ * e.g. MessageSid=SM..&From=%2B27...&To=%2B27...&Body=Help
+ * @param {Object} body - Parsed request body
+ * @returns {InboundSms[]} Normalized messages
+ */
+function twilio(body) {
+  return [build('twilio', {
+    provider_id: pick(body.MessageSid, body.SmsSid, body.SmsMessageSid),
+    msisdn: pick(body.From),
+    text: pick(body.Body),
+    // Twilio does not send an event time with inbound messages
+    ts: null,
+    extras: {
+      to: pick(body.To) || null,
+      account_sid: pick(body.AccountSid) || null,
+      num_segments: pick(body.NumSegments) || null
+    }
+  }, body)];
+}
+
+/**
+ * Infobip inbound SMS push (JSON, batched)
+ * e.g. { results: [{ messageId, from, to, text, cleanText, keyword, receivedAt }], messageCount }
+ * @param {Object} body - Parsed request body
+ * @returns {InboundSms[]} Normalized messages
+ */
+function infobip(body) {
+  const results = Array.isArray(body.results) ? body.results : [body];
+  if (results.length === 0) {
+    throw createValidationError('Payload contains no results', 'results');
+  }
+
+  if (results.some(r => !r || typeof r !== 'object')) {
+    throw createValidationError('Each results entry must be an object', 'results');
+  }
+
+  return results.map(r => build('infobip', {
+    provider_id: pick(r.messageId),
+    msisdn: pick(r.from),
+    text: pick(r.cleanText, r.text),
+    ts: pick(r.receivedAt),
+    extras: {
+      to: pick(r.to) || null,
+      keyword: pick(r.keyword) || null,
+      sms_count: r.smsCount ?? null
+    }
+  }, r));
+}
+
+/**
+ * MTN inbound SMS notification (OneAPI style, JSON)
+ * e.g. { inboundSMSMessageNotification: { inboundSMSMessage: { messageId, senderAddress, destinationAddress, message, dateTime } } }
+ * Flat payloads with the same field names are accepted as well.
+ * @param {Object} body - Parsed request body
+ * @returns {InboundSms[]} Normalized messages
+ */
+function mtn(body) {
+  const msg = body.inboundSMSMessageNotification?.inboundSMSMessage
+    || body.inboundSMSMessage
+    || body;
+
+  return [build('mtn', {
+    provider_id: pick(msg.messageId, msg.id),
+    // senderAddress is usually "tel:+27..."
+    msisdn: pick(msg.senderAddress, msg.from).replace(/^tel:/i, ''),
+    text: pick(msg.message, msg.text),
+    ts: pick(msg.dateTime, msg.created),
+    extras: {
+      to: pick(msg.destinationAddress, msg.to).replace(/^tel:/i, '') || null
+    }
+  }, body)];
+}
+
+/**
+ * Vodacom bulk SMS MO callback (JSON or form-urlencoded)
+ * e.g. { messageId, sourceAddr, destinationAddr, shortMessage, deliverTime }
+ * @param {Object} body - Parsed request body
+ * @returns {InboundSms[]} Normalized messages
+ */
+function vodacom(body) {
+  return [build('vodacom', {
+    provider_id: pick(body.messageId, body.message_id, body.id),
+    msisdn: pick(body.sourceAddr, body.source_addr, body.msisdn),
+    text: pick(body.shortMessage, body.short_message, body.message),
+    ts: pick(body.deliverTime, body.deliver_time, body.timestamp),
+    extras: {
+      to: pick(body.destinationAddr, body.destination_addr) || null
+    }
+  }, body)];
+}
+
+/**
+ * Generic format for aggregators without a dedicated adapter
+ * e.g. { provider_id, msisdn, text, ts }
+ * @param {Object} body - Parsed request body
+ * @returns {InboundSms[]} Normalized messages
+ */
+function generic(body) {
+  return [build('generic', {
+    provider_id: pick(body.provider_id, body.id, body.messageId),
+    msisdn: pick(body.msisdn, body.from, body.phoneNumber),
+    text: pick(body.text, body.message, body.body),
+    ts: pick(body.ts, body.timestamp),
+    extras: {}
+  }, body)];
+}
+
+const ADAPTERS = {
+  twilio,
+  infobip,
+  mtn,
+  vodacom,
+  generic
+};
+
+/**
+ * Check whether a provider has an adapter
+ * @param {string} provider - Provider name
+ * @returns {boolean} Whether the provider is supported
+ */
+function isSupportedProvider(provider) {
+  return Object.prototype.hasOwnProperty.call(ADAPTERS, provider);
+}
+
+/**
+ * Normalize a provider webhook payload
+ * @param {string} provider - Provider name (twilio|infobip|mtn|vodacom|generic)
+ * @param {Object} body - Parsed request body (JSON or form-urlencoded)
+ * @returns {InboundSms[]} Normalized messages (Infobip may batch several)
+ * @throws {Error} VALIDATION_ERROR with `field` set to the offending field
+ */
+function normalizeInbound(provider, body) {
+  if (!isSupportedProvider(provider)) {
+    throw createValidationError(`Unsupported provider: ${provider}`, 'provider');
+  }
+  if (!body || typeof body !== 'object') {
+    throw createValidationError('Missing request body', 'body');
+  }
+  return ADAPTERS[provider](body);
+}
+
+module.exports = {
+  normalizeInbound,
+  isSupportedProvider,
+  toE164,
+  toIsoTs,
+  PROVIDERS: Object.keys(ADAPTERS)
+};
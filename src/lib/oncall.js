@@ -0,0 +1,285 @@
+/**
+ * On-call rotations
+ * Works out who is on call for a lift at a given moment from weekly shifts (in the rotation's time zone) and overrides
+ */
+
+const { query } = require('../db');
+const { createValidationError } = require('../validate');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * @typedef {Object} OnCallContact
+ * @property {string} contact_id - Contact id
+ * @property {string|null} display_name - Contact name
+ * @property {string|null} primary_msisdn - Contact number
+ * @property {string} rotation_id - Rotation that put the contact on call
+ * @property {string} rotation_name - Rotation name
+ * @property {string} source - shift | override
+ */
+
+/**
+ * Validate an IANA time zone name
+ * @param {string} tz - Time zone
+ * @returns {string} The time zone
+ */
+function validateTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return tz;
+  } catch {
+    throw createValidationError(`Unknown time zone: ${tz}`, 'timezone');
+  }
+}
+
+/**
+ * Parse HH:MM[:SS] into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes, or null when malformed
+ */
+function parseTime(value) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/.exec(String(value || ''));
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+/**
+ * Normalize a days list (0-6 with Sunday = 0, or three-letter names)
+ * @param {any} days - Candidate days
+ * @returns {number[]} Sorted unique day numbers
+ */
+function parseDays(days) {
+  if (!Array.isArray(days) || days.length === 0) {
+    throw createValidationError('Field days must be a non-empty array', 'days');
+  }
+  const out = days.map(d => {
+    const n = typeof d === 'number' ? d : DAY_NAMES.indexOf(String(d).slice(0, 3).toLowerCase());
+    if (!Number.isInteger(n) || n < 0 || n > 6) {
+      throw createValidationError(`Invalid day: ${d}`, 'days');
+    }
+    return n;
+  });
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+
+/**
+ * Wall-clock date, weekday and minute of a moment in a time zone
+ * @param {Date} at - Moment
+ * @param {string} tz - Time zone
+ * @returns {{ date: string, weekday: number, minutes: number }} Local clock
+ */
+function localClock(at, tz) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).map(p => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Shift a YYYY-MM-DD date by whole days
+ * @param {string} date - Calendar date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Calendar date
+ */
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Which week of the rotation cycle a local date falls in
+ * @param {string} date - Local calendar date
+ * @param {Object} rotation - Rotation (anchor_date as YYYY-MM-DD, cycle_weeks)
+ * @returns {number} Week index in [0, cycle_weeks)
+ */
+function weekIndexFor(date, rotation) {
+  const days = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${rotation.anchor_date}T00:00:00Z`)) / 86400000);
+  const week = Math.floor(days / 7);
+  const cycle = rotation.cycle_weeks || 1;
+  return ((week % cycle) + cycle) % cycle;
+}
+
+/**
+ * Whether a shift covers the given local clock
+ * @param {Object} shift - Shift row
+ * @param {Object} rotation - Rotation row
+ * @param {{ date: string, weekday: number, minutes: number }} clock - Local clock
+ * @returns {boolean} Whether the shift is active
+ */
+function isShiftActive(shift, rotation, clock) {
+  const start = parseTime(shift.start_time);
+  const end = parseTime(shift.end_time);
+  const days = shift.days.map(Number);
+  const startsOn = (date, weekday) => days.includes(weekday) && weekIndexFor(date, rotation) === shift.week_index;
+
+  if (start < end) {
+    return startsOn(clock.date, clock.weekday) && clock.minutes >= start && clock.minutes < end;
+  }
+
+  // Overnight (or 24h when start == end): today's shift after start, or yesterday's before end
+  const yesterday = addDays(clock.date, -1);
+  return (startsOn(clock.date, clock.weekday) && clock.minutes >= start)
+    || (startsOn(yesterday, (clock.weekday + 6) % 7) && clock.minutes < end);
+}
+
+/**
+ * Compute the on-call contact ids for one rotation
+ * @param {Object} rotation - Rotation row
+ * @param {Object[]} shifts - The rotation's shifts
+ * @param {Object[]} overrides - The rotation's overrides
+ * @param {Date} at - Moment
+ * @returns {Map<string, string>} contact_id -> source
+ */
+function onCallForRotation(rotation, shifts, overrides, at) {
+  const clock = localClock(at, rotation.timezone);
+  const onCall = new Map();
+
+  for (const shift of shifts) {
+    if (isShiftActive(shift, rotation, clock)) onCall.set(shift.contact_id, 'shift');
+  }
+
+  const active = overrides.filter(o => new Date(o.starts_at) <= at && at < new Date(o.ends_at));
+  for (const o of active) {
+    if (o.replaces_contact_id) onCall.delete(o.replaces_contact_id);
+  }
+  for (const o of active) {
+    if (o.contact_id) onCall.set(o.contact_id, 'override');
+  }
+
+  return onCall;
+}
+
+/**
+ * Resolve on-call contacts across a set of rotations
+ * @param {Object[]} rotations - Rotation rows (anchor_date as text)
+ * @param {Date} at - Moment
+ * @returns {Promise<OnCallContact[]>} Contacts, one entry per contact
+ */
+async function resolveRotations(rotations, at) {
+  if (rotations.length === 0) return [];
+  const ids = rotations.map(r => r.id);
+
+  const [shifts, overrides] = await Promise.all([
+    query('SELECT * FROM oncall_shifts WHERE rotation_id = ANY($1::uuid[])', [ids]),
+    query(`
+      SELECT * FROM oncall_overrides
+      WHERE rotation_id = ANY($1::uuid[]) AND starts_at <= $2 AND ends_at > $2
+    `, [ids, at])
+  ]);
+
+  const picked = new Map();
+  for (const rotation of rotations) {
+    const onCall = onCallForRotation(
+      rotation,
+      shifts.rows.filter(s => s.rotation_id === rotation.id),
+      overrides.rows.filter(o => o.rotation_id === rotation.id),
+      at
+    );
+    for (const [contactId, source] of onCall) {
+      if (!picked.has(contactId)) {
+        picked.set(contactId, { contact_id: contactId, rotation_id: rotation.id, rotation_name: rotation.name, source });
+      }
+    }
+  }
+  if (picked.size === 0) return [];
+
+  const contacts = await query(
+    'SELECT id, display_name, primary_msisdn FROM contacts WHERE id = ANY($1::uuid[])',
+    [[...picked.keys()]]
+  );
+  return contacts.rows.map(c => ({
+    ...picked.get(c.id),
+    display_name: c.display_name,
+    primary_msisdn: c.primary_msisdn
+  }));
+}
+
+const ROTATION_COLUMNS = `
+  id, name, lift_id, building, timezone, cycle_weeks,
+  to_char(anchor_date, 'YYYY-MM-DD') AS anchor_date, enabled, created_at, updated_at`;
+
+/**
+ * Who is on call for a lift (its own rotations plus its building's)
+ * @param {string} liftId - Lift id
+ * @param {Date} [at] - Moment (defaults to now)
+ * @returns {Promise<OnCallContact[]>} On-call contacts
+ */
+async function resolveOnCall(liftId, at = new Date()) {
+  const rotations = await query(`
+    SELECT ${ROTATION_COLUMNS}
+    FROM oncall_rotations r
+    WHERE r.enabled
+      AND (r.lift_id = $1 OR r.building = (SELECT building FROM lifts WHERE id = $1))
+    ORDER BY (r.lift_id IS NULL) ASC, r.name ASC
+  `, [liftId]);
+  return resolveRotations(rotations.rows, at);
+}
+
+/**
+ * Who is on call for the lift that sent an alarm
+ * @param {string} msisdn - Lift MSISDN (any formatting)
+ * @param {Date} [at] - Moment (defaults to now)
+ * @returns {Promise<{ lift: Object|null, contacts: OnCallContact[] }>} Lift and on-call contacts
+ */
+async function resolveOnCallForMsisdn(msisdn, at = new Date()) {
+  const lift = await query(
+    'SELECT id, msisdn, site_name, building FROM lifts WHERE msisdn = $1',
+    [String(msisdn || '').replace(/\D+/g, '')]
+  );
+  if (lift.rows.length === 0) return { lift: null, contacts: [] };
+  return { lift: lift.rows[0], contacts: await resolveOnCall(lift.rows[0].id, at) };
+}
+
+/**
+ * Who is on call for every rotation assigned to a building
+ * @param {string} building - Building name
+ * @param {Date} [at] - Moment (defaults to now)
+ * @returns {Promise<OnCallContact[]>} On-call contacts
+ */
+async function resolveOnCallForBuilding(building, at = new Date()) {
+  const rotations = await query(`
+    SELECT ${ROTATION_COLUMNS}
+    FROM oncall_rotations
+    WHERE enabled AND building = $1
+    ORDER BY name ASC
+  `, [building]);
+  return resolveRotations(rotations.rows, at);
+}
+
+/**
+ * Who is on call for a single rotation (enabled or not)
+ * @param {string} rotationId - Rotation id
+ * @param {Date} [at] - Moment (defaults to now)
+ * @returns {Promise<OnCallContact[]|null>} On-call contacts, or null if the rotation does not exist
+ */
+async function resolveOnCallForRotation(rotationId, at = new Date()) {
+  const rotations = await query(`SELECT ${ROTATION_COLUMNS} FROM oncall_rotations WHERE id = $1`, [rotationId]);
+  if (rotations.rows.length === 0) return null;
+  return resolveRotations(rotations.rows, at);
+}
+
+module.exports = {
+  resolveOnCall,
+  resolveOnCallForMsisdn,
+  resolveOnCallForBuilding,
+  resolveOnCallForRotation,
+  onCallForRotation,
+  validateTimezone,
+  parseTime,
+  parseDays,
+  localClock,
+  ROTATION_COLUMNS
+};
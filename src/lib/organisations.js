@@ -0,0 +1,174 @@
+/**
+ * Organisations (tenants)
+ * Per-tenant Bridge credentials, default template and branding, falling back to the process-wide
+ * BRIDGE_* environment settings, plus the helpers routes use to scope queries to the caller's tenant.
+ * A caller's tenant is the org_id of its admin token or API key; callers without one are platform-wide
+ */
+
+const { query } = require('../db');
+const { optionalString, patterns, createValidationError } = require('../validate');
+
+const SETTINGS_CACHE_MS = parseInt(process.env.ORG_SETTINGS_CACHE_MS || '60000');
+
+// Editable organisation columns
+const ORG_FIELDS = {
+  name: { max: 255 },
+  bridge_base_url: { max: 255, pattern: /^https:\/\/\S+$/ },
+  bridge_api_key: { max: 255 },
+  template_name: { max: 128, pattern: /^[a-z0-9_]+$/ },
+  template_language: { max: 16, pattern: /^[a-z]{2,3}([_-][A-Za-z]{2})?$/ },
+  brand_name: { max: 80 },
+  alert_footer: { max: 300 }
+};
+
+/**
+ * @typedef {Object} TenantSettings
+ * @property {string|null} org_id - Organisation id (null for platform/environment settings)
+ * @property {{ baseUrl: string, apiKey: string }} bridge - Bridge credentials
+ * @property {{ name: string, language: string }} template - Default template
+ * @property {{ brand_name: string|null, alert_footer: string|null }} branding - Branding text
+ */
+
+const settingsCache = new Map();
+
+/**
+ * Settings from the environment (platform rows and organisations without overrides)
+ * @returns {TenantSettings} Settings
+ */
+function environmentSettings() {
+  return {
+    org_id: null,
+    bridge: {
+      baseUrl: process.env.BRIDGE_BASE_URL || 'https://wa.woosh.ai',
+      apiKey: process.env.BRIDGE_API_KEY || ''
+    },
+    template: {
+      name: process.env.BRIDGE_TEMPLATE_NAME || 'growthpoint_testv1',
+      // As the template is registered with WhatsApp, e.g. en_US; registered templates match on the base language too
+      language: (process.env.BRIDGE_TEMPLATE_LANG || 'en_US').trim()
+    },
+    branding: { brand_name: null, alert_footer: null }
+  };
+}
+
+/**
+ * Organisation row without its Bridge API key
+ * @param {Object} row - organisations row
+ * @returns {Object} Row safe to return from the API
+ */
+function publicOrganisation(row) {
+  const { bridge_api_key, ...org } = row;
+  return { ...org, bridge_api_key_set: Boolean(bridge_api_key) };
+}
+
+/**
+ * Bridge, template and branding settings for an organisation (cached briefly)
+ * @param {string|null} orgId - Organisation id
+ * @returns {Promise<TenantSettings>} Settings; environment settings for null or unknown ids
+ */
+async function getTenantSettings(orgId) {
+  if (!orgId) return environmentSettings();
+
+  const cached = settingsCache.get(orgId);
+  if (cached && cached.expires > Date.now()) return cached.settings;
+
+  const result = await query('SELECT * FROM organisations WHERE id = $1', [orgId]);
+  const org = result.rows[0];
+  const env = environmentSettings();
+  const settings = !org ? env : {
+    org_id: org.id,
+    bridge: {
+      baseUrl: org.bridge_base_url || env.bridge.baseUrl,
+      apiKey: org.bridge_api_key || env.bridge.apiKey
+    },
+    template: {
+      name: org.template_name || env.template.name,
+      language: org.template_language || env.template.language
+    },
+    branding: { brand_name: org.brand_name, alert_footer: org.alert_footer }
+  };
+
+  settingsCache.set(orgId, { settings, expires: Date.now() + SETTINGS_CACHE_MS });
+  return settings;
+}
+
+/**
+ * Drop cached settings after an organisation changes
+ * @param {string} orgId - Organisation id
+ */
+function invalidateTenantSettings(orgId) {
+  settingsCache.delete(orgId);
+}
+
+/**
+ * Settings for the organisation that owns a lift
+ * @param {string} msisdn - Lift MSISDN
+ * @returns {Promise<TenantSettings>} Settings; environment settings for unknown or platform lifts
+ */
+async function settingsForLiftMsisdn(msisdn) {
+  const result = await query('SELECT org_id FROM lifts WHERE msisdn = $1', [String(msisdn || '').replace(/\D+/g, '')]);
+  return getTenantSettings(result.rows[0] ? result.rows[0].org_id : null);
+}
+
+/**
+ * Add the organisation's brand name and footer to an alert text
+ * @param {TenantSettings} settings - Tenant settings
+ * @param {string} body - Alert text
+ * @returns {string} Branded text
+ */
+function brandText(settings, body) {
+  const { brand_name, alert_footer } = settings.branding;
+  return `${brand_name ? `[${brand_name}] ` : ''}${body}${alert_footer ? `\n${alert_footer}` : ''}`;
+}
+
+/**
+ * The caller's tenant: org_id of its admin token or API key
+ * @param {Object} req - Express request
+ * @returns {string|null} Organisation id, or null for platform callers
+ */
+function tenantOf(req) {
+  return (req.admin && req.admin.org_id) || (req.apiClient && req.apiClient.org_id) || null;
+}
+
+/**
+ * SQL condition limiting rows to the caller's tenant
+ * Tenant callers only ever see their own rows; platform callers see everything, or one
+ * organisation with ?org_id=
+ * @param {Object} req - Express request
+ * @param {string} column - org_id column to filter, e.g. "l.org_id"
+ * @param {Array} params - Query parameters (the org id is appended)
+ * @returns {string} " AND <column> = $n", or "" when unscoped
+ */
+function tenantCondition(req, column, params) {
+  const orgId = tenantOf(req) || optionalString(req.query || {}, 'org_id', { pattern: patterns.uuid });
+  if (!orgId) return '';
+  params.push(orgId);
+  return ` AND ${column} = $${params.length}`;
+}
+
+/**
+ * Organisation a new row belongs to: the caller's tenant, or for platform callers an optional
+ * org_id in the body
+ * @param {Object} req - Express request
+ * @returns {string|null} Organisation id
+ */
+function owningOrg(req) {
+  const tenant = tenantOf(req);
+  const requested = optionalString(req.body || {}, 'org_id', { pattern: patterns.uuid });
+  if (tenant && requested && requested !== tenant) {
+    throw createValidationError('Field org_id must be your own organisation', 'org_id');
+  }
+  return tenant || requested;
+}
+
+module.exports = {
+  getTenantSettings,
+  invalidateTenantSettings,
+  settingsForLiftMsisdn,
+  brandText,
+  tenantOf,
+  tenantCondition,
+  owningOrg,
+  publicOrganisation,
+  ORG_FIELDS
+};
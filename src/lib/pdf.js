@@ -0,0 +1,154 @@
+/**
+ * Minimal PDF writer
+ * Text-only documents for reports: A4 pages in the standard Helvetica fonts (nothing embedded), with
+ * lines wrapped to the page width and flowed onto new pages. Text is WinAnsi-encoded; characters
+ * outside it (emoji, most non-Latin scripts) are left out
+ */
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FOOTER_SIZE = 8;
+
+// WinAnsi's 0x80-0x9F block, where it differs from Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+/**
+ * @typedef {Object} PdfLine
+ * @property {string} text - Text; long lines wrap
+ * @property {number} [size] - Font size in points (default 10)
+ * @property {boolean} [bold] - Helvetica-Bold instead of Helvetica
+ */
+
+/**
+ * Text as a PDF string literal body: WinAnsi bytes, with \ ( ) escaped
+ * A space after a left-out character is dropped too when it would double up ("🚨 Alarm" → "Alarm")
+ * @param {string} text - Text
+ * @returns {string} Latin-1 string
+ */
+function encodeText(text) {
+  let out = '';
+  let skipped = false;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    let byte = null;
+    if ((code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff)) byte = code;
+    else if (code === 0x09) byte = 0x20;
+    else if (WIN_ANSI_EXTRAS[ch]) byte = WIN_ANSI_EXTRAS[ch];
+    if (byte === null) {
+      skipped = true;
+      continue;
+    }
+    const c = String.fromCharCode(byte);
+    if (!(skipped && c === ' ' && (out === '' || out.endsWith(' ')))) {
+      out += c === '\\' || c === '(' || c === ')' ? `\\${c}` : c;
+    }
+    skipped = false;
+  }
+  return out;
+}
+
+/**
+ * Split text into rows that fit the page width
+ * Widths are estimated (Helvetica averages about half the font size per character) and words longer
+ * than a row are cut
+ * @param {string} text - Text (may contain newlines)
+ * @param {number} size - Font size
+ * @returns {string[]} Rows
+ */
+function wrap(text, size) {
+  const perRow = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (size * 0.52));
+  const rows = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let row = '';
+    for (const word of paragraph.split(' ')) {
+      let rest = word;
+      while (rest.length > perRow) {
+        if (row) rows.push(row);
+        rows.push(rest.slice(0, perRow));
+        rest = rest.slice(perRow);
+        row = '';
+      }
+      if (!row) row = rest;
+      else if (row.length + 1 + rest.length <= perRow) row += ` ${rest}`;
+      else {
+        rows.push(row);
+        row = rest;
+      }
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * PDF date string, e.g. D:20260918103000Z
+ * @param {Date} date - Moment
+ * @returns {string} Date
+ */
+function pdfDate(date) {
+  return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+}
+
+/**
+ * Render lines of text as a PDF
+ * @param {Object} doc - Document
+ * @param {string} doc.title - Title (document info, and the footer of every page)
+ * @param {Array<string|PdfLine>} doc.lines - Lines; a string is 10pt regular, '' a blank line
+ * @returns {Buffer} PDF file
+ */
+function renderPdf({ title, lines }) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const line of lines.map(l => (typeof l === 'string' ? { text: l } : l))) {
+    const size = line.size || 10;
+    const leading = size * 1.4;
+    for (const row of wrap(line.text, size)) {
+      if (y - leading < MARGIN + FOOTER_SIZE * 2) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      y -= leading;
+      if (row) pages[pages.length - 1].push(`BT /${line.bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y.toFixed(1)} Td (${encodeText(row)}) Tj ET`);
+    }
+  }
+
+  pages.forEach((ops, i) => {
+    ops.push(`BT /F1 ${FOOTER_SIZE} Tf ${MARGIN} ${MARGIN - FOOTER_SIZE} Td (${encodeText(`${title} - page ${i + 1} of ${pages.length}`)}) Tj ET`);
+  });
+
+  // Objects 1-5 are fixed; each page then takes a page object and a content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${6 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${encodeText(title)}) /Producer (woosh-lifts) /CreationDate (${pdfDate(new Date())}) >>`
+  ];
+  pages.forEach((ops, i) => {
+    const stream = ops.join('\n');
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(out, 'latin1');
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,317 @@
+/**
+ * Portal payload shapes
+ * Data-driven field mappings (stored in portal_shapes) that turn arbitrary SMS portal JSON into normalized fields
+ */
+
+const crypto = require('crypto');
+const { query } = require('../db');
+const { createValidationError } = require('../validate');
+
+const CACHE_TTL_MS = parseInt(process.env.PORTAL_SHAPES_CACHE_MS || '30000');
+
+/**
+ * @typedef {Object} ShapeMappings
+ * @property {string|string[]} msisdn - JSON path(s); first non-empty wins (required)
+ * @property {string|string[]} text - JSON path(s) (required)
+ * @property {string|string[]} [provider_id] - JSON path(s)
+ * @property {string|string[]} [ts] - JSON path(s)
+ * @property {Object<string, string|string[]>} [meta] - Extra fields copied into meta
+ */
+
+/**
+ * @typedef {Object} PortalShape
+ * @property {string} name - Shape name (e.g. PORTAL_A)
+ * @property {number} priority - Lower values are tried first
+ * @property {boolean} enabled - Whether the shape takes part in detection
+ * @property {ShapeMappings} mappings - Field mappings
+ */
+
+/**
+ * @typedef {Object} ShapeMatch
+ * @property {string} shape - Name of the matching shape
+ * @property {string} msisdn - Digits only
+ * @property {string} text - Trimmed message text
+ * @property {string|null} provider_id - Provider message id, if mapped
+ * @property {string|null} ts - Provider event time as found in the payload, if mapped
+ * @property {Object} meta - Mapped metadata (empty values omitted)
+ */
+
+/**
+ * Fallback shapes used when the database cannot be read
+ * (keep in sync with the seed in sql/04_portal_shapes.sql, as updated by sql/21_portal_sender_first.sql)
+ */
+const BUILTIN_SHAPES = [
+  {
+    name: 'PORTAL_A',
+    priority: 10,
+    enabled: true,
+    mappings: {
+      msisdn: ['$.msisdn'],
+      text: ['$.text'],
+      provider_id: ['$.provider_id', '$.id'],
+      ts: ['$.ts', '$.timestamp'],
+      meta: {}
+    }
+  },
+  {
+    name: 'PORTAL_B',
+    priority: 20,
+    enabled: true,
+    mappings: {
+      msisdn: ['$.phoneNumber'],
+      text: ['$.incomingData'],
+      provider_id: ['$.provider_id', '$.id'],
+      ts: ['$.incomingDateTime', '$.incomingUtc'],
+      meta: { provider: '$.provider' }
+    }
+  },
+  {
+    name: 'PORTAL_C',
+    priority: 30,
+    enabled: true,
+    mappings: {
+      msisdn: ['$.from'],
+      text: ['$.text', '$.body'],
+      provider_id: ['$.provider_id', '$.id'],
+      ts: ['$.ts', '$.timestamp'],
+      meta: { shortcode: ['$.shortcode', '$.sc'] }
+    }
+  },
+  {
+    name: 'LEGACY_ANY',
+    priority: 1000,
+    enabled: true,
+    mappings: {
+      // The sender, never the destination: $.to on router payloads is the shortcode
+      msisdn: ['$.phone', '$.phoneNumber', '$.msisdn', '$.from'],
+      text: ['$.text', '$.incomingData', '$.IncomingData', '$.message', '$.body'],
+      provider_id: ['$.id', '$.Id', '$.messageId', '$.reqId'],
+      ts: ['$.incomingUtc', '$.IncomingUtc', '$.incomingDateTime', '$.IncomingDateTime', '$.received_at'],
+      meta: {
+        mcc: ['$.mcc', '$.Mcc'],
+        mnc: ['$.mnc', '$.Mnc'],
+        shortcode: ['$.sc', '$.Sc', '$.shortcode'],
+        keyword: ['$.keyword', '$.Keyword']
+      }
+    }
+  }
+];
+
+let cache = { shapes: null, loadedAt: 0 };
+
+/**
+ * Parse a JSON path such as $.a.b[0].c or $['odd key'] into segments
+ * @param {string} path - JSON path
+ * @returns {Array<string|number>} Path segments
+ * @throws {Error} VALIDATION_ERROR when the path is malformed
+ */
+function parsePath(path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw createValidationError(`Invalid JSON path: ${path}`);
+  }
+
+  const segments = [];
+  const re = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+  let pos = 1;
+  while (pos < path.length) {
+    re.lastIndex = pos;
+    const m = re.exec(path);
+    if (!m) {
+      throw createValidationError(`Invalid JSON path: ${path}`);
+    }
+    if (m[1] !== undefined) segments.push(m[1]);
+    else if (m[2] !== undefined) segments.push(Number(m[2]));
+    else segments.push(m[3] !== undefined ? m[3] : m[4]);
+    pos = re.lastIndex;
+  }
+  return segments;
+}
+
+/**
+ * Resolve a JSON path against an object
+ * @param {Object} obj - Source object
+ * @param {string} path - JSON path
+ * @returns {any} Value or undefined
+ */
+function getPath(obj, path) {
+  let cur = obj;
+  for (const seg of parsePath(path)) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[seg];
+  }
+  return cur;
+}
+
+/**
+ * Resolve the first non-empty value among one or more paths
+ * @param {Object} obj - Source object
+ * @param {string|string[]} paths - JSON path(s)
+ * @returns {string} Trimmed string value or ''
+ */
+function firstValue(obj, paths) {
+  for (const path of [].concat(paths || [])) {
+    const value = getPath(obj, path);
+    if (value === undefined || value === null || typeof value === 'object') continue;
+    const str = String(value).trim();
+    if (str !== '') return str;
+  }
+  return '';
+}
+
+/**
+ * Apply one shape to a payload
+ * @param {PortalShape} shape - Shape definition
+ * @param {Object} body - Raw payload
+ * @returns {ShapeMatch|null} Normalized fields, or null when msisdn/text do not resolve
+ */
+function applyShape(shape, body) {
+  const { mappings } = shape;
+  const msisdn = firstValue(body, mappings.msisdn).replace(/\D+/g, '');
+  const text = firstValue(body, mappings.text);
+  if (!msisdn || !text) return null;
+
+  const meta = {};
+  for (const [key, paths] of Object.entries(mappings.meta || {})) {
+    const value = firstValue(body, paths);
+    if (value) meta[key] = value;
+  }
+
+  return {
+    shape: shape.name,
+    msisdn,
+    text,
+    provider_id: firstValue(body, mappings.provider_id) || null,
+    ts: firstValue(body, mappings.ts) || null,
+    meta
+  };
+}
+
+/**
+ * Validate shape mappings (throws VALIDATION_ERROR)
+ * @param {any} mappings - Candidate mappings
+ * @returns {ShapeMappings} The validated mappings
+ */
+function validateMappings(mappings) {
+  if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+    throw createValidationError('Field mappings must be an object');
+  }
+
+  const checkPaths = (key, value, required) => {
+    const paths = [].concat(value === undefined || value === null ? [] : value);
+    if (required && paths.length === 0) {
+      throw createValidationError(`Missing required mapping: ${key}`);
+    }
+    paths.forEach(parsePath);
+  };
+
+  checkPaths('msisdn', mappings.msisdn, true);
+  checkPaths('text', mappings.text, true);
+  checkPaths('provider_id', mappings.provider_id, false);
+  checkPaths('ts', mappings.ts, false);
+
+  if (mappings.meta !== undefined) {
+    if (!mappings.meta || typeof mappings.meta !== 'object' || Array.isArray(mappings.meta)) {
+      throw createValidationError('Field mappings.meta must be an object');
+    }
+    for (const [key, value] of Object.entries(mappings.meta)) {
+      checkPaths(`meta.${key}`, value, true);
+    }
+  }
+
+  return mappings;
+}
+
+/**
+ * Load enabled shapes ordered by priority (cached; falls back to BUILTIN_SHAPES when the DB is unavailable)
+ * @returns {Promise<PortalShape[]>} Shapes
+ */
+async function getShapes() {
+  if (cache.shapes && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.shapes;
+  }
+
+  try {
+    const result = await query(`
+      SELECT name, priority, enabled, mappings
+      FROM portal_shapes
+      WHERE enabled
+      ORDER BY priority ASC, name ASC
+    `);
+    cache = { shapes: result.rows, loadedAt: Date.now() };
+  } catch (error) {
+    console.warn('[portalShapes] using built-in shapes:', error.message);
+    cache = { shapes: BUILTIN_SHAPES, loadedAt: Date.now() };
+  }
+  return cache.shapes;
+}
+
+/**
+ * Drop the cached shapes so the next lookup re-reads the table
+ */
+function invalidateShapes() {
+  cache = { shapes: null, loadedAt: 0 };
+}
+
+/**
+ * Detect the shape of a payload and extract normalized fields
+ * @param {Object} body - Raw payload
+ * @param {PortalShape[]} [shapes] - Shapes to try (defaults to getShapes())
+ * @returns {Promise<ShapeMatch|null>} First matching shape's fields, or null
+ */
+async function detectShape(body, shapes) {
+  if (!body || typeof body !== 'object') return null;
+  const candidates = shapes || await getShapes();
+  for (const shape of candidates) {
+    const match = applyShape(shape, body);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Provider id for a payload that does not map one
+ * With a timestamp, a hash of sender, text and time, so a portal resending the same alarm stays
+ * idempotent; without one nothing tells two alarms apart, so each gets its own id
+ * @param {ShapeMatch} match - Detected shape fields
+ * @returns {string} Provider id
+ */
+function fallbackProviderId(match) {
+  if (!match.ts) return `portal-${crypto.randomUUID()}`;
+  const hash = crypto.createHash('sha256').update(`${match.msisdn}\n${match.text}\n${match.ts}`).digest('hex');
+  return `portal-${hash.slice(0, 32)}`;
+}
+
+/**
+ * Build the InboundSms that /sms/plain ingests from a shape match
+ * @param {ShapeMatch} match - Detected shape fields
+ * @param {Object} original - Original payload (stored in meta)
+ * @returns {import('./ingest').InboundSms} Message ready for ingestMessage
+ */
+function toInboundSms(match, original) {
+  const eventTime = match.ts ? new Date(match.ts) : null;
+  return {
+    provider: 'portal',
+    provider_id: match.provider_id || fallbackProviderId(match),
+    msisdn: `+${match.msisdn}`,
+    text: match.text,
+    // Unparseable portal timestamps fall back to server time rather than rejecting the alarm
+    ts: eventTime && !Number.isNaN(eventTime.getTime()) ? eventTime.toISOString() : new Date().toISOString(),
+    meta: {
+      ...match.meta,
+      provider_shape: match.shape,
+      original
+    }
+  };
+}
+
+module.exports = {
+  detectShape,
+  toInboundSms,
+  applyShape,
+  getShapes,
+  invalidateShapes,
+  validateMappings,
+  parsePath,
+  getPath,
+  BUILTIN_SHAPES
+};
@@ -0,0 +1,156 @@
+/**
+ * Lift registry CSV
+ * Reads and writes the registry layout (building, building_code, lift_id, msisdn, recipient_1..n, region)
+ * used by data/registry.csv, POST /admin/registry/import and GET /admin/registry/export
+ */
+
+const { query } = require('../db');
+const { parseCsv, toCsv } = require('./csv');
+const { patterns } = require('../validate');
+
+const FIXED_COLUMNS = ['building', 'building_code', 'lift_id', 'msisdn'];
+const EXPORT_MIN_RECIPIENTS = 5;
+
+const MAX_LENGTHS = { building: 200, building_code: 32, lift_id: 32, region: 16 };
+
+/**
+ * @typedef {Object} RegistryRowError
+ * @property {number} line - 1-based line in the file
+ * @property {string} field - Column at fault
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Normalize a phone number cell, rejecting what spreadsheets do to long numbers
+ * @param {string} raw - Cell value
+ * @returns {{ msisdn?: string, error?: string }} Digits or an error
+ */
+function parseNumberCell(raw) {
+  if (/\d[.,]?\d*e\+?\d+/i.test(raw)) {
+    return { error: `"${raw}" looks like a number the spreadsheet converted to scientific notation; format the column as text` };
+  }
+  const msisdn = raw.replace(/\D+/g, '');
+  if (!patterns.msisdn.test(msisdn)) {
+    return { error: `"${raw}" is not a valid MSISDN (10-15 digits)` };
+  }
+  return { msisdn };
+}
+
+/**
+ * Parse and validate a registry CSV
+ * Columns are found by header name, so order does not matter and extra columns are ignored
+ * @param {string} text - CSV text
+ * @returns {{ entries: import('./directory').DirectoryEntry[], errors: RegistryRowError[], rows: number }}
+ *   Valid rows as directory entries (source 'csv'), per-row errors, and the number of data rows
+ */
+function parseRegistry(text) {
+  const { rows } = parseCsv(text);
+  const errors = [];
+  if (rows.length === 0) {
+    return { entries: [], errors: [{ line: 1, field: 'header', message: 'File is empty' }], rows: 0 };
+  }
+
+  const header = rows[0].cells.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  const column = name => header.indexOf(name);
+  const recipientColumns = header
+    .map((name, index) => ({ index, n: Number((name.match(/^recipient_(\d+)$/) || [])[1]) }))
+    .filter(c => c.n > 0)
+    .sort((a, b) => a.n - b.n)
+    .map(c => c.index);
+
+  if (column('msisdn') === -1) {
+    return {
+      entries: [],
+      errors: [{ line: rows[0].line, field: 'header', message: `Header must include msisdn (expected ${FIXED_COLUMNS.join(', ')}, recipient_1..5, region)` }],
+      rows: rows.length - 1
+    };
+  }
+
+  const entries = [];
+  const seen = new Map();
+  for (const { line, cells } of rows.slice(1)) {
+    const cell = name => (column(name) === -1 ? '' : (cells[column(name)] || '').trim());
+    const rowErrors = [];
+
+    const lift = parseNumberCell(cell('msisdn'));
+    if (!cell('msisdn')) {
+      rowErrors.push({ line, field: 'msisdn', message: 'msisdn is required' });
+    } else if (lift.error) {
+      rowErrors.push({ line, field: 'msisdn', message: lift.error });
+    } else if (seen.has(lift.msisdn)) {
+      rowErrors.push({ line, field: 'msisdn', message: `Duplicate lift msisdn (first on line ${seen.get(lift.msisdn)})` });
+    }
+
+    for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+      if (cell(field).length > max) {
+        rowErrors.push({ line, field, message: `${field} must be at most ${max} characters` });
+      }
+    }
+
+    const recipients = [];
+    for (const index of recipientColumns) {
+      const raw = (cells[index] || '').trim();
+      if (!raw) continue;
+      const recipient = parseNumberCell(raw);
+      if (recipient.error) {
+        rowErrors.push({ line, field: header[index], message: recipient.error });
+      } else if (!recipients.includes(recipient.msisdn)) {
+        recipients.push(recipient.msisdn);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      continue;
+    }
+
+    seen.set(lift.msisdn, line);
+    entries.push({
+      msisdn: lift.msisdn,
+      lift_id: cell('lift_id') || null,
+      lift_code: cell('lift_id') || null,
+      name: null,
+      building: cell('building') || null,
+      building_code: cell('building_code') || null,
+      region: cell('region') || null,
+      recipients: recipients.map(msisdn => ({ msisdn, contact_id: null, name: null, relation: null })),
+      source: 'csv',
+      line
+    });
+  }
+
+  return { entries, errors, rows: rows.length - 1 };
+}
+
+/**
+ * Export lifts and their contacts in the registry layout
+ * Recipient columns grow past recipient_5 when a lift has more contacts
+ * @returns {Promise<{ csv: string, lifts: number }>} CSV text and row count
+ */
+async function exportRegistry() {
+  const result = await query(`
+    SELECT l.msisdn, l.building, l.building_code, l.lift_code, l.region,
+           COALESCE(array_agg(c.primary_msisdn ORDER BY lc.created_at, c.primary_msisdn)
+                    FILTER (WHERE c.primary_msisdn IS NOT NULL), '{}') AS recipients
+    FROM lifts l
+    LEFT JOIN lift_contacts lc ON lc.lift_id = l.id
+    LEFT JOIN contacts c ON c.id = lc.contact_id
+    GROUP BY l.id
+    ORDER BY l.building NULLS LAST, l.lift_code NULLS LAST, l.msisdn
+  `);
+
+  const width = Math.max(EXPORT_MIN_RECIPIENTS, ...result.rows.map(r => r.recipients.length));
+  const recipientHeaders = Array.from({ length: width }, (_, i) => `recipient_${i + 1}`);
+  const rows = [[...FIXED_COLUMNS, ...recipientHeaders, 'region']];
+  for (const row of result.rows) {
+    const recipients = Array.from({ length: width }, (_, i) => row.recipients[i] || '');
+    rows.push([row.building, row.building_code, row.lift_code, row.msisdn, ...recipients, row.region]);
+  }
+
+  return { csv: toCsv(rows), lifts: result.rows.length };
+}
+
+module.exports = {
+  parseRegistry,
+  exportRegistry
+};
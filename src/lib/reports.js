@@ -0,0 +1,344 @@
+/**
+ * Lift reports
+ * PDF reports built from `messages` and `events`: one incident's timeline, or a lift's alarm history
+ * for a calendar month. Times are shown in the lift's building (or site) time zone. Generated reports
+ * are stored as documents and can be queued to a lift's contacts like any other outbound message
+ */
+
+const { createValidationError } = require('../validate');
+const { renderPdf } = require('./pdf');
+
+const REPORT_TYPES = ['incident', 'monthly'];
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Lift relations a report goes to when no recipient is named
+const REPORT_RELATIONS = String(process.env.REPORT_RELATIONS || 'building_management')
+  .split(',')
+  .map(s => s.trim())
+  .filter(Boolean);
+
+// Timezone for lifts without a building (the sites table's default)
+const DEFAULT_TIMEZONE = 'Africa/Johannesburg';
+
+// Longest alarm list in a monthly report
+const MAX_ALARM_ROWS = 500;
+
+/**
+ * @typedef {Object} Report
+ * @property {string} title - Report title
+ * @property {string} filename - File name, e.g. alarms-L01-2026-09.pdf
+ * @property {Buffer} content - PDF file
+ * @property {Object} lift - Lift the report covers
+ * @property {Object} meta - Report parameters (type, incident_id or month)
+ */
+
+/**
+ * Load a lift with its time zone, within an organisation
+ * @param {Object} db - Query client
+ * @param {string} liftId - Lift id
+ * @param {string|null} orgId - Caller's organisation (null: any)
+ * @returns {Promise<Object|null>} Lift
+ */
+async function loadLift(db, liftId, orgId) {
+  const result = await db.query(`
+    SELECT l.id, l.msisdn, l.site_name, l.building, l.lift_code, l.org_id,
+           COALESCE(b.timezone, s.timezone, $3) AS timezone
+    FROM lifts l
+    LEFT JOIN buildings b ON b.id = l.building_id
+    LEFT JOIN sites s ON s.id = b.site_id
+    WHERE l.id = $1 AND ($2::uuid IS NULL OR l.org_id = $2)
+  `, [liftId, orgId || null, DEFAULT_TIMEZONE]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Local date and time, e.g. 2026-09-18 10:30:00
+ * @param {Date|string|null} value - Moment
+ * @param {string} tz - Time zone
+ * @returns {string} Formatted time, or - when missing
+ */
+function formatTime(value, tz) {
+  if (!value) return '-';
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone: tz,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).format(new Date(value));
+}
+
+/**
+ * Time between two moments, e.g. 1 h 5 min
+ * @param {Date|string|null} from - Start
+ * @param {Date|string|null} to - End
+ * @returns {string} Duration, or - when either is missing
+ */
+function duration(from, to) {
+  if (!from || !to) return '-';
+  const minutes = Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Median of some numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Median, or null when empty
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Text on one line, cut to a length
+ * @param {string|null} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} Text
+ */
+function oneLine(text, max = 300) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > max ? `${flat.slice(0, max - 1)}…` : flat;
+}
+
+/**
+ * Part of a file name from a lift: its registry code, else its number
+ * @param {Object} lift - Lift
+ * @returns {string} Name without path or shell characters
+ */
+function fileLabel(lift) {
+  return String(lift.lift_code || lift.msisdn).replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Lines describing a lift, for the top of a report
+ * @param {Object} lift - Lift
+ * @returns {string[]} Lines
+ */
+function liftLines(lift) {
+  return [
+    `Lift: ${[lift.site_name, lift.building].filter(Boolean).join(', ') || '-'}${lift.lift_code ? ` (${lift.lift_code})` : ''}`,
+    `Lift number: ${lift.msisdn}`,
+    `Times shown in ${lift.timezone}`
+  ];
+}
+
+/**
+ * One timeline entry for an event
+ * @param {Object} event - Event row
+ * @returns {string} Description
+ */
+function describeEvent(event) {
+  const p = event.payload || {};
+  const count = Array.isArray(p.recipients) ? p.recipients.length : 0;
+  switch (event.type) {
+    case 'incident_opened':
+      return 'Incident opened';
+    case 'incident_transition':
+      return `State ${p.from} -> ${p.to}${p.actor ? ` by ${p.actor}` : ''}${p.source ? ` (${p.source})` : ''}${p.note ? `: ${oneLine(p.note, 200)}` : ''}`;
+    case 'incident_alerted':
+      return `Alerted ${count} contact(s)`;
+    case 'incident_escalated':
+      return `Escalated to ${p.tier_name || `tier ${p.tier}`}: ${count} contact(s)`;
+    case 'escalation_tier_skipped':
+      return `Escalation tier ${p.tier_name || p.tier} skipped: no contacts`;
+    case 'escalation_exhausted':
+      return 'Escalation finished: no more tiers';
+    case 'backup_requested':
+      return `Backup requested${p.from ? ` by ${p.from}` : ''}`;
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * One timeline entry for a message
+ * @param {Object} message - Message row
+ * @returns {string} Description
+ */
+function describeMessage(message) {
+  const party = message.direction === 'in' ? `from ${message.from_msisdn}` : `to ${message.to_msisdn}`;
+  const status = message.status ? ` [${message.status}]` : '';
+  return `${message.channel.toUpperCase()} ${party}${status}: ${oneLine(message.body) || '(no text)'}`;
+}
+
+/**
+ * Build the report for one incident: summary and a timeline of its messages and events
+ * @param {Object} db - Query client
+ * @param {string} incidentId - Incident id
+ * @param {string|null} orgId - Caller's organisation (null: any)
+ * @returns {Promise<Report|null>} Report, or null when the incident is not found
+ */
+async function incidentReport(db, incidentId, orgId) {
+  const found = await db.query(`
+    SELECT i.*
+    FROM incidents i
+    JOIN lifts l ON l.id = i.lift_id
+    WHERE i.id = $1 AND ($2::uuid IS NULL OR l.org_id = $2)
+  `, [incidentId, orgId || null]);
+  const incident = found.rows[0];
+  if (!incident) return null;
+
+  const lift = await loadLift(db, incident.lift_id, null);
+  const [messages, events] = await Promise.all([
+    db.query(`
+      SELECT channel, direction, from_msisdn, to_msisdn, body, status, ts
+      FROM messages
+      WHERE incident_id = $1
+      ORDER BY ts ASC
+    `, [incidentId]),
+    db.query(`
+      SELECT type, payload, ts
+      FROM events
+      WHERE payload->>'incident_id' = $1
+      ORDER BY ts ASC
+    `, [incidentId])
+  ]);
+
+  const tz = lift.timezone;
+  const timeline = [
+    ...messages.rows.map(m => ({ ts: m.ts, text: describeMessage(m) })),
+    ...events.rows.map(e => ({ ts: e.ts, text: describeEvent(e) }))
+  ].sort((a, b) => new Date(a.ts) - new Date(b.ts));
+
+  const title = `Incident report ${formatTime(incident.opened_at, tz).slice(0, 10)}`;
+  const lines = [
+    { text: title, size: 16, bold: true },
+    ...liftLines(lift),
+    '',
+    { text: 'Summary', size: 12, bold: true },
+    `State: ${incident.state}`,
+    `Opened: ${formatTime(incident.opened_at, tz)}`,
+    `Acknowledged: ${formatTime(incident.acknowledged_at, tz)} (after ${duration(incident.opened_at, incident.acknowledged_at)})`,
+    `On site: ${formatTime(incident.on_site_at, tz)} (after ${duration(incident.opened_at, incident.on_site_at)})`,
+    `Resolved: ${formatTime(incident.resolved_at, tz)} (after ${duration(incident.opened_at, incident.resolved_at)})`,
+    `Alarms received: ${messages.rows.filter(m => m.direction === 'in').length}`,
+    `Notifications sent: ${messages.rows.filter(m => m.direction === 'out').length}`,
+    '',
+    { text: 'Timeline', size: 12, bold: true },
+    ...(timeline.length > 0 ? timeline.map(entry => `${formatTime(entry.ts, tz)}  ${entry.text}`) : ['No messages or events recorded'])
+  ];
+
+  return {
+    title,
+    filename: `incident-${fileLabel(lift)}-${formatTime(incident.opened_at, tz).slice(0, 10)}.pdf`,
+    content: renderPdf({ title, lines }),
+    lift,
+    meta: { type: 'incident', incident_id: incidentId }
+  };
+}
+
+/**
+ * Build a lift's alarm history for a calendar month: totals, its incidents and the alarms received
+ * @param {Object} db - Query client
+ * @param {string} liftId - Lift id
+ * @param {string} month - YYYY-MM, in the lift's time zone
+ * @param {string|null} orgId - Caller's organisation (null: any)
+ * @returns {Promise<Report|null>} Report, or null when the lift is not found
+ */
+async function monthlyReport(db, liftId, month, orgId) {
+  if (!MONTH_PATTERN.test(String(month))) {
+    throw createValidationError('Field month must be YYYY-MM', 'month');
+  }
+  const lift = await loadLift(db, liftId, orgId);
+  if (!lift) return null;
+
+  const bounds = await db.query(`
+    SELECT ($1::date)::timestamp AT TIME ZONE $2 AS period_start,
+           (($1::date) + interval '1 month')::timestamp AT TIME ZONE $2 AS period_end
+  `, [`${month}-01`, lift.timezone]);
+  const { period_start, period_end } = bounds.rows[0];
+
+  const [incidents, alarms, events] = await Promise.all([
+    db.query(`
+      SELECT i.*, (SELECT count(*)::int FROM messages m WHERE m.incident_id = i.id AND m.direction = 'in') AS alarms
+      FROM incidents i
+      WHERE i.lift_id = $1 AND i.opened_at >= $2 AND i.opened_at < $3
+      ORDER BY i.opened_at ASC
+    `, [liftId, period_start, period_end]),
+    db.query(`
+      SELECT body, ts, count(*) OVER ()::int AS total
+      FROM messages
+      WHERE direction = 'in' AND channel = 'sms' AND from_msisdn = $1 AND ts >= $2 AND ts < $3
+      ORDER BY ts ASC
+      LIMIT $4
+    `, [lift.msisdn, period_start, period_end, MAX_ALARM_ROWS]),
+    db.query(`
+      SELECT type, count(*)::int AS count
+      FROM events
+      WHERE lift_id = $1 AND ts >= $2 AND ts < $3
+      GROUP BY type
+    `, [liftId, period_start, period_end])
+  ]);
+
+  const tz = lift.timezone;
+  const eventCount = type => (events.rows.find(e => e.type === type) || { count: 0 }).count;
+  const ackMinutes = incidents.rows
+    .filter(i => i.acknowledged_at)
+    .map(i => (new Date(i.acknowledged_at) - new Date(i.opened_at)) / 60000);
+  const resolved = incidents.rows.filter(i => i.resolved_at);
+  const totalAlarms = alarms.rows.length > 0 ? alarms.rows[0].total : 0;
+  const medianAck = median(ackMinutes);
+
+  const title = `Alarm history ${month}`;
+  const lines = [
+    { text: title, size: 16, bold: true },
+    ...liftLines(lift),
+    '',
+    { text: 'Summary', size: 12, bold: true },
+    `Alarms received: ${totalAlarms}`,
+    `Incidents: ${incidents.rows.length} (${resolved.length} resolved, ${incidents.rows.length - resolved.length} unresolved)`,
+    `Median time to acknowledge: ${medianAck === null ? '-' : `${Math.round(medianAck)} min`}`,
+    `Escalations: ${eventCount('incident_escalated')}`,
+    `Backup requests: ${eventCount('backup_requested')}`,
+    '',
+    { text: 'Incidents', size: 12, bold: true },
+    ...(incidents.rows.length > 0
+      ? incidents.rows.map(i => `${formatTime(i.opened_at, tz)}  ${i.state}, ${i.alarms} alarm(s), acknowledged after ${duration(i.opened_at, i.acknowledged_at)}, resolved after ${duration(i.opened_at, i.resolved_at)}`)
+      : ['No incidents']),
+    '',
+    { text: 'Alarms', size: 12, bold: true },
+    ...(alarms.rows.length > 0
+      ? alarms.rows.map(a => `${formatTime(a.ts, tz)}  ${oneLine(a.body) || '(no text)'}`)
+      : ['No alarms received']),
+    ...(totalAlarms > alarms.rows.length ? [`... and ${totalAlarms - alarms.rows.length} more`] : [])
+  ];
+
+  return {
+    title,
+    filename: `alarms-${fileLabel(lift)}-${month}.pdf`,
+    content: renderPdf({ title, lines }),
+    lift,
+    meta: { type: 'monthly', month }
+  };
+}
+
+/**
+ * Contacts who receive a lift's reports
+ * @param {Object} db - Query client
+ * @param {string} liftId - Lift id
+ * @param {string[]} [relations] - Relations to include (default REPORT_RELATIONS)
+ * @returns {Promise<Array<{ contact_id: string, msisdn: string }>>} Recipients
+ */
+async function reportRecipients(db, liftId, relations = REPORT_RELATIONS) {
+  const result = await db.query(`
+    SELECT c.id AS contact_id, c.primary_msisdn AS msisdn
+    FROM lift_recipients lr
+    JOIN contacts c ON c.id = lr.contact_id
+    WHERE lr.lift_id = $1 AND lr.relation = ANY($2) AND c.primary_msisdn IS NOT NULL
+    ORDER BY c.display_name NULLS LAST
+  `, [liftId, relations]);
+  return result.rows;
+}
+
+module.exports = {
+  REPORT_TYPES,
+  MONTH_PATTERN,
+  incidentReport,
+  monthlyReport,
+  reportRecipients
+};
@@ -3,8 +3,13 @@
  * Simplified processing with strict filtering and proper bridge calls
  */
 
-const { sendText } = require("../clients/waBridge");
+const { sendText, sendPayload } = require("../clients/waBridge");
 const { Pool } = require("pg");
+const { checkOutbound, messagePriority, isGateExempt, applyDecision } = require("./consent");
+const { getTenantSettings } = require("./organisations");
+const { interactivePayload } = require("./interactive");
+const { loadDocument, documentPayload } = require("./documents");
+const { templatePayload } = require("./templates");
 
 // Create pool using PG* env vars
 const pool = new Pool();
@@ -12,7 +17,8 @@ const pool = new Pool();
 // Only pick valid outbound WA rows; leave status as 'queued' (avoid enum issues)
 const PICK_SQL = `
 WITH c AS (
-  SELECT id, to_msisdn, body
+  SELECT id, to_msisdn, body, interactive, document_id, template_name, template_language, template_components,
+         incident_id, meta, org_id
   FROM messages
   WHERE direction = 'out'
     AND channel = 'wa'
@@ -29,34 +35,65 @@ SET attempt_count = COALESCE(m.attempt_count, 0) + 1,
     last_error_at = NULL
 FROM c
 WHERE m.id = c.id
-RETURNING m.id, c.to_msisdn, c.body;
+RETURNING m.id, c.to_msisdn, c.body, c.interactive, c.document_id, c.template_name, c.template_language,
+          c.template_components, c.incident_id, c.meta, c.org_id;
 `;
 
 async function processOne() {
   const client = await pool.connect();
+  let id;
   try {
     await client.query("BEGIN");
     const pick = await client.query(PICK_SQL);
     await client.query("COMMIT");
     if (pick.rowCount === 0) return false;
 
-    const { id, to_msisdn, body } = pick.rows[0];
+    const { to_msisdn, body, interactive, document_id, template_name, template_language, template_components } = pick.rows[0];
+    id = pick.rows[0].id;
 
-    // send to bridge
-    const resp = await sendText(to_msisdn, body ?? "");
+    // consent may have changed since the row was queued; quiet hours re-queue, opt-outs block
+    const decision = isGateExempt(pick.rows[0])
+      ? { allowed: true }
+      : await checkOutbound({ to: to_msisdn, channel: "wa", priority: messagePriority(pick.rows[0]) });
+    if (!decision.allowed) {
+      await applyDecision(pool, id, decision);
+      return true;
+    }
+
+    // send to bridge, with the owning organisation's credentials
+    const { bridge } = await getTenantSettings(pick.rows[0].org_id);
+    // documents, button messages and templates go out as such again, everything else as text
+    const document = document_id ? await loadDocument(pool, document_id) : null;
+    const template = template_name
+      ? templatePayload(to_msisdn, { name: template_name, language: template_language, components: template_components })
+      : null;
+    let resp;
+    if (document) {
+      resp = await sendPayload(documentPayload(to_msisdn, document), bridge);
+    } else if (interactive) {
+      try {
+        resp = await sendPayload(interactivePayload(to_msisdn, interactive), bridge);
+      } catch (err) {
+        // buttons are free-form, which WhatsApp rejects outside the 24h session window; alerts carry
+        // their alarm template to fall back on
+        const code = Number(err?.code) || 0;
+        if (!template || code < 400 || code >= 500) throw err;
+        resp = await sendPayload(template, bridge);
+      }
+    } else if (template) {
+      resp = await sendPayload(template, bridge);
+    } else {
+      resp = await sendText(to_msisdn, body ?? "", bridge);
+    }
 
     // success → mark sent and store wa_id in meta
-    await pool.query(
-      `UPDATE messages
-       SET status='sent',
-           meta = COALESCE(meta,'{}'::jsonb) || jsonb_build_object('wa_id',$1),
-           last_error = NULL,
-           last_error_at = NULL
-       WHERE id = $2`,
-      [resp.wa_id ?? null, id]
-    );
+    await markSent(id, resp.wa_id);
     return true;
   } catch (err) {
+    if (!id) {
+      console.error("[retryQueue] pick failed:", err?.message);
+      return false;
+    }
     // 4xx → permanent; 5xx/network → schedule retry
     const code = Number(err?.code) || 0;
     if (code >= 400 && code < 500) {
@@ -127,6 +164,28 @@ async function updateMessageStatus(messageId, status, updates = {}) {
   );
 }
 
+/**
+ * Mark a message accepted by the Bridge: status sent, sent_at, and the wa_id that delivery status
+ * callbacks (/wa/status) are matched on
+ * @param {string} messageId - Message id
+ * @param {string|null} waId - WhatsApp message id from the Bridge response
+ * @param {number} [attemptCount] - Attempt count to record (unchanged when omitted)
+ */
+async function markSent(messageId, waId, attemptCount) {
+  await pool.query(
+    `UPDATE messages
+     SET status='sent',
+         sent_at = COALESCE(sent_at, now()),
+         meta = COALESCE(meta,'{}'::jsonb) || jsonb_build_object('wa_id',$2::text),
+         attempt_count = COALESCE($3, attempt_count),
+         block_reason = NULL,
+         last_error = NULL,
+         last_error_at = NULL
+     WHERE id = $1`,
+    [messageId, waId ?? null, attemptCount ?? null]
+  );
+}
+
 async function recordWaAttempt(messageId, attemptNumber, attemptData) {
   // This is now handled inline in processOne
   return;
@@ -147,6 +206,7 @@ module.exports = {
   processPendingRetries,
   startRetryProcessor,
   updateMessageStatus,
+  markSent,
   recordWaAttempt,
   calculateNextAttempt,
   DEFAULT_RETRY_CONFIG
@@ -0,0 +1,357 @@
+/**
+ * WhatsApp template registry
+ * Sends name a registered template (by key, or by its WhatsApp name) with named variables; the
+ * components are built and checked here so a wrong parameter count fails locally instead of as a
+ * Bridge 400. Parameters are positional in WhatsApp: the order of a template's params is {{1}}, {{2}}...
+ * within each component. An organisation's template shadows a platform template with the same key
+ */
+
+const { createValidationError } = require('../validate');
+const { LANGUAGE_PATTERN, languageChain, matchLanguage, contactLanguages } = require('./i18n');
+
+const TEMPLATE_CATEGORIES = ['utility', 'marketing', 'authentication'];
+const PARAM_COMPONENTS = ['header', 'body', 'button'];
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/;
+const NAME_PATTERN = /^[a-z0-9_]{1,512}$/;
+const PARAM_NAME_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+
+// WhatsApp's limit for one text parameter, per component
+const MAX_PARAM_LENGTH = { header: 60, body: 1024, button: 2000 };
+
+/**
+ * @typedef {Object} TemplateParam
+ * @property {string} name - Variable name, e.g. lift
+ * @property {string} component - header | body | button
+ * @property {number} [index] - Button index (url buttons), default 0
+ * @property {number} [max] - Longer values are cut to this length
+ * @property {string} [example] - Example value for previews
+ */
+
+/**
+ * Validate a template's language list (throws VALIDATION_ERROR)
+ * @param {any} languages - Candidate languages
+ * @returns {string[]} Language codes as WhatsApp names them, e.g. en_US
+ */
+function validateLanguages(languages) {
+  if (!Array.isArray(languages) || languages.length === 0) {
+    throw createValidationError('Field languages must be a non-empty array of language codes', 'languages');
+  }
+  languages.forEach((code, i) => {
+    if (typeof code !== 'string' || !LANGUAGE_PATTERN.test(code)) {
+      throw createValidationError(`Field languages[${i}] must be a language code such as en or en_US`, `languages[${i}]`);
+    }
+  });
+  return [...new Set(languages)];
+}
+
+/**
+ * Validate a parameter list (throws VALIDATION_ERROR)
+ * @param {any} params - Candidate parameters
+ * @returns {TemplateParam[]} The validated parameters
+ */
+function validateParams(params) {
+  if (!Array.isArray(params)) {
+    throw createValidationError('Field params must be an array', 'params');
+  }
+
+  const names = new Set();
+  return params.map((param, i) => {
+    const field = `params[${i}]`;
+    if (!param || typeof param !== 'object' || Array.isArray(param)) {
+      throw createValidationError(`Field ${field} must be an object`, field);
+    }
+    if (typeof param.name !== 'string' || !PARAM_NAME_PATTERN.test(param.name)) {
+      throw createValidationError(`Field ${field}.name must be a lower-case identifier`, `${field}.name`);
+    }
+    if (names.has(param.name)) {
+      throw createValidationError(`Parameter ${param.name} is declared twice`, `${field}.name`);
+    }
+    names.add(param.name);
+
+    const component = param.component === undefined ? 'body' : param.component;
+    if (!PARAM_COMPONENTS.includes(component)) {
+      throw createValidationError(`Field ${field}.component must be one of: ${PARAM_COMPONENTS.join(', ')}`, `${field}.component`);
+    }
+    const index = param.index === undefined ? 0 : param.index;
+    if (component === 'button' && (!Number.isInteger(index) || index < 0 || index > 9)) {
+      throw createValidationError(`Field ${field}.index must be a button index from 0 to 9`, `${field}.index`);
+    }
+    if (param.max !== undefined && (!Number.isInteger(param.max) || param.max < 1 || param.max > MAX_PARAM_LENGTH[component])) {
+      throw createValidationError(`Field ${field}.max must be an integer from 1 to ${MAX_PARAM_LENGTH[component]}`, `${field}.max`);
+    }
+    if (param.example !== undefined && typeof param.example !== 'string') {
+      throw createValidationError(`Field ${field}.example must be a string`, `${field}.example`);
+    }
+
+    return {
+      name: param.name,
+      component,
+      ...(component === 'button' ? { index } : {}),
+      ...(param.max !== undefined ? { max: param.max } : {}),
+      ...(param.example !== undefined ? { example: param.example } : {})
+    };
+  });
+}
+
+/**
+ * Find an active template visible to an organisation; its own shadows the platform's
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string|null} orgId - Organisation id (null: platform templates only)
+ * @param {{ key?: string, name?: string }} lookup - Registry key, or WhatsApp template name
+ * @returns {Promise<Object|null>} Template row
+ */
+async function findTemplate(db, orgId, { key, name }) {
+  const result = await db.query(`
+    SELECT * FROM templates
+    WHERE ${key ? 'key' : 'name'} = $1
+      AND active
+      AND (org_id IS NULL OR org_id = $2)
+    ORDER BY org_id NULLS LAST
+    LIMIT 1
+  `, [key || name, orgId || null]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Pick the template language for a request: the first requested language the template has (an exact
+ * match, else the same base language, so en matches en_US), else its first language when none was asked for
+ * @param {Object} template - Template row
+ * @param {string|string[]|null} requested - Requested language code, or a chain from languageChain
+ * @param {{ strict?: boolean }} [options] - strict (default) rejects an unavailable language instead of
+ * falling back to the first one
+ * @returns {string} Language code
+ */
+function pickLanguage(template, requested, { strict = true } = {}) {
+  const wanted = [].concat(requested || []);
+  if (wanted.length === 0) return template.languages[0];
+  const match = matchLanguage(wanted, template.languages);
+  if (!match && !strict) return template.languages[0];
+  if (!match) {
+    throw createValidationError(`Template ${template.key} is not available in ${wanted.join(', ')} (has ${template.languages.join(', ')})`, 'template_language');
+  }
+  return match;
+}
+
+/**
+ * One variable as WhatsApp accepts it: no newlines, tabs or runs of spaces, cut to the limit
+ * @param {*} value - Variable value
+ * @param {number} max - Maximum length
+ * @returns {string} Text ('' for null/undefined)
+ */
+function cleanParam(value, max) {
+  const text = value === undefined || value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+/**
+ * Component group a parameter belongs to, in the order WhatsApp lists them
+ * @param {TemplateParam} param - Parameter
+ * @returns {string} header | body | button:<index>
+ */
+function groupOf(param) {
+  return param.component === 'button' ? `button:${param.index}` : param.component;
+}
+
+/**
+ * Build a template's components from named variables (throws VALIDATION_ERROR)
+ * @param {Object} template - Template row
+ * @param {Object} variables - Values by parameter name
+ * @param {{ strict?: boolean }} [options] - strict (default) also rejects variables the template does not take
+ * @returns {Array<Object>} Components for the Bridge
+ */
+function renderTemplate(template, variables, { strict = true } = {}) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw createValidationError('Field variables must be an object', 'variables');
+  }
+  const names = template.params.map(param => param.name);
+  const unknown = Object.keys(variables).filter(name => !names.includes(name));
+  if (strict && unknown.length > 0) {
+    throw createValidationError(`Template ${template.key} takes ${names.join(', ') || 'no variables'}; unknown: ${unknown.join(', ')}`, 'variables');
+  }
+
+  const groups = new Map();
+  for (const param of template.params) {
+    const text = cleanParam(variables[param.name], param.max || MAX_PARAM_LENGTH[param.component]);
+    if (!text) {
+      throw createValidationError(`Missing variable ${param.name} for template ${template.key}`, `variables.${param.name}`);
+    }
+    const group = groupOf(param);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push({ type: 'text', text });
+  }
+
+  return [...groups.entries()].map(([group, parameters]) => {
+    if (!group.startsWith('button:')) return { type: group, parameters };
+    return { type: 'button', sub_type: 'url', index: group.split(':')[1], parameters };
+  });
+}
+
+/**
+ * Check caller-built components against a template's parameters (throws VALIDATION_ERROR)
+ * @param {Object} template - Template row
+ * @param {any} components - Components from the request (undefined/null: none)
+ * @returns {Array<Object>} The components
+ */
+function checkComponents(template, components) {
+  const given = components === undefined || components === null ? [] : components;
+  if (!Array.isArray(given) || given.some(c => !c || typeof c !== 'object' || !Array.isArray(c.parameters || []))) {
+    throw createValidationError('Field template_components must be an array of components', 'template_components');
+  }
+
+  const expected = new Map();
+  for (const param of template.params) {
+    const group = groupOf(param);
+    expected.set(group, [...(expected.get(group) || []), param.name]);
+  }
+  const actual = new Map();
+  for (const component of given) {
+    const group = component.type === 'button' ? `button:${component.index ?? 0}` : String(component.type);
+    actual.set(group, (actual.get(group) || 0) + (component.parameters || []).length);
+  }
+
+  for (const group of new Set([...expected.keys(), ...actual.keys()])) {
+    const names = expected.get(group) || [];
+    const count = actual.get(group) || 0;
+    if (count !== names.length) {
+      throw createValidationError(
+        `Template ${template.key} takes ${names.length} ${group} parameter(s)${names.length ? ` (${names.join(', ')})` : ''}; got ${count}`,
+        'template_components'
+      );
+    }
+  }
+  for (const component of given) {
+    for (const parameter of component.parameters || []) {
+      if (parameter.type === 'text' && (typeof parameter.text !== 'string' || parameter.text.trim() === '' || /[\n\t]| {5,}/.test(parameter.text))) {
+        throw createValidationError('Text parameters must be non-empty, without newlines, tabs or more than four spaces in a row', 'template_components');
+      }
+    }
+  }
+  return given;
+}
+
+/**
+ * Resolve a template send: the registry entry, language and checked components
+ * A body with template_key (or a registered template_name) is checked against the registry, from
+ * variables or from raw template_components; an unregistered template_name is passed through as is.
+ * Without template_language a registered template goes out in the recipient contact's language, along
+ * the fallback chain
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {string|null} orgId - Sender's organisation
+ * @param {Object} body - template_key, template_name, template_language, variables, template_components
+ * @param {{ name: string, language: string }} defaults - The organisation's default template
+ * @returns {Promise<{ template: Object|null, name: string, language: string, components: Array<Object> }>} Send
+ */
+async function resolveTemplateSend(db, orgId, body, defaults) {
+  const { template_key, variables, template_components } = body;
+  if (variables !== undefined && template_components !== undefined) {
+    throw createValidationError('Send either variables or template_components, not both', 'variables');
+  }
+
+  let template = null;
+  if (template_key) {
+    template = await findTemplate(db, orgId, { key: String(template_key) });
+    if (!template) throw createValidationError(`Unknown template_key ${template_key}`, 'template_key');
+  } else {
+    template = await findTemplate(db, orgId, { name: body.template_name || defaults.name });
+  }
+
+  if (!template) {
+    if (variables !== undefined) {
+      throw createValidationError(`Template ${body.template_name || defaults.name} is not registered; send template_components instead of variables`, 'variables');
+    }
+    return {
+      template: null,
+      name: body.template_name || defaults.name,
+      language: body.template_language || defaults.language,
+      components: template_components || []
+    };
+  }
+
+  let language;
+  if (body.template_language) {
+    language = pickLanguage(template, body.template_language);
+  } else {
+    const preferred = (await contactLanguages(db, [body.to])).get(String(body.to || '').replace(/\D+/g, ''));
+    language = pickLanguage(template, languageChain(preferred, defaults.language), { strict: false });
+  }
+
+  return {
+    template,
+    name: template.name,
+    language,
+    components: variables !== undefined ? renderTemplate(template, variables) : checkComponents(template, template_components)
+  };
+}
+
+/**
+ * The organisation's alarm template for a lift, ready to send
+ * A registered template gets the variables lift (site and building), building, msisdn and message, in
+ * the first language of the chain it has; an unregistered one keeps its single body parameter
+ * @param {Object} db - Query client (pool helper or transaction client)
+ * @param {{ org_id: string|null, template: { name: string, language: string } }} tenant - Tenant settings
+ * @param {{ msisdn: string, site_name?: string|null, building?: string|null }} lift - Lift
+ * @param {string} text - Alarm text (the message variable)
+ * @param {{ fallbackParam?: string, languages?: string|string[] }} [options] - Body parameter of an
+ * unregistered template (default text), and the language chain (default the organisation's language)
+ * @returns {Promise<{ key: string|null, name: string, language: string, components: Array<Object> }>} Send
+ * (throws VALIDATION_ERROR when a registered template takes other variables)
+ */
+async function buildAlarmTemplate(db, tenant, lift, text, { fallbackParam = text, languages } = {}) {
+  const template = await findTemplate(db, tenant.org_id, { name: tenant.template.name });
+  if (!template) {
+    return {
+      key: null,
+      name: tenant.template.name,
+      language: tenant.template.language,
+      components: [{ type: 'body', parameters: [{ type: 'text', text: cleanParam(fallbackParam, MAX_PARAM_LENGTH.body) }] }]
+    };
+  }
+  const msisdn = `+${String(lift.msisdn || '').replace(/\D+/g, '')}`;
+  const variables = {
+    lift: [lift.site_name, lift.building].filter(Boolean).join(', ') || msisdn,
+    building: lift.building || lift.site_name || msisdn,
+    msisdn,
+    message: text
+  };
+  return {
+    key: template.key,
+    name: template.name,
+    language: pickLanguage(template, languages || tenant.template.language, { strict: false }),
+    components: renderTemplate(template, variables, { strict: false })
+  };
+}
+
+/**
+ * Bridge send payload for a template message
+ * @param {string} to - Recipient
+ * @param {{ name: string, language: string, components: Array<Object> }} template - Name, language code
+ * and filled components
+ * @returns {Object} Payload for POST /api/messages/send
+ */
+function templatePayload(to, { name, language, components }) {
+  return {
+    to,
+    type: 'template',
+    template: {
+      name,
+      language: { code: language },
+      components: components || []
+    }
+  };
+}
+
+module.exports = {
+  TEMPLATE_CATEGORIES,
+  KEY_PATTERN,
+  NAME_PATTERN,
+  validateLanguages,
+  validateParams,
+  findTemplate,
+  pickLanguage,
+  renderTemplate,
+  checkComponents,
+  resolveTemplateSend,
+  buildAlarmTemplate,
+  templatePayload
+};
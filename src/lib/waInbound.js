@@ -0,0 +1,276 @@
+/**
+ * WhatsApp inbound replies
+ * Stores recipient replies and button presses from the Bridge, links them to the alert they answer,
+ * turns "Taking" into an incident acknowledgement and "Need help" into a backup request,
+ * and applies STOP/START consent keywords
+ */
+
+const { query, withTxn } = require('../db');
+const { transitionIncident, canTransition } = require('./incidents');
+const { matchConsentKeyword, applyConsentKeyword } = require('./keywords');
+
+// How far back to look for the alert a free-text reply answers
+const REPLY_WINDOW_HOURS = parseInt(process.env.WA_REPLY_WINDOW_HOURS || '24');
+
+/**
+ * Reply intents recognised in free text and button titles/ids
+ */
+const INTENT_PATTERNS = {
+  ack: /^(✅|taking\b|taking it|take it|on my way|ack\b|ek gaan\b|ngiyeza\b)/i,
+  help: /(🆘|\bneed help\b|^help\b|\bbackup\b|\bhulp nodig\b|\busizo\b)/i
+};
+
+// A help word with a negation shortly before it ("no backup needed", "don't need help") is not a request
+const NEGATED_HELP = /\b(no|not|don'?t|do not|never|without|geen|nie)\b[\w\s']{0,20}?\b(need help|help|backup|hulp)\b/i;
+
+/**
+ * @typedef {Object} WaInboundMessage
+ * @property {string} wa_id - WhatsApp message id of the reply
+ * @property {string} from - Sender MSISDN, digits only
+ * @property {string} ts - ISO timestamp
+ * @property {string} kind - text | button | interactive | other
+ * @property {string} text - Message text or button title
+ * @property {string|null} reply_id - Button reply id / payload
+ * @property {string|null} context_wa_id - wa_id of the message being replied to
+ * @property {Object} original - Raw message object
+ */
+
+/**
+ * Convert a provider timestamp (epoch seconds or ISO) to ISO
+ * @param {string|number} raw - Raw timestamp
+ * @returns {string} ISO timestamp
+ */
+function toIso(raw) {
+  if (raw === undefined || raw === null || raw === '') return new Date().toISOString();
+  const date = /^\d+$/.test(String(raw)) ? new Date(Number(raw) * 1000) : new Date(raw);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Normalize one message object (Bridge flat shape or Cloud API message)
+ * @param {Object} m - Message object
+ * @returns {WaInboundMessage|null} Normalized message or null when unusable
+ */
+function normalizeMessage(m) {
+  if (!m || typeof m !== 'object') return null;
+
+  const buttonReply = m.interactive?.button_reply || m.button_reply || null;
+  const button = m.button || null;
+
+  let kind = 'text';
+  let text = m.text?.body ?? m.text ?? m.body ?? '';
+  let replyId = null;
+
+  if (buttonReply) {
+    kind = 'interactive';
+    text = buttonReply.title || '';
+    replyId = buttonReply.id || null;
+  } else if (button) {
+    kind = 'button';
+    text = button.text || '';
+    replyId = button.payload || null;
+  } else if (typeof text !== 'string') {
+    kind = 'other';
+    text = '';
+  }
+
+  const waId = m.wa_id || m.id || m.message_id;
+  const from = String(m.from || m.msisdn || '').replace(/\D+/g, '');
+  if (!waId || !from) return null;
+
+  return {
+    wa_id: String(waId),
+    from,
+    ts: toIso(m.timestamp || m.ts),
+    kind,
+    text: String(text).trim(),
+    reply_id: replyId,
+    context_wa_id: m.context?.id || m.context_wa_id || m.reply_to || null,
+    original: m
+  };
+}
+
+/**
+ * Extract messages from a webhook body
+ * Accepts the Bridge flat shape ({ from, wa_id, text, ... } or { messages: [...] })
+ * and the Cloud API envelope (entry[].changes[].value.messages[])
+ * @param {Object} body - Webhook body
+ * @returns {WaInboundMessage[]} Normalized messages
+ */
+function parseInbound(body) {
+  if (!body || typeof body !== 'object') return [];
+
+  let raw = [];
+  if (Array.isArray(body.entry)) {
+    for (const entry of body.entry) {
+      for (const change of entry.changes || []) {
+        raw.push(...(change.value?.messages || []));
+      }
+    }
+  } else if (Array.isArray(body.messages)) {
+    raw = body.messages;
+  } else {
+    raw = [body];
+  }
+
+  return raw.map(normalizeMessage).filter(Boolean);
+}
+
+/**
+ * Classify a reply as acknowledgement, backup request or neither
+ * @param {WaInboundMessage} msg - Reply
+ * @returns {'ack'|'help'|null} Intent
+ */
+function classifyIntent(msg) {
+  const candidates = [msg.reply_id, msg.text].filter(Boolean).map(s => String(s).replace(/_/g, ' '));
+  for (const value of candidates) {
+    if (INTENT_PATTERNS.help.test(value) && !NEGATED_HELP.test(value)) return 'help';
+    if (INTENT_PATTERNS.ack.test(value)) return 'ack';
+  }
+  return null;
+}
+
+/**
+ * Find the outbound alert a reply answers
+ * Prefers the quoted message (context id), then an alert id encoded in the button reply id
+ * ("ack:<message uuid>"), then the latest alert sent to the same number
+ * @param {WaInboundMessage} msg - Reply
+ * @returns {Promise<Object|null>} Outbound message row with lift_id, or null
+ */
+async function findRepliedAlert(msg) {
+  const select = `
+    SELECT m.id, m.incident_id, m.to_msisdn, m.org_id, i.lift_id
+    FROM messages m
+    LEFT JOIN incidents i ON i.id = m.incident_id
+    WHERE m.direction = 'out' AND m.channel = 'wa'`;
+
+  if (msg.context_wa_id) {
+    const result = await query(`${select} AND m.meta->>'wa_id' = $1 LIMIT 1`, [msg.context_wa_id]);
+    if (result.rows.length > 0) return result.rows[0];
+  }
+
+  const encoded = (msg.reply_id || '').match(/^[a-z_]+:([0-9a-f-]{36})$/i);
+  if (encoded) {
+    const result = await query(`${select} AND m.id = $1`, [encoded[1]]);
+    if (result.rows.length > 0) return result.rows[0];
+  }
+
+  const result = await query(`
+    ${select}
+      AND regexp_replace(m.to_msisdn, '\\D', '', 'g') = $1
+      AND m.ts > now() - make_interval(hours => $2)
+    ORDER BY (m.incident_id IS NOT NULL) DESC, m.ts DESC
+    LIMIT 1
+  `, [msg.from, REPLY_WINDOW_HOURS]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Store a reply and act on it
+ * @param {WaInboundMessage} msg - Reply
+ * @returns {Promise<Object>} Handling result
+ */
+async function handleInboundMessage(msg) {
+  const [alert, contactResult] = await Promise.all([
+    findRepliedAlert(msg),
+    query('SELECT id FROM contacts WHERE primary_msisdn = $1', [msg.from])
+  ]);
+  const contactId = contactResult.rows[0]?.id || null;
+  const keyword = msg.kind === 'text' ? matchConsentKeyword(msg.text) : null;
+  const intent = keyword ? null : classifyIntent(msg);
+
+  const inserted = await query(`
+    INSERT INTO messages (
+      channel, provider, provider_id, direction, from_msisdn, to_msisdn, body, meta, ts, incident_id, org_id
+    ) VALUES (
+      'wa', 'bridge', $1, 'in', $2, NULL, $3, $4, $5, $6, $7
+    )
+    ON CONFLICT (provider, provider_id) DO NOTHING
+    RETURNING id
+  `, [
+    msg.wa_id,
+    msg.from,
+    msg.text,
+    JSON.stringify({
+      kind: msg.kind,
+      intent,
+      reply_id: msg.reply_id,
+      context_wa_id: msg.context_wa_id,
+      reply_to_message_id: alert ? alert.id : null,
+      contact_id: contactId,
+      consent_keyword: keyword ? keyword.keyword : null,
+      original: msg.original
+    }),
+    msg.ts,
+    alert ? alert.incident_id : null,
+    alert ? alert.org_id : null
+  ]);
+
+  if (inserted.rows.length === 0) {
+    return { wa_id: msg.wa_id, idempotent: true };
+  }
+
+  const messageId = inserted.rows[0].id;
+  const result = {
+    wa_id: msg.wa_id,
+    message_id: messageId,
+    idempotent: false,
+    intent,
+    reply_to_message_id: alert ? alert.id : null,
+    incident_id: alert ? alert.incident_id : null,
+    lift_id: alert ? alert.lift_id : null
+  };
+
+  if (keyword) {
+    result.consent = await withTxn(client => applyConsentKeyword(client, {
+      msisdn: msg.from,
+      channel: 'wa',
+      match: keyword,
+      message_id: messageId,
+      org_id: alert ? alert.org_id : null
+    }));
+    return result;
+  }
+
+  if (!alert || !alert.incident_id || !intent) {
+    return result;
+  }
+
+  if (intent === 'ack') {
+    const current = await query('SELECT state FROM incidents WHERE id = $1', [alert.incident_id]);
+    if (current.rows.length > 0 && canTransition(current.rows[0].state, 'acknowledged')) {
+      try {
+        await transitionIncident(alert.incident_id, 'acknowledged', {
+          actor: msg.from,
+          contact_id: contactId,
+          source: 'wa_reply',
+          note: `Reply message ${messageId}`
+        });
+        result.acknowledged = true;
+      } catch (error) {
+        // Another responder got there first
+        if (error.code !== 'INVALID_TRANSITION') throw error;
+      }
+    }
+  } else if (intent === 'help') {
+    await query(`
+      INSERT INTO events (lift_id, contact_id, type, payload, ts)
+      VALUES ($1, $2, 'backup_requested', $3, now())
+    `, [alert.lift_id, contactId, JSON.stringify({
+      incident_id: alert.incident_id,
+      message_id: messageId,
+      from: msg.from
+    })]);
+    result.backup_requested = true;
+  }
+
+  return result;
+}
+
+module.exports = {
+  toIso,
+  parseInbound,
+  classifyIntent,
+  handleInboundMessage,
+  findRepliedAlert
+};
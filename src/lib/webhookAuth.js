@@ -0,0 +1,260 @@
+/**
+ * Inbound webhook authentication
+ * Pluggable per-provider verifiers with multiple active secrets (key rotation) and replay protection
+ *
+ * Configuration per provider (PROVIDER = upper-cased provider name, e.g. TWILIO, SMSPORTAL):
+ *   WEBHOOK_<PROVIDER>_AUTH               hmac | twilio | token | basic | none (required: providers
+ *                                         without it are rejected; none must be chosen on purpose)
+ *   WEBHOOK_<PROVIDER>_SECRETS            comma-separated active secrets (basic: user:pass entries)
+ *   WEBHOOK_<PROVIDER>_REQUIRE_TIMESTAMP  hmac only: sign and require a fresh X-Timestamp (default true)
+ *   WEBHOOK_TIMESTAMP_TOLERANCE_SEC       accepted clock skew for X-Timestamp (default 300)
+ *
+ * Only hmac can sign the timestamp, so only hmac has replay protection; twilio, token and basic
+ * requests can be replayed as captured.
+ * SMSPortal and the Bridge keep their legacy defaults: hmac over the raw body only (their senders do not
+ * send X-Timestamp), with SMSPORTAL_HMAC_SECRET / BRIDGE_WEBHOOK_SECRET.
+ */
+
+const crypto = require('crypto');
+
+const TIMESTAMP_TOLERANCE_SEC = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SEC || '300');
+
+const AUTH_SCHEMES = ['hmac', 'twilio', 'token', 'basic', 'none'];
+
+/**
+ * Provider defaults applied when no WEBHOOK_<PROVIDER>_* variables are set
+ */
+const PROVIDER_DEFAULTS = {
+  smsportal: { scheme: 'hmac', secrets: process.env.SMSPORTAL_HMAC_SECRET || '', requireTimestamp: false },
+  bridge: { scheme: 'hmac', secrets: process.env.BRIDGE_WEBHOOK_SECRET || '', requireTimestamp: false }
+};
+
+/**
+ * @typedef {Object} WebhookAuthConfig
+ * @property {string|null} scheme - One of AUTH_SCHEMES, or null when the provider is not configured
+ * @property {string[]} secrets - Active secrets; any one may match
+ * @property {boolean} requireTimestamp - Whether X-Timestamp is signed and mandatory (hmac only)
+ */
+
+/**
+ * Split a comma-separated secret list
+ * @param {string} value - Raw env value
+ * @returns {string[]} Non-empty secrets
+ */
+function parseSecrets(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve auth configuration for a provider
+ * @param {string} provider - Provider name
+ * @returns {WebhookAuthConfig} Auth configuration
+ */
+function getAuthConfig(provider) {
+  const key = String(provider).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  // Fail closed: a provider without defaults stays unconfigured until WEBHOOK_<PROVIDER>_AUTH is set
+  const defaults = PROVIDER_DEFAULTS[provider] || { scheme: null, secrets: '' };
+
+  const configured = process.env[`WEBHOOK_${key}_AUTH`] || defaults.scheme;
+  if (!configured) {
+    return { scheme: null, secrets: [], requireTimestamp: false };
+  }
+  const scheme = configured.trim().toLowerCase();
+  if (!AUTH_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown webhook auth scheme for ${provider}: ${scheme}`);
+  }
+
+  const requireTimestamp = process.env[`WEBHOOK_${key}_REQUIRE_TIMESTAMP`];
+  return {
+    scheme,
+    secrets: parseSecrets(process.env[`WEBHOOK_${key}_SECRETS`] ?? defaults.secrets),
+    requireTimestamp: scheme === 'hmac' && (requireTimestamp === undefined
+      ? defaults.requireTimestamp !== false
+      : requireTimestamp === 'true')
+  };
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether the values are equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Return the index of the first secret accepted by a check, or -1
+ * @param {string[]} secrets - Active secrets
+ * @param {function(string): boolean} check - Per-secret check
+ * @returns {number} Matching secret index
+ */
+function findMatchingSecret(secrets, check) {
+  for (let i = 0; i < secrets.length; i++) {
+    if (check(secrets[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Parse an X-Timestamp header (epoch seconds, epoch milliseconds or ISO)
+ * @param {string} value - Header value
+ * @returns {number|null} Epoch milliseconds or null if unparseable
+ */
+function parseTimestamp(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) {
+    const n = Number(str);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const ms = Date.parse(str);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Reconstruct the public URL the provider called (needed for Twilio signatures)
+ * @param {Object} req - Express request
+ * @returns {string} Full request URL
+ */
+function publicUrl(req) {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (base) return `${base.replace(/\/+$/, '')}${req.originalUrl}`;
+  const proto = (req.header('x-forwarded-proto') || req.protocol || 'https').split(',')[0].trim();
+  return `${proto}://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Verifiers: (req, raw, config, timestamp) => matching secret index or -1
+ */
+const VERIFIERS = {
+  // Hex HMAC-SHA256 of the raw body (or "<timestamp>.<raw>" when timestamps are required)
+  // in X-Signature, or X-Hub-Signature-256 as sent by the WhatsApp Bridge
+  hmac(req, raw, config, timestamp) {
+    const sig = (req.header('x-signature') || req.header('x-hub-signature-256') || '').replace(/^sha256=/i, '').toLowerCase();
+    if (!sig) return -1;
+    const signed = config.requireTimestamp ? `${timestamp}.${raw}` : raw;
+    return findMatchingSecret(config.secrets, secret =>
+      safeEqual(sig, crypto.createHmac('sha256', secret).update(signed).digest('hex'))
+    );
+  },
+
+  // Twilio: base64 HMAC-SHA1 over URL + sorted form params (key + value) in X-Twilio-Signature
+  twilio(req, _raw, config) {
+    const sig = req.header('x-twilio-signature') || '';
+    if (!sig) return -1;
+    const params = (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) ? req.body : {};
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], publicUrl(req));
+    return findMatchingSecret(config.secrets, secret =>
+      safeEqual(sig, crypto.createHmac('sha1', secret).update(data).digest('base64'))
+    );
+  },
+
+  // Shared token in X-Webhook-Token
+  token(req, _raw, config) {
+    const token = req.header('x-webhook-token') || '';
+    if (!token) return -1;
+    return findMatchingSecret(config.secrets, secret => safeEqual(token, secret));
+  },
+
+  // HTTP basic auth; secrets are "user:pass" entries
+  basic(req, _raw, config) {
+    const header = req.header('authorization') || '';
+    const match = header.match(/^Basic\s+(.+)$/i);
+    if (!match) return -1;
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    return findMatchingSecret(config.secrets, secret => safeEqual(credentials, secret));
+  }
+};
+
+/**
+ * Verify an inbound webhook request
+ * @param {string} provider - Provider name
+ * @param {Object} req - Express request
+ * @param {string} raw - Raw request body
+ * @returns {{ ok: boolean, reason?: string, scheme: string, key_index?: number }} Verification result
+ */
+function verifyWebhook(provider, req, raw) {
+  const config = getAuthConfig(provider);
+  if (!config.scheme) {
+    return { ok: false, reason: 'no_secrets_configured', scheme: null };
+  }
+
+  // Replay protection: hmac signs the timestamp, so a captured request goes stale; the other schemes
+  // cannot bind X-Timestamp to the request and ignore it
+  const tsHeader = req.header('x-timestamp');
+  if (config.requireTimestamp) {
+    const tsMs = parseTimestamp(tsHeader);
+    if (tsMs === null) {
+      return { ok: false, reason: 'missing_or_invalid_timestamp', scheme: config.scheme };
+    }
+    if (Math.abs(Date.now() - tsMs) > TIMESTAMP_TOLERANCE_SEC * 1000) {
+      return { ok: false, reason: 'timestamp_outside_tolerance', scheme: config.scheme };
+    }
+  }
+
+  if (config.scheme === 'none') {
+    return { ok: true, scheme: 'none' };
+  }
+  if (config.secrets.length === 0) {
+    return { ok: false, reason: 'no_secrets_configured', scheme: config.scheme };
+  }
+
+  const keyIndex = VERIFIERS[config.scheme](req, raw, config, tsHeader);
+  if (keyIndex < 0) {
+    return { ok: false, reason: 'signature_mismatch', scheme: config.scheme };
+  }
+  return { ok: true, scheme: config.scheme, key_index: keyIndex };
+}
+
+/**
+ * Body-parser `verify` hook that keeps the raw bytes for signature checks
+ * @param {Object} req - Express request
+ * @param {Object} _res - Express response
+ * @param {Buffer} buf - Raw body
+ */
+function captureRawBody(req, _res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Express middleware that rejects unauthenticated webhook calls with 401
+ * @param {string|function(Object): string} provider - Provider name or resolver from the request
+ * @returns {Function} Express middleware
+ */
+function requireWebhookAuth(provider) {
+  return (req, res, next) => {
+    const name = typeof provider === 'function' ? provider(req) : provider;
+    const raw = req.rawBody
+      ? req.rawBody.toString('utf8')
+      : Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    let result;
+    try {
+      result = verifyWebhook(name, req, raw);
+    } catch (error) {
+      console.error(`[webhookAuth] ${name} misconfigured:`, error.message);
+      return res.status(500).json({ error: 'server_error' });
+    }
+
+    if (!result.ok) {
+      console.warn(JSON.stringify({ event: 'webhook_auth_failed', provider: name, scheme: result.scheme, reason: result.reason, path: req.path }));
+      return res.status(401).json({ error: 'invalid signature', reason: result.reason });
+    }
+
+    req.webhookAuth = { provider: name, ...result };
+    next();
+  };
+}
+
+module.exports = {
+  verifyWebhook,
+  requireWebhookAuth,
+  captureRawBody,
+  getAuthConfig,
+  AUTH_SCHEMES
+};
@@ -0,0 +1,124 @@
+// Admin API authentication and CORS
+// Every /admin route except GET /admin/status (probed by the deploy and canary scripts) needs a token
+// from src/lib/adminTokens.js, sent as "Authorization: Bearer <token>" or "X-Admin-Token: <token>".
+//
+//   ADMIN_AUTH           token (default) | none (local development only)
+//   ADMIN_CORS_ORIGINS   comma-separated origins allowed to call the admin API from a browser;
+//                        empty allows none, "*" allows any
+
+const { authenticateToken, hasScope } = require('../lib/adminTokens');
+
+const ADMIN_AUTH = (process.env.ADMIN_AUTH || 'token').trim().toLowerCase();
+const CORS_ORIGINS = String(process.env.ADMIN_CORS_ORIGINS || '')
+  .split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+
+const PUBLIC_PATHS = ['/status'];
+
+// Routes that scope their data to the caller's organisation; organisation tokens get 403 elsewhere
+const TENANT_ROUTES = ['status', 'lifts', 'contacts', 'messages', 'resolve', 'ping-bridge', 'tokens', 'api-keys', 'organisations', 'sites', 'buildings', 'audit', 'templates', 'reports'];
+
+if (ADMIN_AUTH === 'none') {
+  console.warn('[admin-auth] ADMIN_AUTH=none: the admin API is open to anyone who can reach it');
+}
+
+/**
+ * Build an auth error for the error handler
+ * @param {number} status - 401 or 403
+ * @param {string} code - Error code
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function authError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Token presented with the request
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function readToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (match) return match[1];
+  return req.get('x-admin-token') || null;
+}
+
+/**
+ * Scope a request needs: token management needs admin:tokens, reads admin:read, anything else admin:write
+ * @param {Object} req - Express request (path relative to /admin)
+ * @returns {string} Scope
+ */
+function requiredScope(req) {
+  if (req.path === '/tokens' || req.path.startsWith('/tokens/')) return 'admin:tokens';
+  return req.method === 'GET' || req.method === 'HEAD' ? 'admin:read' : 'admin:write';
+}
+
+/**
+ * CORS for the admin API, limited to ADMIN_CORS_ORIGINS; answers preflight requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+function adminCors(req, res, next) {
+  const origin = req.get('origin');
+  res.vary('Origin');
+
+  if (origin && (CORS_ORIGINS.includes('*') || CORS_ORIGINS.includes(origin))) {
+    res.header('Access-Control-Allow-Origin', CORS_ORIGINS.includes('*') ? '*' : origin);
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Authorization, X-Admin-Token, Content-Type');
+    res.header('Access-Control-Max-Age', '600');
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.status(204).send();
+  }
+
+  next();
+}
+
+/**
+ * Reject admin requests without a valid token (401) or the scope they need (403)
+ * Sets req.admin to the authenticated principal
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function requireAdminAuth(req, res, next) {
+  if (ADMIN_AUTH === 'none') {
+    req.admin = { id: null, name: 'anonymous', scopes: ['*'], org_id: null };
+    return next();
+  }
+  if (req.method === 'GET' && PUBLIC_PATHS.includes(req.path)) {
+    // Public, but a presented token still scopes the response to its organisation
+    req.admin = await authenticateToken(readToken(req)).catch(() => null) || undefined;
+    return next();
+  }
+
+  try {
+    const principal = await authenticateToken(readToken(req));
+    if (!principal) {
+      console.warn(JSON.stringify({ event: 'admin_auth_failed', method: req.method, path: req.originalUrl.split('?')[0], reason: readToken(req) ? 'invalid_token' : 'missing_token' }));
+      res.set('WWW-Authenticate', 'Bearer realm="admin"');
+      throw authError(401, 'UNAUTHORIZED', 'A valid admin token is required (Authorization: Bearer <token>)');
+    }
+
+    const scope = requiredScope(req);
+    if (!hasScope(principal, scope)) {
+      throw authError(403, 'FORBIDDEN', `Token "${principal.name}" lacks scope ${scope}`);
+    }
+    if (principal.org_id && !TENANT_ROUTES.includes(req.path.split('/')[1])) {
+      throw authError(403, 'FORBIDDEN', 'This admin route is platform-wide; organisation tokens cannot use it');
+    }
+
+    req.admin = principal;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { adminCors, requireAdminAuth };
@@ -0,0 +1,56 @@
+// Client API key authentication for the /send routes
+// Keys come from src/lib/apiKeys.js, sent as "X-Api-Key: <key>" or "Authorization: Bearer <key>".
+//
+//   SEND_AUTH   key (default) | none (local development only; sends are not attributed)
+
+const { authenticateKey } = require('../lib/apiKeys');
+
+const SEND_AUTH = (process.env.SEND_AUTH || 'key').trim().toLowerCase();
+
+const PUBLIC_PATHS = ['/health'];
+
+if (SEND_AUTH === 'none') {
+  console.warn('[api-keys] SEND_AUTH=none: /send accepts unauthenticated requests');
+}
+
+/**
+ * Key presented with the request
+ * @param {Object} req - Express request
+ * @returns {string|null} Key
+ */
+function readKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Reject /send requests without a valid API key (401); sets req.apiClient
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function requireApiKey(req, res, next) {
+  if (SEND_AUTH === 'none' || PUBLIC_PATHS.includes(req.path)) {
+    req.apiClient = null;
+    return next();
+  }
+
+  try {
+    const key = readKey(req);
+    const client = await authenticateKey(key);
+    if (!client) {
+      console.warn(JSON.stringify({ event: 'api_key_auth_failed', method: req.method, path: req.originalUrl.split('?')[0], reason: key ? 'invalid_key' : 'missing_key' }));
+      return res.status(401).json({ error: 'unauthorized', message: 'A valid API key is required (X-Api-Key header)' });
+    }
+
+    req.apiClient = client;
+    next();
+  } catch (error) {
+    console.error('[api-keys] authentication failed:', error.message);
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to authenticate API key' });
+  }
+}
+
+module.exports = { requireApiKey };
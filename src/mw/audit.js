@@ -0,0 +1,49 @@
+// Audit fallback for admin writes
+// Routes that snapshot their own changes call recordAudit (src/lib/audit.js). Any other successful
+// POST/PUT/PATCH/DELETE under /admin is recorded here once the response is sent: the entity and id come
+// from the path, "after" is the response data and "before" is unknown. Dry runs and tests are skipped.
+
+const { query } = require('../db');
+const { recordAudit } = require('../lib/audit');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// POSTs that change nothing
+const READ_ONLY_PATHS = ['/portal-shapes/test', '/ping-bridge'];
+
+/**
+ * Record successful admin writes that their handler did not audit
+ * @param {Object} req - Express request (path relative to /admin)
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+function auditAdminWrites(req, res, next) {
+  if (!WRITE_METHODS.includes(req.method) || READ_ONLY_PATHS.includes(req.path)) return next();
+
+  const [, entity, entityId, action] = req.path.split('/');
+  const json = res.json.bind(res);
+  let body;
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on('finish', () => {
+    const data = body && body.data !== undefined ? body.data : null;
+    if (req.audited || res.statusCode >= 400 || (data && data.dry_run)) return;
+
+    recordAudit({ query }, req, {
+      entity: entity || 'admin',
+      entityId,
+      action: action || METHOD_ACTIONS[req.method],
+      after: data
+    }).catch((error) => {
+      console.error(JSON.stringify({ event: 'audit_write_failed', method: req.method, path: req.originalUrl.split('?')[0], request_id: req.id, error: error.message }));
+    });
+  });
+
+  next();
+}
+
+module.exports = { auditAdminWrites };
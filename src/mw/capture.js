@@ -0,0 +1,39 @@
+// Inbound capture middleware
+// Records every request on a webhook route (including rejected ones) once the response is sent
+
+const { recordCapture } = require('../lib/captures');
+
+/**
+ * Build capture middleware for a route
+ * Handlers can enrich the capture through res.locals.capture ({ message_id, outcome, detail })
+ * @param {string} route - Route name stored with each capture
+ * @returns {Function} Express middleware
+ */
+function captureInbound(route) {
+  return (req, res, next) => {
+    res.locals.capture = {};
+
+    res.on('finish', () => {
+      const body = req.rawBody
+        ? req.rawBody.toString('utf8')
+        : Buffer.isBuffer(req.body) ? req.body.toString('utf8')
+        : (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) ? JSON.stringify(req.body)
+        : '';
+
+      recordCapture({
+        route,
+        method: req.method,
+        headers: req.headers,
+        body,
+        statusCode: res.statusCode,
+        ...res.locals.capture
+      }).catch(err => {
+        console.error(JSON.stringify({ level: 'error', msg: 'capture_write_failed', route, error: err?.message }));
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { captureInbound };
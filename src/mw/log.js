@@ -1,8 +1,17 @@
 // Request logging middleware
+// Every request gets an id (X-Request-Id from the caller or load balancer, otherwise a new uuid) as
+// req.id; it is echoed in the X-Request-Id response header and the log line, and stored on audit events
+
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:\/-]{1,128}$/;
 
 function requestLogger(req, res, next) {
   const start = Date.now();
   const timestamp = new Date().toISOString();
+  const incomingId = req.get('x-request-id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
   
   // Log when response finishes
   res.on('finish', () => {
@@ -18,6 +27,7 @@ function requestLogger(req, res, next) {
       method,
       status,
       dur_ms: duration,
+      request_id: req.id,
       ts: timestamp
     };
     
@@ -0,0 +1,102 @@
+/**
+ * Admin routes for admin API tokens
+ * Issue (plaintext shown once), list and revoke; all of them need the admin:tokens scope
+ */
+
+const express = require('express');
+const { requireString, optionalString, patterns, createValidationError } = require('../validate');
+const { issueToken, revokeToken, listTokens, hasScope, SCOPES } = require('../lib/adminTokens');
+const { tenantOf, owningOrg } = require('../lib/organisations');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '16kb' });
+
+/**
+ * List tokens (never their hashes); organisation admins see their organisation's tokens
+ * Query: include_revoked=true to include revoked tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listHandler(req, res, next) {
+  try {
+    const tokens = await listTokens({ includeRevoked: req.query.include_revoked === 'true', orgId: tenantOf(req) });
+    res.json({ ok: true, data: tokens });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Issue a token
+ * Body: name, scopes (array; only scopes the caller holds, * only by * holders), expires_at (ISO
+ * timestamp, optional), org_id (platform admins only; organisation admins always issue tokens for their
+ * own organisation)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function issueHandler(req, res, next) {
+  try {
+    const name = requireString(req.body, 'name', { max: 120 });
+    const expiresRaw = optionalString(req.body, 'expires_at', { max: 40 });
+    const expires_at = expiresRaw ? new Date(expiresRaw) : null;
+    if (expires_at && (isNaN(expires_at.getTime()) || expires_at <= new Date())) {
+      throw createValidationError('Field expires_at must be a future ISO timestamp', 'expires_at');
+    }
+
+    // A token cannot hand out more than it holds (unknown scopes are left to issueToken's 400)
+    const withheld = Array.isArray(req.body.scopes)
+      ? req.body.scopes.filter(s => SCOPES.includes(s) && !hasScope(req.admin, s))
+      : [];
+    if (withheld.length > 0) {
+      const error = new Error(`Token "${req.admin.name}" cannot issue scope(s) it does not hold: ${withheld.join(', ')}`);
+      error.status = 403;
+      error.code = 'FORBIDDEN';
+      throw error;
+    }
+
+    const { token, record } = await issueToken({
+      name,
+      scopes: req.body.scopes,
+      expires_at,
+      created_by: req.admin ? req.admin.name : null,
+      org_id: owningOrg(req)
+    });
+
+    console.log(JSON.stringify({ event: 'admin_token_issued', id: record.id, name, scopes: record.scopes, org_id: record.org_id, by: record.created_by }));
+    res.status(201).json({ ok: true, data: { ...record, token } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke a token; it stops working immediately
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function revokeHandler(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const record = await revokeToken(id, req.admin ? req.admin.name : null, tenantOf(req));
+    if (!record) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Token not found or already revoked' } });
+    }
+
+    console.log(JSON.stringify({ event: 'admin_token_revoked', id, name: record.name, by: record.revoked_by }));
+    res.json({ ok: true, data: record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listHandler);
+router.post('/', jsonParser, issueHandler);
+router.delete('/:id', revokeHandler);
+
+module.exports = router;
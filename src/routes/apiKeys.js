@@ -0,0 +1,158 @@
+/**
+ * Admin routes for client API keys
+ * Issue (plaintext shown once), list, change scopes/quotas, revoke, and usage per key
+ */
+
+const express = require('express');
+const { requireString, optionalString, patterns } = require('../validate');
+const { issueKey, updateKey, revokeKey, listKeys, getKey, getUsage, readQuota } = require('../lib/apiKeys');
+const { tenantOf, owningOrg } = require('../lib/organisations');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '16kb' });
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * List keys (never the keys themselves); organisation admins see their organisation's keys
+ * Query: include_revoked=true to include revoked keys
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listHandler(req, res, next) {
+  try {
+    const keys = await listKeys({ includeRevoked: req.query.include_revoked === 'true', orgId: tenantOf(req) });
+    res.json({ ok: true, data: keys });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Usage of every active key: sends, failures and remaining quota for today and this month
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function usageListHandler(req, res, next) {
+  try {
+    const keys = await listKeys({ orgId: tenantOf(req) });
+    const usage = await Promise.all(keys.map(getUsage));
+    res.json({
+      ok: true,
+      data: keys.map((key, i) => ({ id: key.id, name: key.name, key_prefix: key.key_prefix, ...usage[i] }))
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Usage of one key
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function usageHandler(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const key = await getKey(id, tenantOf(req));
+    if (!key) throw notFound('API key not found');
+
+    res.json({ ok: true, data: { id: key.id, name: key.name, key_prefix: key.key_prefix, revoked_at: key.revoked_at, ...(await getUsage(key)) } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Issue a key
+ * Body: name, scopes (array), daily_quota, monthly_quota (integers; omit or null for unlimited),
+ * org_id (platform admins only; organisation admins issue keys for their own organisation)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function issueHandler(req, res, next) {
+  try {
+    const name = requireString(req.body, 'name', { max: 120 });
+    const { key, record } = await issueKey({
+      name,
+      scopes: req.body.scopes,
+      daily_quota: readQuota(req.body, 'daily_quota') ?? null,
+      monthly_quota: readQuota(req.body, 'monthly_quota') ?? null,
+      created_by: req.admin ? req.admin.name : null,
+      org_id: owningOrg(req)
+    });
+
+    console.log(JSON.stringify({ event: 'api_key_issued', id: record.id, name, scopes: record.scopes, org_id: record.org_id, by: record.created_by }));
+    res.status(201).json({ ok: true, data: { ...record, key } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change a key's name, scopes or quotas; omitted fields are kept, null quotas mean unlimited
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchHandler(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const record = await updateKey(id, {
+      name: optionalString(req.body, 'name', { max: 120 }) || undefined,
+      scopes: req.body.scopes,
+      daily_quota: readQuota(req.body, 'daily_quota'),
+      monthly_quota: readQuota(req.body, 'monthly_quota')
+    }, tenantOf(req));
+    if (!record) throw notFound('API key not found or revoked');
+
+    res.json({ ok: true, data: record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Revoke a key; its requests are rejected immediately, its messages stay attributed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function revokeHandler(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const record = await revokeKey(id, req.admin ? req.admin.name : null, tenantOf(req));
+    if (!record) throw notFound('API key not found or already revoked');
+
+    console.log(JSON.stringify({ event: 'api_key_revoked', id, name: record.name, by: record.revoked_by }));
+    res.json({ ok: true, data: record });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listHandler);
+router.get('/usage', usageListHandler);
+router.post('/', jsonParser, issueHandler);
+router.get('/:id/usage', usageHandler);
+router.patch('/:id', jsonParser, patchHandler);
+router.delete('/:id', revokeHandler);
+
+module.exports = router;
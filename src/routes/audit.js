@@ -0,0 +1,84 @@
+/**
+ * Admin route for the audit trail
+ * Who changed what through the admin API; organisation admins see their organisation's changes
+ */
+
+const express = require('express');
+const { optionalString, createValidationError } = require('../validate');
+const { getPagination, paginateQuery } = require('../pagination');
+const { tenantCondition } = require('../lib/organisations');
+
+const router = express.Router();
+
+/**
+ * Parse an optional ISO timestamp query parameter
+ * @param {Object} req - Express request
+ * @param {string} key - Parameter name
+ * @returns {Date|null} Timestamp
+ */
+function optionalTime(req, key) {
+  const raw = optionalString(req.query, key, { max: 40 });
+  if (!raw) return null;
+  const time = new Date(raw);
+  if (isNaN(time.getTime())) throw createValidationError(`Field ${key} must be an ISO timestamp`, key);
+  return time;
+}
+
+/**
+ * List audit events, newest first
+ * Query: entity, entity_id, action, actor, request_id, from, to (ISO timestamps), org_id (platform
+ * admins), limit, cursor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listAudit(req, res, next) {
+  try {
+    const filters = {
+      entity: optionalString(req.query, 'entity', { max: 64 }),
+      entity_id: optionalString(req.query, 'entity_id', { max: 128 }),
+      action: optionalString(req.query, 'action', { max: 64 }),
+      actor: optionalString(req.query, 'actor', { max: 120 }),
+      request_id: optionalString(req.query, 'request_id', { max: 128 })
+    };
+    const from = optionalTime(req, 'from');
+    const to = optionalTime(req, 'to');
+    const pagination = getPagination(req);
+
+    let baseQuery = 'SELECT * FROM audit_events WHERE 1=1';
+    const params = [];
+    baseQuery += tenantCondition(req, 'org_id', params);
+
+    for (const [column, value] of Object.entries(filters)) {
+      if (!value) continue;
+      params.push(value);
+      baseQuery += ` AND ${column} = $${params.length}`;
+    }
+    if (from) {
+      params.push(from);
+      baseQuery += ` AND ts >= $${params.length}`;
+    }
+    if (to) {
+      params.push(to);
+      baseQuery += ` AND ts < $${params.length}`;
+    }
+
+    const result = await paginateQuery(baseQuery, params, pagination);
+
+    res.json({
+      ok: true,
+      data: result.items,
+      pagination: {
+        next_cursor: result.next_cursor,
+        has_more: !!result.next_cursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listAudit);
+
+module.exports = router;
@@ -0,0 +1,393 @@
+/**
+ * Admin routes for buildings
+ * List, create, update and delete buildings, and manage building contacts (who cover every lift in the
+ * building). Organisation admins only see and change buildings on their organisation's sites
+ */
+
+const express = require('express');
+const { query, withTxn, escapeLike } = require('../db');
+const { requireString, optionalString, pickFields, patterns, createValidationError } = require('../validate');
+const { tenantCondition } = require('../lib/organisations');
+const { BUILDING_FIELDS, checkTimezone, syncLiftCopies } = require('../lib/buildings');
+const { recordAudit, skipAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '16kb' });
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Check a site exists and belongs to the caller's organisation
+ * @param {Object} db - Query client
+ * @param {Object} req - Express request
+ * @param {string} id - Site id
+ * @returns {Promise<void>}
+ * @throws {Error} 404 when not found or owned by another organisation
+ */
+async function assertSite(db, req, id) {
+  const params = [id];
+  const result = await db.query(`SELECT id FROM sites s WHERE s.id = $1${tenantCondition(req, 's.org_id', params)}`, params);
+  if (result.rows.length === 0) throw notFound('Site not found');
+}
+
+/**
+ * Check a building exists and belongs to the caller's organisation
+ * @param {Object} req - Express request
+ * @param {string} id - Building id
+ * @returns {Promise<void>}
+ * @throws {Error} 404 when not found or owned by another organisation
+ */
+async function assertBuilding(req, id) {
+  const params = [id];
+  const result = await query(`
+    SELECT b.id FROM buildings b JOIN sites s ON s.id = b.site_id
+    WHERE b.id = $1${tenantCondition(req, 's.org_id', params)}
+  `, params);
+  if (result.rows.length === 0) throw notFound('Building not found');
+}
+
+/**
+ * List buildings with lift and contact counts
+ * Query: site_id, building_code, q (name, code or address), org_id (platform admins)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listBuildings(req, res, next) {
+  try {
+    const siteId = optionalString(req.query, 'site_id', { pattern: patterns.uuid });
+    const code = optionalString(req.query, 'building_code', { max: 32 });
+    const q = optionalString(req.query, 'q', { max: 100 });
+    const params = [];
+    let where = tenantCondition(req, 's.org_id', params);
+
+    if (siteId) {
+      params.push(siteId);
+      where += ` AND b.site_id = $${params.length}`;
+    }
+    if (code) {
+      params.push(code);
+      where += ` AND lower(b.building_code) = lower($${params.length})`;
+    }
+    if (q) {
+      params.push(`%${escapeLike(q)}%`);
+      const p = `$${params.length}`;
+      where += ` AND (b.name ILIKE ${p} OR b.building_code ILIKE ${p} OR b.address ILIKE ${p})`;
+    }
+
+    const result = await query(`
+      SELECT b.*, s.name AS site_name, s.org_id,
+             (SELECT count(*)::int FROM lifts l WHERE l.building_id = b.id) AS lifts_count,
+             (SELECT count(*)::int FROM building_contacts bc WHERE bc.building_id = b.id) AS contacts_count
+      FROM buildings b
+      JOIN sites s ON s.id = b.site_id
+      WHERE 1=1${where}
+      ORDER BY s.name, b.name
+    `, params);
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a building on a site
+ * Body: site_id, name, building_code, address, region, timezone (null ones fall back to the site's)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function createBuilding(req, res, next) {
+  try {
+    const siteId = requireString(req.body, 'site_id', { pattern: patterns.uuid });
+    const fields = { ...checkTimezone(pickFields(req.body, BUILDING_FIELDS)), name: requireString(req.body, 'name', { max: 255 }) };
+    await assertSite({ query }, req, siteId);
+    const columns = Object.keys(fields);
+
+    const building = await withTxn(async (client) => {
+      const result = await client.query(`
+        INSERT INTO buildings (site_id, ${columns.join(', ')})
+        VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+        RETURNING *
+      `, [siteId, ...Object.values(fields)]);
+      await recordAudit(client, req, { entity: 'building', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.status(201).json({ ok: true, data: building });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one building with its site, lifts and contacts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showBuilding(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertBuilding(req, id);
+
+    const [building, lifts, contacts] = await Promise.all([
+      query(`
+        SELECT b.*, row_to_json(s.*) AS site
+        FROM buildings b JOIN sites s ON s.id = b.site_id
+        WHERE b.id = $1
+      `, [id]),
+      query('SELECT id, msisdn, lift_code, notes FROM lifts WHERE building_id = $1 ORDER BY lift_code NULLS LAST, msisdn', [id]),
+      query(`
+        SELECT c.id, c.display_name, c.primary_msisdn, c.email, c.role, bc.relation
+        FROM building_contacts bc
+        JOIN contacts c ON c.id = bc.contact_id
+        WHERE bc.building_id = $1
+        ORDER BY c.display_name NULLS LAST, c.primary_msisdn
+      `, [id])
+    ]);
+
+    res.json({ ok: true, data: { ...building.rows[0], lifts: lifts.rows, contacts: contacts.rows } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update some fields of a building; omitted fields are kept. site_id moves it (and its lifts) to
+ * another site of the same organisation. Its lifts' site_name, building, building_code and region follow
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchBuilding(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const fields = checkTimezone(pickFields(req.body || {}, {
+      site_id: { required: true, pattern: patterns.uuid },
+      name: { required: true, max: 255 },
+      ...BUILDING_FIELDS
+    }));
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      throw createValidationError(`Nothing to update; send any of site_id, name, ${Object.keys(BUILDING_FIELDS).join(', ')}`);
+    }
+
+    await assertBuilding(req, id);
+    const building = await withTxn(async (client) => {
+      if (fields.site_id) {
+        await assertSite(client, req, fields.site_id);
+        const orgs = await client.query(`
+          SELECT (SELECT org_id FROM sites WHERE id = $1) IS NOT DISTINCT FROM
+                 (SELECT s.org_id FROM buildings b JOIN sites s ON s.id = b.site_id WHERE b.id = $2) AS same
+        `, [fields.site_id, id]);
+        if (!orgs.rows[0].same) {
+          throw createValidationError('A building can only move to a site of the same organisation', 'site_id');
+        }
+      }
+
+      const current = await client.query('SELECT * FROM buildings WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(`
+        UPDATE buildings SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(fields)]);
+      await syncLiftCopies(client, { buildingId: id });
+      await recordAudit(client, req, { entity: 'building', entityId: id, action: 'update', before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: building });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a building and its contact links; refused while lifts are still in it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteBuilding(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertBuilding(req, id);
+
+    try {
+      await withTxn(async (client) => {
+        const contacts = await client.query('SELECT contact_id, relation FROM building_contacts WHERE building_id = $1 ORDER BY contact_id', [id]);
+        const result = await client.query('DELETE FROM buildings WHERE id = $1 RETURNING *', [id]);
+        await recordAudit(client, req, { entity: 'building', entityId: id, action: 'delete', before: { ...result.rows[0], contacts: contacts.rows } });
+      });
+    } catch (error) {
+      if (error.code !== '23503') throw error;
+      const inUse = new Error('Building still has lifts; move them to another building first');
+      inUse.status = 409;
+      inUse.code = 'BUILDING_IN_USE';
+      throw inUse;
+    }
+
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List a building's contacts with their relation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listBuildingContacts(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertBuilding(req, id);
+    const result = await query(`
+      SELECT c.id, c.display_name, c.primary_msisdn, c.email, c.role, bc.relation
+      FROM contacts c
+      JOIN building_contacts bc ON bc.contact_id = c.id
+      WHERE bc.building_id = $1
+      ORDER BY c.display_name NULLS LAST, c.primary_msisdn
+    `, [id]);
+
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Link a contact to a building (an existing link is left as is)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function linkContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contact_id = requireString(req.body, 'contact_id', { pattern: patterns.uuid });
+    const relation = optionalString(req.body, 'relation', { max: 32 }) || 'tenant';
+    await assertBuilding(req, id);
+    const params = [contact_id];
+    const contact = await query(`SELECT id FROM contacts WHERE id = $1${tenantCondition(req, 'org_id', params)}`, params);
+    if (contact.rows.length === 0) throw notFound('Contact not found');
+
+    const inserted = await query(`
+      WITH link AS (
+        INSERT INTO building_contacts (building_id, contact_id, relation)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (building_id, contact_id) DO NOTHING
+        RETURNING building_id, contact_id, relation
+      )
+      SELECT link.*, c.display_name, c.primary_msisdn FROM link JOIN contacts c ON c.id = link.contact_id
+    `, [id, contact_id, relation]);
+    if (inserted.rows.length > 0) {
+      await recordAudit({ query }, req, { entity: 'building_contact', entityId: id, action: 'link', after: inserted.rows[0] });
+    } else {
+      skipAudit(req);
+    }
+
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change the relation of an existing building link
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchLink(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contactId = requireString(req.params, 'contactId', { pattern: patterns.uuid });
+    const relation = requireString(req.body || {}, 'relation', { max: 32 });
+    await assertBuilding(req, id);
+
+    const link = await withTxn(async (client) => {
+      const current = await client.query(`
+        SELECT bc.building_id, bc.contact_id, bc.relation, c.display_name, c.primary_msisdn
+        FROM building_contacts bc JOIN contacts c ON c.id = bc.contact_id
+        WHERE bc.building_id = $1 AND bc.contact_id = $2
+        FOR UPDATE OF bc
+      `, [id, contactId]);
+      if (current.rows.length === 0) throw notFound('Contact is not linked to this building');
+
+      const result = await client.query(`
+        UPDATE building_contacts SET relation = $3
+        WHERE building_id = $1 AND contact_id = $2
+        RETURNING building_id, contact_id, relation
+      `, [id, contactId, relation]);
+      await recordAudit(client, req, {
+        entity: 'building_contact',
+        entityId: id,
+        action: 'update',
+        before: current.rows[0],
+        after: { ...current.rows[0], relation: result.rows[0].relation }
+      });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: link });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Unlink a contact from a building
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function unlinkContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contactId = requireString(req.params, 'contactId', { pattern: patterns.uuid });
+    await assertBuilding(req, id);
+    const removed = await query(`
+      WITH link AS (
+        DELETE FROM building_contacts WHERE building_id = $1 AND contact_id = $2
+        RETURNING building_id, contact_id, relation
+      )
+      SELECT link.*, c.display_name, c.primary_msisdn FROM link JOIN contacts c ON c.id = link.contact_id
+    `, [id, contactId]);
+    if (removed.rows.length > 0) {
+      await recordAudit({ query }, req, { entity: 'building_contact', entityId: id, action: 'unlink', before: removed.rows[0] });
+    } else {
+      skipAudit(req);
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listBuildings);
+router.post('/', jsonParser, createBuilding);
+router.get('/:id', showBuilding);
+router.patch('/:id', jsonParser, patchBuilding);
+router.delete('/:id', deleteBuilding);
+router.get('/:id/contacts', listBuildingContacts);
+router.post('/:id/contacts', jsonParser, linkContact);
+router.patch('/:id/contacts/:contactId', jsonParser, patchLink);
+router.delete('/:id/contacts/:contactId', unlinkContact);
+
+module.exports = router;
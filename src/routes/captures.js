@@ -0,0 +1,103 @@
+/**
+ * Admin routes for the inbound capture store
+ * List and inspect raw inbound webhook requests, and replay them through ingestion
+ */
+
+const express = require('express');
+const { optionalString, requireString, patterns } = require('../validate');
+const { getPagination, paginateQuery } = require('../pagination');
+const { getCapture, replayCapture } = require('../lib/captures');
+
+const router = express.Router();
+
+/**
+ * List captures, newest first
+ * Query: msisdn, route, outcome, limit, cursor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listCaptures(req, res, next) {
+  try {
+    const msisdn = optionalString(req.query, 'msisdn', { max: 20 });
+    const route = optionalString(req.query, 'route', { max: 64 });
+    const outcome = optionalString(req.query, 'outcome', { max: 16 });
+    const pagination = getPagination(req);
+
+    let baseQuery = `
+      SELECT id, route, method, msisdn, detected_shape, status_code, outcome, message_id, detail, body_truncated, ts
+      FROM inbound_captures WHERE 1=1`;
+    const params = [];
+
+    if (msisdn) {
+      params.push(msisdn.replace(/\D+/g, ''));
+      baseQuery += ` AND msisdn = $${params.length}`;
+    }
+    if (route) {
+      params.push(route);
+      baseQuery += ` AND route = $${params.length}`;
+    }
+    if (outcome) {
+      params.push(outcome);
+      baseQuery += ` AND outcome = $${params.length}`;
+    }
+
+    const result = await paginateQuery(baseQuery, params, pagination);
+
+    res.json({
+      ok: true,
+      data: result.items,
+      pagination: {
+        next_cursor: result.next_cursor,
+        has_more: !!result.next_cursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one capture including headers and raw body
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showCapture(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const capture = await getCapture(id);
+    if (!capture) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Capture not found' } });
+    }
+    res.json({ ok: true, data: capture });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Replay a captured payload through ingestion
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function replay(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const result = await replayCapture(id);
+    if (!result) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Capture not found' } });
+    }
+    res.json({ ok: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listCaptures);
+router.get('/:id', showCapture);
+router.post('/:id/replay', replay);
+
+module.exports = router;
@@ -0,0 +1,398 @@
+/**
+ * Admin routes for contacts
+ * List/search, create-or-update by msisdn or email, partial update, delete, consent and quiet hours.
+ * Organisation admins only see and change their organisation's contacts
+ */
+
+const express = require('express');
+const { query, withTxn, escapeLike } = require('../db');
+const { requireString, optionalString, requireEnum, pickFields, patterns, createValidationError } = require('../validate');
+const { getPagination, paginateQuery } = require('../pagination');
+const { validateTimezone } = require('../lib/oncall');
+const { tenantOf, tenantCondition, owningOrg } = require('../lib/organisations');
+const { recordAudit } = require('../lib/audit');
+const { LANGUAGE_PATTERN } = require('../lib/i18n');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '64kb' });
+
+// Editable contact columns
+const CONTACT_FIELDS = {
+  display_name: { max: 255 },
+  primary_msisdn: { pattern: patterns.msisdn },
+  email: { pattern: patterns.email },
+  role: { max: 100 },
+  language: { pattern: LANGUAGE_PATTERN }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Check a contact exists and belongs to the caller's organisation
+ * @param {Object} req - Express request
+ * @param {string} id - Contact id
+ * @returns {Promise<void>}
+ * @throws {Error} 404 when not found or owned by another organisation
+ */
+async function assertContact(req, id) {
+  const params = [id];
+  const result = await query(`SELECT id FROM contacts WHERE id = $1${tenantCondition(req, 'org_id', params)}`, params);
+  if (result.rows.length === 0) throw notFound('Contact not found');
+}
+
+/**
+ * List contacts, newest first
+ * Query: role, msisdn_prefix, lift_id, building, q (free text), org_id (platform admins), limit, cursor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listContacts(req, res, next) {
+  try {
+    const role = optionalString(req.query, 'role', { max: 100 });
+    const msisdn_prefix = optionalString(req.query, 'msisdn_prefix', { pattern: /^\+?[0-9]{1,15}$/ });
+    const lift_id = optionalString(req.query, 'lift_id', { pattern: patterns.uuid });
+    const building = optionalString(req.query, 'building', { max: 255 });
+    const q = optionalString(req.query, 'q', { max: 100 });
+    const pagination = getPagination(req);
+
+    // paginateQuery pages on ts/id, so expose created_at as ts
+    let baseQuery = `
+      SELECT * FROM (
+        SELECT c.*, c.created_at AS ts,
+               (SELECT count(*)::int FROM lift_contacts lc WHERE lc.contact_id = c.id) AS lifts_count
+        FROM contacts c
+      ) contacts WHERE 1=1`;
+    const params = [];
+    baseQuery += tenantCondition(req, 'org_id', params);
+
+    if (role) {
+      params.push(role);
+      baseQuery += ` AND lower(role) = lower($${params.length})`;
+    }
+    if (msisdn_prefix) {
+      params.push(`${msisdn_prefix.replace(/\D+/g, '')}%`);
+      baseQuery += ` AND primary_msisdn LIKE $${params.length}`;
+    }
+    if (lift_id) {
+      params.push(lift_id);
+      baseQuery += ` AND EXISTS (SELECT 1 FROM lift_contacts lc WHERE lc.contact_id = contacts.id AND lc.lift_id = $${params.length})`;
+    }
+    if (building) {
+      params.push(building);
+      baseQuery += ` AND EXISTS (
+        SELECT 1 FROM lift_contacts lc JOIN lifts l ON l.id = lc.lift_id
+        WHERE lc.contact_id = contacts.id AND lower(l.building) = lower($${params.length}))`;
+    }
+    if (q) {
+      params.push(`%${escapeLike(q)}%`);
+      const p = `$${params.length}`;
+      baseQuery += ` AND (display_name ILIKE ${p} OR primary_msisdn ILIKE ${p} OR email ILIKE ${p} OR role ILIKE ${p})`;
+    }
+
+    const result = await paginateQuery(baseQuery, params, pagination);
+
+    res.json({
+      ok: true,
+      data: result.items,
+      pagination: {
+        next_cursor: result.next_cursor,
+        has_more: !!result.next_cursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a contact, or update the one with the same primary_msisdn (or email when no msisdn is given)
+ * Only fields present in the body are written; null or "" clears a field.
+ * New contacts belong to the caller's organisation (platform admins may pass org_id); an organisation
+ * admin cannot take over a contact that belongs elsewhere (409)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function upsertContact(req, res, next) {
+  try {
+    const fields = pickFields(req.body || {}, CONTACT_FIELDS);
+    if (!fields.primary_msisdn && !fields.email) {
+      throw createValidationError('At least one of primary_msisdn or email is required');
+    }
+    const orgId = owningOrg(req);
+    if (orgId) fields.org_id = orgId;
+
+    const key = fields.primary_msisdn ? 'primary_msisdn' : 'email';
+    const columns = Object.keys(fields);
+    const insert = `
+      INSERT INTO contacts (${columns.join(', ')})
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+    `;
+
+    const { created, contact } = await withTxn(async (client) => {
+      let existing;
+      let result;
+      if (key === 'primary_msisdn') {
+        existing = await client.query('SELECT * FROM contacts WHERE primary_msisdn = $1 FOR UPDATE', [fields.primary_msisdn]);
+        const updates = [...columns.filter(c => c !== key).map(c => `${c} = EXCLUDED.${c}`), 'updated_at = now()'].join(', ');
+        result = await client.query(`
+          ${insert}
+          ON CONFLICT (primary_msisdn) DO UPDATE SET ${updates}
+          ${tenantOf(req) ? 'WHERE contacts.org_id = EXCLUDED.org_id' : ''}
+          RETURNING *, (xmax = 0) AS created
+        `, Object.values(fields));
+      } else {
+        // email is not unique, so there is no conflict target: update the oldest contact with it, if any
+        existing = await client.query(
+          'SELECT * FROM contacts WHERE lower(email) = lower($1) ORDER BY created_at LIMIT 1 FOR UPDATE',
+          [fields.email]
+        );
+        const before = existing.rows[0];
+        if (!before) {
+          result = await client.query(`${insert} RETURNING *, true AS created`, Object.values(fields));
+        } else if (tenantOf(req) && before.org_id !== fields.org_id) {
+          result = { rows: [] };
+        } else {
+          const updated = columns.filter(c => c !== key);
+          result = await client.query(`
+            UPDATE contacts SET ${[...updated.map((c, i) => `${c} = $${i + 2}`), 'updated_at = now()'].join(', ')}
+            WHERE id = $1
+            RETURNING *, false AS created
+          `, [before.id, ...updated.map(c => fields[c])]);
+        }
+      }
+      if (result.rows.length === 0) {
+        const error = new Error(`A contact with this ${key} belongs to another organisation`);
+        error.status = 409;
+        error.code = 'DUPLICATE_RESOURCE';
+        throw error;
+      }
+
+      const { created, ...contact } = result.rows[0];
+      await recordAudit(client, req, {
+        entity: 'contact',
+        entityId: contact.id,
+        action: created ? 'create' : 'update',
+        before: existing.rows[0],
+        after: contact
+      });
+      return { created, contact };
+    });
+
+    res.json({ ok: true, data: contact, created });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one contact with its consents, linked lifts and linked buildings
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertContact(req, id);
+    const [contact, consents, lifts, buildings] = await Promise.all([
+      query('SELECT * FROM contacts WHERE id = $1', [id]),
+      query('SELECT channel, status, source, ts FROM consents WHERE contact_id = $1 ORDER BY channel', [id]),
+      query(`
+        SELECT l.id, l.msisdn, l.site_name, l.building, lc.relation
+        FROM lift_contacts lc
+        JOIN lifts l ON l.id = lc.lift_id
+        WHERE lc.contact_id = $1
+        ORDER BY l.building NULLS LAST, l.site_name NULLS LAST, l.msisdn
+      `, [id]),
+      query(`
+        SELECT b.id, b.name, b.building_code, s.name AS site_name, bc.relation
+        FROM building_contacts bc
+        JOIN buildings b ON b.id = bc.building_id
+        JOIN sites s ON s.id = b.site_id
+        WHERE bc.contact_id = $1
+        ORDER BY s.name, b.name
+      `, [id])
+    ]);
+    if (contact.rows.length === 0) throw notFound('Contact not found');
+
+    res.json({ ok: true, data: { ...contact.rows[0], consents: consents.rows, lifts: lifts.rows, buildings: buildings.rows } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update some fields of a contact; omitted fields are kept
+ * A contact must keep at least one of primary_msisdn or email; platform admins can move it with org_id
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const fields = pickFields(req.body || {}, CONTACT_FIELDS);
+    if (req.body && req.body.org_id !== undefined) {
+      if (tenantOf(req)) throw createValidationError('Only platform admins can move a contact to another organisation', 'org_id');
+      fields.org_id = optionalString(req.body, 'org_id', { pattern: patterns.uuid });
+    }
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      throw createValidationError(`Nothing to update; send any of ${Object.keys(CONTACT_FIELDS).join(', ')}`);
+    }
+
+    const contact = await withTxn(async (client) => {
+      const params = [id];
+      const current = await client.query(`SELECT * FROM contacts WHERE id = $1${tenantCondition(req, 'org_id', params)} FOR UPDATE`, params);
+      if (current.rows.length === 0) throw notFound('Contact not found');
+
+      const merged = { ...current.rows[0], ...fields };
+      if (!merged.primary_msisdn && !merged.email) {
+        throw createValidationError('A contact needs at least one of primary_msisdn or email');
+      }
+
+      const result = await client.query(`
+        UPDATE contacts SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(fields)]);
+      await recordAudit(client, req, { entity: 'contact', entityId: id, action: 'update', before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: contact });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a contact with its links, consents and on-call shifts
+ * Messages and events keep their history (contact_id is set to null)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await withTxn(async (client) => {
+      const params = [id];
+      const current = await client.query(`SELECT * FROM contacts WHERE id = $1${tenantCondition(req, 'org_id', params)} FOR UPDATE`, params);
+      if (current.rows.length === 0) throw notFound('Contact not found');
+
+      const [consents, lifts, buildings] = await Promise.all([
+        client.query('SELECT channel, status, source, ts FROM consents WHERE contact_id = $1 ORDER BY channel', [id]),
+        client.query('SELECT lift_id, relation FROM lift_contacts WHERE contact_id = $1 ORDER BY lift_id', [id]),
+        client.query('SELECT building_id, relation FROM building_contacts WHERE contact_id = $1 ORDER BY building_id', [id])
+      ]);
+      await client.query('DELETE FROM contacts WHERE id = $1', [id]);
+      await recordAudit(client, req, {
+        entity: 'contact',
+        entityId: id,
+        action: 'delete',
+        before: { ...current.rows[0], consents: consents.rows, lifts: lifts.rows, buildings: buildings.rows }
+      });
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Record a contact's consent for a channel
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function setConsent(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertContact(req, id);
+    const channel = requireEnum(req.body, 'channel', ['sms', 'wa']);
+    const status = requireEnum(req.body, 'status', ['opt_in', 'opt_out']);
+    const source = optionalString(req.body, 'source', { max: 255 });
+
+    const consent = await withTxn(async (client) => {
+      const current = await client.query('SELECT * FROM consents WHERE contact_id = $1 AND channel = $2 FOR UPDATE', [id, channel]);
+      const result = await client.query(`
+        INSERT INTO consents (contact_id, channel, status, source)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (contact_id, channel) DO UPDATE SET
+          status = EXCLUDED.status,
+          source = EXCLUDED.source,
+          ts = now()
+        RETURNING *
+      `, [id, channel, status, source]);
+      await recordAudit(client, req, { entity: 'consent', entityId: id, action: status, before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: consent });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Set quiet hours (non-alarm messages are held until the window ends); send nulls to clear
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function setQuietHours(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const clearing = req.body.start === null && req.body.end === null;
+    const start = clearing ? null : requireString(req.body, 'start', { pattern: TIME_PATTERN });
+    const end = clearing ? null : requireString(req.body, 'end', { pattern: TIME_PATTERN });
+    const timezone = optionalString(req.body, 'timezone', { max: 64 });
+    if (timezone) validateTimezone(timezone);
+    await assertContact(req, id);
+
+    const quietHours = await withTxn(async (client) => {
+      const current = await client.query('SELECT id, quiet_hours_start, quiet_hours_end, timezone FROM contacts WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) throw notFound('Contact not found');
+      const result = await client.query(`
+        UPDATE contacts
+        SET quiet_hours_start = $2, quiet_hours_end = $3, timezone = COALESCE($4, timezone), updated_at = now()
+        WHERE id = $1
+        RETURNING id, quiet_hours_start, quiet_hours_end, timezone
+      `, [id, start, end, timezone]);
+      await recordAudit(client, req, { entity: 'contact', entityId: id, action: 'quiet_hours', before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: quietHours });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listContacts);
+router.post('/', jsonParser, upsertContact);
+router.get('/:id', showContact);
+router.patch('/:id', jsonParser, patchContact);
+router.delete('/:id', deleteContact);
+router.post('/:id/consent', jsonParser, setConsent);
+router.put('/:id/quiet-hours', jsonParser, setQuietHours);
+
+module.exports = router;
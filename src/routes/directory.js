@@ -0,0 +1,97 @@
+/**
+ * Admin routes for the contact directory
+ * Look up a lift in any backend, report lifts whose recipients differ between backends,
+ * and import the Firestore contacts into Postgres
+ */
+
+const express = require('express');
+const { createValidationError } = require('../validate');
+const { getDirectory, compareBackends, BACKENDS, DIRECTORY_BACKEND } = require('../lib/directory');
+const { importFromFirestore } = require('../lib/directoryImport');
+
+const router = express.Router();
+
+// JSON parser for request bodies
+const jsonParser = express.json({ limit: '16kb' });
+
+/**
+ * Parse ?backends=postgres,csv (all backends when omitted)
+ * @param {string|undefined} raw - Query value
+ * @returns {string[]} Backend names
+ */
+function parseBackends(raw) {
+  if (!raw) return BACKENDS;
+  const names = [...new Set(String(raw).split(',').map(s => s.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !BACKENDS.includes(name));
+  if (unknown.length > 0) {
+    throw createValidationError(`Unknown backend(s): ${unknown.join(', ')} (expected ${BACKENDS.join(', ')})`, 'backends');
+  }
+  if (names.length < 2) {
+    throw createValidationError('Compare needs at least two backends', 'backends');
+  }
+  return names;
+}
+
+/**
+ * Report lifts that are missing from a backend or have different recipients
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function compareHandler(req, res, next) {
+  try {
+    const report = await compareBackends(parseBackends(req.query.backends));
+    res.json({ ok: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Resolve one lift MSISDN through a backend (?backend=, the configured one by default)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function lookupHandler(req, res, next) {
+  try {
+    const directory = getDirectory(req.query.backend || DIRECTORY_BACKEND);
+    const entry = await directory.lookup(req.params.msisdn);
+    if (!entry) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: `No ${directory.name} entry for this MSISDN` } });
+    }
+    res.json({ ok: true, data: entry });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Import Firestore contacts into Postgres
+ * Body: { dry_run?: boolean (default true) }; the admin token's name is recorded as the actor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function importFirestoreHandler(req, res, next) {
+  try {
+    const body = req.body || {};
+    if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+      throw createValidationError('Field dry_run must be a boolean', 'dry_run');
+    }
+    const actor = req.admin.name;
+
+    const result = await importFromFirestore({ dryRun: body.dry_run !== false, actor });
+    console.log(JSON.stringify({ event: 'firestore_import', actor, dry_run: result.dry_run, summary: result.summary }));
+    res.json({ ok: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/compare', compareHandler);
+router.get('/lookup/:msisdn', lookupHandler);
+router.post('/import-firestore', jsonParser, importFirestoreHandler);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+/**
+ * Admin routes for escalation policies
+ * A policy is addressed by lift id, or "default" for the global fallback
+ */
+
+const express = require('express');
+const { query } = require('../db');
+const { patterns, createValidationError } = require('../validate');
+const { listPolicies, getPolicyForLift, upsertPolicy, deletePolicy } = require('../lib/escalation');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '64kb' });
+
+/**
+ * Parse the :scope parameter
+ * @param {string} scope - "default" or a lift id
+ * @returns {string|null} Lift id, or null for the default policy
+ */
+function parseScope(scope) {
+  if (scope === 'default') return null;
+  if (!patterns.uuid.test(scope)) {
+    throw createValidationError('Scope must be "default" or a lift id', 'scope');
+  }
+  return scope;
+}
+
+/**
+ * Fail with 404 when a lift does not exist
+ * @param {string} liftId - Lift id
+ */
+async function assertLiftExists(liftId) {
+  const result = await query('SELECT 1 FROM lifts WHERE id = $1', [liftId]);
+  if (result.rows.length === 0) {
+    const error = new Error('Lift not found');
+    error.status = 404;
+    error.code = 'NOT_FOUND';
+    throw error;
+  }
+}
+
+/**
+ * List all policies
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listHandler(req, res, next) {
+  try {
+    res.json({ ok: true, data: await listPolicies() });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get the effective policy for a lift (its own or the inherited default)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function getHandler(req, res, next) {
+  try {
+    const liftId = parseScope(req.params.scope);
+    let policy;
+    if (liftId) {
+      await assertLiftExists(liftId);
+      policy = await getPolicyForLift({ query }, liftId);
+    } else {
+      policy = (await query('SELECT *, true AS inherited FROM escalation_policies WHERE lift_id IS NULL')).rows[0];
+    }
+    if (!policy) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'No escalation policy configured' } });
+    }
+    res.json({ ok: true, data: policy });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create or replace a policy
+ * Body: { tiers: [{ name, relations?, msisdns?, ops_fallback?, after_minutes }], enabled? }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function putHandler(req, res, next) {
+  try {
+    const liftId = parseScope(req.params.scope);
+    if (liftId) await assertLiftExists(liftId);
+
+    const { tiers, enabled } = req.body || {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw createValidationError('Field enabled must be a boolean', 'enabled');
+    }
+
+    const policy = await upsertPolicy(liftId, { tiers, enabled });
+    res.json({ ok: true, data: policy });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a lift's own policy (the lift then inherits the default)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteHandler(req, res, next) {
+  try {
+    const liftId = parseScope(req.params.scope);
+    if (!liftId) {
+      throw createValidationError('The default policy cannot be deleted; disable it instead', 'scope');
+    }
+    const removed = await deletePolicy(liftId);
+    if (!removed) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Lift has no policy of its own' } });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listHandler);
+router.get('/:scope', getHandler);
+router.put('/:scope', jsonParser, putHandler);
+router.delete('/:scope', deleteHandler);
+
+module.exports = router;
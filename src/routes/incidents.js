@@ -0,0 +1,112 @@
+/**
+ * Admin routes for lift alarm incidents
+ * List incidents, view one with its messages and history, and move it through its lifecycle
+ */
+
+const express = require('express');
+const { optionalString, requireString, requireEnum, patterns } = require('../validate');
+const { getPagination, paginateQuery } = require('../pagination');
+const { getIncident, transitionIncident, INCIDENT_STATES } = require('../lib/incidents');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '128kb' });
+
+/**
+ * List incidents, newest first
+ * Query: state (open|acknowledged|on_site|resolved|active), lift_id, limit, cursor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listIncidents(req, res, next) {
+  try {
+    const state = req.query.state ? requireEnum(req.query, 'state', [...INCIDENT_STATES, 'active']) : null;
+    const lift_id = optionalString(req.query, 'lift_id', { pattern: patterns.uuid });
+    const pagination = getPagination(req);
+
+    // paginateQuery pages on ts/id, so expose opened_at as ts
+    let baseQuery = `
+      SELECT * FROM (
+        SELECT i.*, i.opened_at AS ts, l.msisdn AS lift_msisdn, l.site_name, l.building
+        FROM incidents i
+        JOIN lifts l ON l.id = i.lift_id
+      ) incidents WHERE 1=1`;
+    const params = [];
+
+    if (state === 'active') {
+      baseQuery += ` AND state <> 'resolved'`;
+    } else if (state) {
+      params.push(state);
+      baseQuery += ` AND state = $${params.length}`;
+    }
+    if (lift_id) {
+      params.push(lift_id);
+      baseQuery += ` AND lift_id = $${params.length}`;
+    }
+
+    const result = await paginateQuery(baseQuery, params, pagination);
+
+    res.json({
+      ok: true,
+      data: result.items,
+      pagination: {
+        next_cursor: result.next_cursor,
+        has_more: !!result.next_cursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one incident with messages and transition history
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showIncident(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const incident = await getIncident(id);
+    if (!incident) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Incident not found' } });
+    }
+    res.json({ ok: true, data: incident });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Transition an incident
+ * Body: { state: acknowledged|on_site|resolved, actor?, note? }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function transition(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const state = requireEnum(req.body, 'state', INCIDENT_STATES.slice(1));
+    const actor = optionalString(req.body, 'actor', { max: 255 });
+    const note = optionalString(req.body, 'note', { max: 1000 });
+
+    const incident = await transitionIncident(id, state, { actor, note, source: 'admin' });
+    if (!incident) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Incident not found' } });
+    }
+    res.json({ ok: true, data: incident });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listIncidents);
+router.get('/:id', showIncident);
+router.post('/:id/transition', jsonParser, transition);
+
+module.exports = router;
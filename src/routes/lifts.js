@@ -0,0 +1,451 @@
+/**
+ * Admin routes for lifts
+ * List/search, create-or-update by msisdn, partial update, delete, move between buildings, and manage
+ * linked contacts. Organisation admins only see and change their organisation's lifts
+ */
+
+const express = require('express');
+const { query, withTxn, escapeLike } = require('../db');
+const { requireString, optionalString, pickFields, patterns, createValidationError } = require('../validate');
+const { getPagination, paginateQuery } = require('../pagination');
+const { tenantOf, tenantCondition, owningOrg } = require('../lib/organisations');
+const { moveLift, placeLift } = require('../lib/buildings');
+const { recordAudit, skipAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '64kb' });
+
+// Editable lift columns (msisdn is the upsert key and handled separately)
+const LIFT_FIELDS = {
+  site_name: { max: 255 },
+  building: { max: 255 },
+  notes: { max: 1000 },
+  building_code: { max: 32 },
+  lift_code: { max: 32 },
+  region: { max: 16 }
+};
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Check a lift exists and belongs to the caller's organisation
+ * @param {Object} req - Express request
+ * @param {string} id - Lift id
+ * @returns {Promise<void>}
+ * @throws {Error} 404 when not found or owned by another organisation
+ */
+async function assertLift(req, id) {
+  const params = [id];
+  const result = await query(`SELECT id FROM lifts WHERE id = $1${tenantCondition(req, 'org_id', params)}`, params);
+  if (result.rows.length === 0) throw notFound('Lift not found');
+}
+
+/**
+ * Put a lift in the building the request asks for: building_id moves it there; a changed site_name or
+ * building places it in the building with that name (created if needed)
+ * @param {Object} client - Transaction client
+ * @param {Object} req - Express request
+ * @param {Object} lift - Lift row after the write
+ * @param {string|undefined} buildingId - Requested building
+ * @param {Object} fields - Fields written
+ * @returns {Promise<Object>} Lift row after placing it
+ */
+async function placeRequested(client, req, lift, buildingId, fields) {
+  const actor = req.admin ? req.admin.name : null;
+  if (buildingId) return moveLift(client, lift.id, buildingId, actor);
+  if ('site_name' in fields || 'building' in fields || 'org_id' in fields) {
+    return (await placeLift(client, lift.id, actor)) || lift;
+  }
+  return lift;
+}
+
+/**
+ * List lifts, newest first
+ * Query: building_id, building, site_name, msisdn_prefix, q (free text), org_id (platform admins), limit, cursor
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listLifts(req, res, next) {
+  try {
+    const building_id = optionalString(req.query, 'building_id', { pattern: patterns.uuid });
+    const building = optionalString(req.query, 'building', { max: 255 });
+    const site_name = optionalString(req.query, 'site_name', { max: 255 });
+    const msisdn_prefix = optionalString(req.query, 'msisdn_prefix', { pattern: /^\+?[0-9]{1,15}$/ });
+    const q = optionalString(req.query, 'q', { max: 100 });
+    const pagination = getPagination(req);
+
+    // paginateQuery pages on ts/id, so expose created_at as ts
+    let baseQuery = `
+      SELECT * FROM (
+        SELECT l.*, l.created_at AS ts,
+               (SELECT count(*)::int FROM lift_contacts lc WHERE lc.lift_id = l.id) AS contacts_count
+        FROM lifts l
+      ) lifts WHERE 1=1`;
+    const params = [];
+    baseQuery += tenantCondition(req, 'org_id', params);
+
+    if (building_id) {
+      params.push(building_id);
+      baseQuery += ` AND building_id = $${params.length}`;
+    }
+    if (building) {
+      params.push(building);
+      baseQuery += ` AND lower(building) = lower($${params.length})`;
+    }
+    if (site_name) {
+      params.push(`%${escapeLike(site_name)}%`);
+      baseQuery += ` AND site_name ILIKE $${params.length}`;
+    }
+    if (msisdn_prefix) {
+      params.push(`${msisdn_prefix.replace(/\D+/g, '')}%`);
+      baseQuery += ` AND msisdn LIKE $${params.length}`;
+    }
+    if (q) {
+      params.push(`%${escapeLike(q)}%`);
+      const p = `$${params.length}`;
+      baseQuery += ` AND (msisdn ILIKE ${p} OR site_name ILIKE ${p} OR building ILIKE ${p} OR notes ILIKE ${p}
+        OR building_code ILIKE ${p} OR lift_code ILIKE ${p})`;
+    }
+
+    const result = await paginateQuery(baseQuery, params, pagination);
+
+    res.json({
+      ok: true,
+      data: result.items,
+      pagination: {
+        next_cursor: result.next_cursor,
+        has_more: !!result.next_cursor
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a lift, or update the existing one with the same msisdn
+ * Only fields present in the body are written; null or "" clears a field.
+ * New lifts belong to the caller's organisation (platform admins may pass org_id); an organisation
+ * admin cannot take over a lift that belongs elsewhere (409).
+ * building_id puts the lift in that building; otherwise site_name / building name it (see placeLift)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function upsertLift(req, res, next) {
+  try {
+    const msisdn = requireString(req.body, 'msisdn', { pattern: patterns.msisdn });
+    const fields = pickFields(req.body, LIFT_FIELDS);
+    const buildingId = optionalString(req.body, 'building_id', { pattern: patterns.uuid });
+    const orgId = owningOrg(req);
+    if (orgId) fields.org_id = orgId;
+    const columns = Object.keys(fields);
+
+    const updates = columns.length > 0
+      ? columns.map(c => `${c} = EXCLUDED.${c}`).join(', ')
+      : 'msisdn = EXCLUDED.msisdn';
+    const { created, lift } = await withTxn(async (client) => {
+      const before = await client.query('SELECT * FROM lifts WHERE msisdn = $1 FOR UPDATE', [msisdn]);
+      const result = await client.query(`
+        INSERT INTO lifts (msisdn${columns.map(c => `, ${c}`).join('')})
+        VALUES ($1${columns.map((_, i) => `, $${i + 2}`).join('')})
+        ON CONFLICT (msisdn) DO UPDATE SET ${updates}
+        ${tenantOf(req) ? 'WHERE lifts.org_id = EXCLUDED.org_id' : ''}
+        RETURNING *, (xmax = 0) AS created
+      `, [msisdn, ...Object.values(fields)]);
+      if (result.rows.length === 0) {
+        const error = new Error('A lift with this msisdn belongs to another organisation');
+        error.status = 409;
+        error.code = 'DUPLICATE_RESOURCE';
+        throw error;
+      }
+
+      const { created, ...row } = result.rows[0];
+      const lift = await placeRequested(client, req, row, buildingId, fields);
+      await recordAudit(client, req, { entity: 'lift', entityId: lift.id, action: created ? 'create' : 'update', before: before.rows[0], after: lift });
+      return { created, lift };
+    });
+
+    res.json({ ok: true, data: lift, created });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one lift
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showLift(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const params = [id];
+    const result = await query(`SELECT * FROM lifts WHERE id = $1${tenantCondition(req, 'org_id', params)}`, params);
+    if (result.rows.length === 0) throw notFound('Lift not found');
+    res.json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update some fields of a lift (msisdn included); omitted fields are kept
+ * building_id moves the lift to another building of its organisation (logged as lift_moved; incidents,
+ * messages and links stay with the lift). Platform admins can move a lift to another organisation with org_id
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchLift(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const fields = pickFields(req.body || {}, { msisdn: { required: true, pattern: patterns.msisdn }, ...LIFT_FIELDS });
+    const buildingId = optionalString(req.body || {}, 'building_id', { pattern: patterns.uuid });
+    if (req.body && req.body.org_id !== undefined) {
+      if (tenantOf(req)) throw createValidationError('Only platform admins can move a lift to another organisation', 'org_id');
+      fields.org_id = optionalString(req.body, 'org_id', { pattern: patterns.uuid });
+      // Its building stays with the old organisation; it is placed again by name below
+      fields.building_id = null;
+    }
+    const columns = Object.keys(fields);
+    if (columns.length === 0 && !buildingId) {
+      throw createValidationError(`Nothing to update; send any of msisdn, building_id, ${Object.keys(LIFT_FIELDS).join(', ')}`);
+    }
+
+    const lift = await withTxn(async (client) => {
+      const params = [id];
+      const before = await client.query(`SELECT * FROM lifts WHERE id = $1${tenantCondition(req, 'org_id', params)} FOR UPDATE`, params);
+      if (before.rows.length === 0) throw notFound('Lift not found');
+
+      const result = await client.query(`
+        UPDATE lifts SET ${columns.length > 0 ? columns.map((c, i) => `${c} = $${i + 2}`).join(', ') : 'id = id'}
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(fields)]);
+      const lift = await placeRequested(client, req, result.rows[0], buildingId, fields);
+      await recordAudit(client, req, { entity: 'lift', entityId: id, action: 'update', before: before.rows[0], after: lift });
+      return lift;
+    });
+
+    res.json({ ok: true, data: lift });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a lift with its links, policy and rotations
+ * Refused while the lift has an unresolved incident; resolved incidents are removed with it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteLift(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertLift(req, id);
+    const active = await query(`SELECT id FROM incidents WHERE lift_id = $1 AND state <> 'resolved' LIMIT 1`, [id]);
+    if (active.rows.length > 0) {
+      const error = new Error(`Lift has an unresolved incident (${active.rows[0].id}); resolve it first`);
+      error.status = 409;
+      error.code = 'ACTIVE_INCIDENT';
+      throw error;
+    }
+
+    await withTxn(async (client) => {
+      const links = await client.query('SELECT contact_id, relation FROM lift_contacts WHERE lift_id = $1', [id]);
+      const result = await client.query('DELETE FROM lifts WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) throw notFound('Lift not found');
+      await recordAudit(client, req, { entity: 'lift', entityId: id, action: 'delete', before: { ...result.rows[0], contacts: links.rows } });
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * List everyone covering a lift: its own contacts and its building's (source: lift | building)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listLiftContacts(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertLift(req, id);
+    const result = await query(`
+      SELECT c.id, c.display_name, c.primary_msisdn, c.email, c.role, lr.relation, lr.source
+      FROM contacts c
+      JOIN lift_recipients lr ON lr.contact_id = c.id
+      WHERE lr.lift_id = $1
+      ORDER BY c.display_name NULLS LAST, c.primary_msisdn
+    `, [id]);
+
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Building moves of a lift, newest first
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listLiftMoves(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await assertLift(req, id);
+    const result = await query(`
+      SELECT id, payload->'from' AS "from", payload->'to' AS "to", payload->>'actor' AS actor, ts
+      FROM events
+      WHERE lift_id = $1 AND type = 'lift_moved'
+      ORDER BY ts DESC
+    `, [id]);
+
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Link a contact to a lift (an existing link is left as is)
+ * Organisation admins can only link their own lifts and contacts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function linkContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contact_id = requireString(req.body, 'contact_id', { pattern: patterns.uuid });
+    const relation = optionalString(req.body, 'relation', { max: 32 }) || 'tenant';
+    await assertLift(req, id);
+    const params = [contact_id];
+    const contact = await query(`SELECT id FROM contacts WHERE id = $1${tenantCondition(req, 'org_id', params)}`, params);
+    if (contact.rows.length === 0) throw notFound('Contact not found');
+
+    const inserted = await query(`
+      WITH link AS (
+        INSERT INTO lift_contacts (lift_id, contact_id, relation)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (lift_id, contact_id) DO NOTHING
+        RETURNING lift_id, contact_id, relation
+      )
+      SELECT link.*, c.display_name, c.primary_msisdn FROM link JOIN contacts c ON c.id = link.contact_id
+    `, [id, contact_id, relation]);
+    if (inserted.rows.length > 0) {
+      await recordAudit({ query }, req, { entity: 'lift_contact', entityId: id, action: 'link', after: inserted.rows[0] });
+    } else {
+      skipAudit(req);
+    }
+
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Change the relation of an existing link
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchLink(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contactId = requireString(req.params, 'contactId', { pattern: patterns.uuid });
+    const relation = requireString(req.body || {}, 'relation', { max: 32 });
+    await assertLift(req, id);
+
+    const link = await withTxn(async (client) => {
+      const current = await client.query(`
+        SELECT lc.lift_id, lc.contact_id, lc.relation, c.display_name, c.primary_msisdn
+        FROM lift_contacts lc JOIN contacts c ON c.id = lc.contact_id
+        WHERE lc.lift_id = $1 AND lc.contact_id = $2
+        FOR UPDATE OF lc
+      `, [id, contactId]);
+      if (current.rows.length === 0) throw notFound('Contact is not linked to this lift');
+
+      const result = await client.query(`
+        UPDATE lift_contacts SET relation = $3
+        WHERE lift_id = $1 AND contact_id = $2
+        RETURNING lift_id, contact_id, relation
+      `, [id, contactId, relation]);
+      await recordAudit(client, req, {
+        entity: 'lift_contact',
+        entityId: id,
+        action: 'update',
+        before: current.rows[0],
+        after: { ...current.rows[0], relation: result.rows[0].relation }
+      });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: link });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Unlink a contact from a lift
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function unlinkContact(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contactId = requireString(req.params, 'contactId', { pattern: patterns.uuid });
+    await assertLift(req, id);
+    const removed = await query(`
+      WITH link AS (
+        DELETE FROM lift_contacts WHERE lift_id = $1 AND contact_id = $2
+        RETURNING lift_id, contact_id, relation
+      )
+      SELECT link.*, c.display_name, c.primary_msisdn FROM link JOIN contacts c ON c.id = link.contact_id
+    `, [id, contactId]);
+    if (removed.rows.length > 0) {
+      await recordAudit({ query }, req, { entity: 'lift_contact', entityId: id, action: 'unlink', before: removed.rows[0] });
+    } else {
+      skipAudit(req);
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listLifts);
+router.post('/', jsonParser, upsertLift);
+router.get('/:id', showLift);
+router.patch('/:id', jsonParser, patchLift);
+router.delete('/:id', deleteLift);
+router.get('/:id/moves', listLiftMoves);
+router.get('/:id/contacts', listLiftContacts);
+router.post('/:id/contacts', jsonParser, linkContact);
+router.patch('/:id/contacts/:contactId', jsonParser, patchLink);
+router.delete('/:id/contacts/:contactId', unlinkContact);
+
+module.exports = router;
@@ -0,0 +1,330 @@
+/**
+ * Admin routes for on-call rotations
+ * Manage rotations, weekly shifts and overrides, and preview who is on call at any moment
+ */
+
+const express = require('express');
+const { query, withTxn } = require('../db');
+const { requireString, optionalString, patterns, createValidationError } = require('../validate');
+const {
+  resolveOnCall,
+  resolveOnCallForBuilding,
+  resolveOnCallForRotation,
+  validateTimezone,
+  parseTime,
+  parseDays,
+  ROTATION_COLUMNS
+} = require('../lib/oncall');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '64kb' });
+
+/**
+ * Send the standard 404 body
+ * @param {Object} res - Express response
+ * @param {string} what - Missing thing
+ */
+function notFound(res, what) {
+  return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: `${what} not found` } });
+}
+
+/**
+ * Parse an optional ISO timestamp
+ * @param {any} value - Raw value
+ * @param {string} field - Field name for errors
+ * @returns {Date|null} Date or null when absent
+ */
+function parseMoment(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createValidationError(`Field ${field} must be an ISO timestamp`, field);
+  }
+  return date;
+}
+
+/**
+ * List rotations
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listRotations(req, res, next) {
+  try {
+    const result = await query(`SELECT ${ROTATION_COLUMNS} FROM oncall_rotations ORDER BY name ASC`);
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create or update a rotation by name
+ * Body: { name, lift_id | building, timezone?, cycle_weeks?, anchor_date?, enabled? }
+ * Shortening cycle_weeks is refused (409) while shifts sit in the weeks it would drop
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function upsertRotation(req, res, next) {
+  try {
+    const name = requireString(req.body, 'name', { max: 128 });
+    const lift_id = optionalString(req.body, 'lift_id', { pattern: patterns.uuid });
+    const building = optionalString(req.body, 'building', { max: 255 });
+    if (!lift_id === !building) {
+      throw createValidationError('Exactly one of lift_id or building is required');
+    }
+    const timezone = validateTimezone(optionalString(req.body, 'timezone', { max: 64 }) || 'Africa/Johannesburg');
+    const cycle_weeks = req.body.cycle_weeks === undefined ? 1 : Number(req.body.cycle_weeks);
+    if (!Number.isInteger(cycle_weeks) || cycle_weeks < 1 || cycle_weeks > 52) {
+      throw createValidationError('Field cycle_weeks must be an integer between 1 and 52', 'cycle_weeks');
+    }
+    const anchor_date = optionalString(req.body, 'anchor_date', { pattern: /^\d{4}-\d{2}-\d{2}$/ });
+    const enabled = req.body.enabled === undefined ? true : req.body.enabled === true;
+
+    const result = await withTxn(async (client) => {
+      const outside = await client.query(`
+        SELECT s.week_index
+        FROM oncall_rotations r
+        JOIN oncall_shifts s ON s.rotation_id = r.id
+        WHERE r.name = $1 AND s.week_index >= $2
+        ORDER BY s.week_index ASC
+        FOR UPDATE OF r
+      `, [name, cycle_weeks]);
+      if (outside.rows.length > 0) {
+        const weeks = [...new Set(outside.rows.map(row => row.week_index))];
+        const error = new Error(`Rotation has shifts in week_index ${weeks.join(', ')}, outside a ${cycle_weeks}-week cycle; delete or move them first`);
+        error.status = 409;
+        error.code = 'SHIFTS_OUTSIDE_CYCLE';
+        throw error;
+      }
+
+      return client.query(`
+        INSERT INTO oncall_rotations (name, lift_id, building, timezone, cycle_weeks, anchor_date, enabled)
+        VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, current_date), $7)
+        ON CONFLICT (name) DO UPDATE SET
+          lift_id = EXCLUDED.lift_id,
+          building = EXCLUDED.building,
+          timezone = EXCLUDED.timezone,
+          cycle_weeks = EXCLUDED.cycle_weeks,
+          anchor_date = COALESCE($6::date, oncall_rotations.anchor_date),
+          enabled = EXCLUDED.enabled,
+          updated_at = now()
+        RETURNING ${ROTATION_COLUMNS}
+      `, [name, lift_id, building, timezone, cycle_weeks, anchor_date, enabled]);
+    });
+
+    res.json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get a rotation with its shifts and overrides
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function getRotation(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const rotation = await query(`SELECT ${ROTATION_COLUMNS} FROM oncall_rotations WHERE id = $1`, [id]);
+    if (rotation.rows.length === 0) return notFound(res, 'Rotation');
+
+    const [shifts, overrides] = await Promise.all([
+      query(`
+        SELECT s.*, c.display_name, c.primary_msisdn
+        FROM oncall_shifts s
+        JOIN contacts c ON c.id = s.contact_id
+        WHERE s.rotation_id = $1
+        ORDER BY s.week_index ASC, s.start_time ASC
+      `, [id]),
+      query(`
+        SELECT * FROM oncall_overrides
+        WHERE rotation_id = $1 AND ends_at > now()
+        ORDER BY starts_at ASC
+      `, [id])
+    ]);
+
+    res.json({ ok: true, data: { ...rotation.rows[0], shifts: shifts.rows, overrides: overrides.rows } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a rotation (with its shifts and overrides)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteRotation(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const result = await query('DELETE FROM oncall_rotations WHERE id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) return notFound(res, 'Rotation');
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add a weekly shift
+ * Body: { contact_id, days: [1,2,3] | ["mon","tue"], start_time: "HH:MM", end_time: "HH:MM", week_index? }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function addShift(req, res, next) {
+  try {
+    const rotationId = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contact_id = requireString(req.body, 'contact_id', { pattern: patterns.uuid });
+    const days = parseDays(req.body.days);
+    const start_time = requireString(req.body, 'start_time', { max: 8 });
+    const end_time = requireString(req.body, 'end_time', { max: 8 });
+    if (parseTime(start_time) === null) throw createValidationError('Field start_time must be HH:MM', 'start_time');
+    if (parseTime(end_time) === null) throw createValidationError('Field end_time must be HH:MM', 'end_time');
+
+    const rotation = await query('SELECT cycle_weeks FROM oncall_rotations WHERE id = $1', [rotationId]);
+    if (rotation.rows.length === 0) return notFound(res, 'Rotation');
+
+    const week_index = req.body.week_index === undefined ? 0 : Number(req.body.week_index);
+    if (!Number.isInteger(week_index) || week_index < 0 || week_index >= rotation.rows[0].cycle_weeks) {
+      throw createValidationError(`Field week_index must be between 0 and ${rotation.rows[0].cycle_weeks - 1}`, 'week_index');
+    }
+
+    const result = await query(`
+      INSERT INTO oncall_shifts (rotation_id, contact_id, days, start_time, end_time, week_index)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [rotationId, contact_id, days, start_time, end_time, week_index]);
+
+    res.status(201).json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove a shift
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteShift(req, res, next) {
+  try {
+    const rotationId = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const shiftId = requireString(req.params, 'shiftId', { pattern: patterns.uuid });
+    const result = await query('DELETE FROM oncall_shifts WHERE id = $1 AND rotation_id = $2 RETURNING id', [shiftId, rotationId]);
+    if (result.rows.length === 0) return notFound(res, 'Shift');
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Add an override (holiday, sick leave, swap)
+ * Body: { contact_id?, replaces_contact_id?, starts_at, ends_at, reason? }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function addOverride(req, res, next) {
+  try {
+    const rotationId = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const contact_id = optionalString(req.body, 'contact_id', { pattern: patterns.uuid });
+    const replaces_contact_id = optionalString(req.body, 'replaces_contact_id', { pattern: patterns.uuid });
+    if (!contact_id && !replaces_contact_id) {
+      throw createValidationError('At least one of contact_id or replaces_contact_id is required');
+    }
+    const starts_at = parseMoment(req.body.starts_at, 'starts_at');
+    const ends_at = parseMoment(req.body.ends_at, 'ends_at');
+    if (!starts_at || !ends_at || ends_at <= starts_at) {
+      throw createValidationError('Fields starts_at and ends_at are required and ends_at must be after starts_at', 'ends_at');
+    }
+    const reason = optionalString(req.body, 'reason', { max: 255 });
+
+    const rotation = await query('SELECT 1 FROM oncall_rotations WHERE id = $1', [rotationId]);
+    if (rotation.rows.length === 0) return notFound(res, 'Rotation');
+
+    const result = await query(`
+      INSERT INTO oncall_overrides (rotation_id, contact_id, replaces_contact_id, starts_at, ends_at, reason)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [rotationId, contact_id, replaces_contact_id, starts_at, ends_at, reason]);
+
+    res.status(201).json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Remove an override
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteOverride(req, res, next) {
+  try {
+    const rotationId = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const overrideId = requireString(req.params, 'overrideId', { pattern: patterns.uuid });
+    const result = await query('DELETE FROM oncall_overrides WHERE id = $1 AND rotation_id = $2 RETURNING id', [overrideId, rotationId]);
+    if (result.rows.length === 0) return notFound(res, 'Override');
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Preview who is on call
+ * Query: one of lift_id, building, rotation_id; at (ISO, defaults to now)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function preview(req, res, next) {
+  try {
+    const lift_id = optionalString(req.query, 'lift_id', { pattern: patterns.uuid });
+    const building = optionalString(req.query, 'building', { max: 255 });
+    const rotation_id = optionalString(req.query, 'rotation_id', { pattern: patterns.uuid });
+    const at = parseMoment(req.query.at, 'at') || new Date();
+
+    if ([lift_id, building, rotation_id].filter(Boolean).length !== 1) {
+      throw createValidationError('Exactly one of lift_id, building or rotation_id is required');
+    }
+
+    let contacts;
+    if (lift_id) {
+      contacts = await resolveOnCall(lift_id, at);
+    } else if (building) {
+      contacts = await resolveOnCallForBuilding(building, at);
+    } else {
+      contacts = await resolveOnCallForRotation(rotation_id, at);
+      if (contacts === null) return notFound(res, 'Rotation');
+    }
+
+    res.json({ ok: true, data: { at: at.toISOString(), contacts } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/preview', preview);
+router.get('/rotations', listRotations);
+router.post('/rotations', jsonParser, upsertRotation);
+router.get('/rotations/:id', getRotation);
+router.delete('/rotations/:id', deleteRotation);
+router.post('/rotations/:id/shifts', jsonParser, addShift);
+router.delete('/rotations/:id/shifts/:shiftId', deleteShift);
+router.post('/rotations/:id/overrides', jsonParser, addOverride);
+router.delete('/rotations/:id/overrides/:overrideId', deleteOverride);
+
+module.exports = router;
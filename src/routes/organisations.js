@@ -0,0 +1,190 @@
+/**
+ * Admin routes for organisations (tenants)
+ * Platform admins create and delete organisations; organisation admins can read and update their own
+ * Bridge credentials, default template and branding. The Bridge API key is write-only
+ */
+
+const express = require('express');
+const { query } = require('../db');
+const { requireString, pickFields, patterns, createValidationError } = require('../validate');
+const { tenantOf, publicOrganisation, invalidateTenantSettings, ORG_FIELDS } = require('../lib/organisations');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '16kb' });
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Refuse organisation admins (403)
+ * @param {Object} req - Express request
+ */
+function requirePlatform(req) {
+  if (tenantOf(req)) {
+    const error = new Error('Only platform admins can create or delete organisations');
+    error.status = 403;
+    error.code = 'FORBIDDEN';
+    throw error;
+  }
+}
+
+/**
+ * Organisation id from the path, limited to the caller's own organisation for organisation admins
+ * @param {Object} req - Express request
+ * @returns {string} Organisation id
+ */
+function organisationId(req) {
+  const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+  const tenant = tenantOf(req);
+  if (tenant && tenant !== id) throw notFound('Organisation not found');
+  return id;
+}
+
+/**
+ * List organisations (organisation admins see only their own)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listOrganisations(req, res, next) {
+  try {
+    const tenant = tenantOf(req);
+    const result = await query(`
+      SELECT o.*,
+             (SELECT count(*)::int FROM lifts l WHERE l.org_id = o.id) AS lifts_count,
+             (SELECT count(*)::int FROM contacts c WHERE c.org_id = o.id) AS contacts_count
+      FROM organisations o
+      WHERE ($1::uuid IS NULL OR o.id = $1)
+      ORDER BY o.name
+    `, [tenant]);
+    res.json({ ok: true, data: result.rows.map(publicOrganisation) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create an organisation
+ * Body: slug, name, and optionally bridge_base_url, bridge_api_key, template_name, template_language,
+ * brand_name, alert_footer (unset settings fall back to the BRIDGE_* environment)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function createOrganisation(req, res, next) {
+  try {
+    requirePlatform(req);
+    const slug = requireString(req.body, 'slug', { pattern: SLUG_PATTERN });
+    const fields = { ...pickFields(req.body, ORG_FIELDS), name: requireString(req.body, 'name', { max: 255 }) };
+    const columns = Object.keys(fields);
+
+    const result = await query(`
+      INSERT INTO organisations (slug, ${columns.join(', ')})
+      VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+      RETURNING *
+    `, [slug, ...Object.values(fields)]);
+
+    res.status(201).json({ ok: true, data: publicOrganisation(result.rows[0]) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one organisation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showOrganisation(req, res, next) {
+  try {
+    const id = organisationId(req);
+    const result = await query('SELECT * FROM organisations WHERE id = $1', [id]);
+    if (result.rows.length === 0) throw notFound('Organisation not found');
+    res.json({ ok: true, data: publicOrganisation(result.rows[0]) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update some settings of an organisation; omitted fields are kept, null or "" falls back to the environment
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchOrganisation(req, res, next) {
+  try {
+    const id = organisationId(req);
+    const fields = pickFields(req.body || {}, { ...ORG_FIELDS, name: { required: true, max: 255 } });
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      throw createValidationError(`Nothing to update; send any of ${Object.keys(ORG_FIELDS).join(', ')}`);
+    }
+
+    const result = await query(`
+      UPDATE organisations SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now()
+      WHERE id = $1
+      RETURNING *
+    `, [id, ...Object.values(fields)]);
+    if (result.rows.length === 0) throw notFound('Organisation not found');
+
+    invalidateTenantSettings(id);
+    res.json({ ok: true, data: publicOrganisation(result.rows[0]) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete an organisation with its admin tokens and API keys
+ * Refused while it still owns lifts or contacts
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteOrganisation(req, res, next) {
+  try {
+    requirePlatform(req);
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+
+    let result;
+    try {
+      result = await query('DELETE FROM organisations WHERE id = $1 RETURNING id', [id]);
+    } catch (error) {
+      if (error.code !== '23503') throw error;
+      const inUse = new Error('Organisation still owns lifts or contacts; move or delete them first');
+      inUse.status = 409;
+      inUse.code = 'ORGANISATION_IN_USE';
+      throw inUse;
+    }
+    if (result.rows.length === 0) throw notFound('Organisation not found');
+
+    invalidateTenantSettings(id);
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listOrganisations);
+router.post('/', jsonParser, createOrganisation);
+router.get('/:id', showOrganisation);
+router.patch('/:id', jsonParser, patchOrganisation);
+router.delete('/:id', deleteOrganisation);
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * Admin routes for portal payload shapes
+ * Lets operators declare new SMS portal JSON layouts without a code change
+ */
+
+const express = require('express');
+const { query } = require('../db');
+const { requireString, optionalString, patterns, createValidationError } = require('../validate');
+const { applyShape, getShapes, invalidateShapes, validateMappings, toInboundSms } = require('../lib/portalShapes');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '128kb' });
+
+/**
+ * List all shapes (enabled and disabled) in detection order
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listShapes(req, res, next) {
+  try {
+    const result = await query('SELECT * FROM portal_shapes ORDER BY priority ASC, name ASC');
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create or update a shape by name
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function upsertShape(req, res, next) {
+  try {
+    const name = requireString(req.body, 'name', { max: 64 });
+    const priority = req.body.priority === undefined ? 100 : Number(req.body.priority);
+    if (!Number.isInteger(priority)) {
+      throw createValidationError('Field priority must be an integer');
+    }
+    const enabled = req.body.enabled === undefined ? true : req.body.enabled === true;
+    const mappings = validateMappings(req.body.mappings);
+    const notes = optionalString(req.body, 'notes', { max: 1000 });
+
+    const result = await query(`
+      INSERT INTO portal_shapes (name, priority, enabled, mappings, notes)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (name) DO UPDATE SET
+        priority = EXCLUDED.priority,
+        enabled = EXCLUDED.enabled,
+        mappings = EXCLUDED.mappings,
+        notes = EXCLUDED.notes,
+        updated_at = now()
+      RETURNING *
+    `, [name, priority, enabled, JSON.stringify(mappings), notes]);
+
+    invalidateShapes();
+    res.json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one shape
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function getShape(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const result = await query('SELECT * FROM portal_shapes WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Portal shape not found' } });
+    }
+    res.json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a shape
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteShape(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const result = await query('DELETE FROM portal_shapes WHERE id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Portal shape not found' } });
+    }
+    invalidateShapes();
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Show how a sample payload would be normalized
+ * Body: { payload, mappings? } - with mappings, only that draft shape is evaluated
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function testShapes(req, res, next) {
+  try {
+    const { payload } = req.body || {};
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw createValidationError('Field payload must be a JSON object');
+    }
+
+    const shapes = req.body.mappings
+      ? [{ name: 'DRAFT', priority: 0, enabled: true, mappings: validateMappings(req.body.mappings) }]
+      : await getShapes();
+
+    // Evaluate every shape so operators can see why earlier ones did not match
+    const tried = shapes.map(shape => ({
+      shape: shape.name,
+      priority: shape.priority,
+      result: applyShape(shape, payload)
+    }));
+    const winner = tried.find(t => t.result);
+
+    res.json({
+      ok: true,
+      data: {
+        matched: winner ? winner.shape : null,
+        normalized: winner ? toInboundSms(winner.result, payload) : null,
+        tried: tried.map(t => ({ shape: t.shape, priority: t.priority, matched: !!t.result, fields: t.result }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listShapes);
+router.post('/', jsonParser, upsertShape);
+router.post('/test', jsonParser, testShapes);
+router.get('/:id', getShape);
+router.delete('/:id', deleteShape);
+
+module.exports = router;
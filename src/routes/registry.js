@@ -0,0 +1,128 @@
+/**
+ * Admin routes for the lift registry
+ * Bulk import/export of lifts and their contacts in the registry CSV layout, and reload of the
+ * data/registry.csv directory backend
+ */
+
+const express = require('express');
+const { createValidationError } = require('../validate');
+const { parseRegistry, exportRegistry } = require('../lib/registry');
+const { importEntries } = require('../lib/directoryImport');
+const { getDirectory } = require('../lib/directory');
+
+const router = express.Router();
+
+const REGISTRY_MAX_BYTES = process.env.REGISTRY_MAX_BYTES || '2mb';
+
+// CSV uploads arrive raw (text/csv, or the content types spreadsheets send) or wrapped in JSON as { csv }
+const csvParser = express.text({
+  type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel'],
+  limit: REGISTRY_MAX_BYTES
+});
+const jsonParser = express.json({ limit: REGISTRY_MAX_BYTES });
+
+/**
+ * Options from the query string, overridden by a JSON body
+ * @param {Object} req - Express request
+ * @returns {Object} Merged options
+ */
+function importOptions(req) {
+  return { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) };
+}
+
+/**
+ * Read a boolean flag (query strings carry "true"/"false")
+ * @param {Object} options - Options
+ * @param {string} name - Flag name
+ * @param {boolean} fallback - Value when absent
+ * @returns {boolean} Flag
+ */
+function readFlag(options, name, fallback) {
+  const raw = options[name];
+  if (raw === undefined) return fallback;
+  if (raw === true || raw === 'true' || raw === '1') return true;
+  if (raw === false || raw === 'false' || raw === '0') return false;
+  throw createValidationError(`Field ${name} must be a boolean`, name);
+}
+
+/**
+ * Validate a registry CSV and preview or apply it
+ * Query/body: dry_run (default true); body: raw CSV or { csv }. The admin token's name is recorded as the actor
+ * Rows with errors are reported per line; nothing is written unless every row is valid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function importHandler(req, res, next) {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw createValidationError('Send the registry as a text/csv body or as JSON { "csv": "..." }', 'csv');
+    }
+    const options = importOptions(req);
+    const dryRun = readFlag(options, 'dry_run', true);
+    const actor = req.admin.name;
+
+    const parsed = parseRegistry(text);
+    if (parsed.errors.length > 0 && !dryRun) {
+      return res.status(400).json({
+        ok: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `${parsed.errors.length} error(s) in registry; nothing was imported`,
+          rows: parsed.errors
+        }
+      });
+    }
+
+    const result = await importEntries(parsed.entries, { source: 'registry', dryRun, actor });
+    console.log(JSON.stringify({ event: 'registry_import', actor, dry_run: dryRun, rows: parsed.rows, errors: parsed.errors.length, summary: result.summary }));
+    res.json({
+      ok: true,
+      data: {
+        ...result,
+        rows: parsed.rows,
+        valid_rows: parsed.entries.length,
+        errors: parsed.errors
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download lifts and contacts as a registry CSV
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function exportHandler(req, res, next) {
+  try {
+    const { csv, lifts } = await exportRegistry();
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="registry-${date}.csv"`);
+    res.set('X-Registry-Lifts', String(lifts));
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Re-read data/registry.csv for the csv directory backend
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function reloadHandler(req, res) {
+  const size = getDirectory('csv').reload();
+  res.json({ status: 'ok', size });
+}
+
+// Routes
+router.post('/import', csvParser, jsonParser, importHandler);
+router.get('/export', exportHandler);
+router.post('/reload', reloadHandler);
+
+module.exports = router;
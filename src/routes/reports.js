@@ -0,0 +1,153 @@
+/**
+ * Admin routes for lift reports
+ * Download an incident report or a lift's monthly alarm history as PDF, or generate one and send it
+ * over WhatsApp (by default to the lift's building managers)
+ */
+
+const express = require('express');
+const { query, withTxn } = require('../db');
+const { requireString, optionalString, requireEnum, patterns, createValidationError } = require('../validate');
+const { tenantOf } = require('../lib/organisations');
+const { recordAudit } = require('../lib/audit');
+const { REPORT_TYPES, MONTH_PATTERN, incidentReport, monthlyReport, reportRecipients } = require('../lib/reports');
+const { storeDocument, queueDocument } = require('../lib/documents');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '64kb' });
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * Answer with a report as a PDF download
+ * @param {Object} res - Express response
+ * @param {Object} report - Report from lib/reports
+ */
+function sendPdf(res, report) {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${report.filename}"`);
+  res.send(report.content);
+}
+
+/**
+ * Build the report a body or query asks for
+ * @param {Object} req - Express request
+ * @param {Object} params - type (incident|monthly), incident_id or lift_id, month (YYYY-MM, monthly)
+ * @returns {Promise<Object>} Report (throws 404 when the incident or lift is not the caller's)
+ */
+async function buildReport(req, params) {
+  const type = requireEnum(params, 'type', REPORT_TYPES);
+  if (type === 'incident') {
+    const incidentId = requireString(params, 'incident_id', { pattern: patterns.uuid });
+    const report = await incidentReport({ query }, incidentId, tenantOf(req));
+    if (!report) throw notFound('Incident not found');
+    return report;
+  }
+  const liftId = requireString(params, 'lift_id', { pattern: patterns.uuid });
+  const month = requireString(params, 'month', { pattern: MONTH_PATTERN });
+  const report = await monthlyReport({ query }, liftId, month, tenantOf(req));
+  if (!report) throw notFound('Lift not found');
+  return report;
+}
+
+/**
+ * Download an incident report
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function downloadIncidentReport(req, res, next) {
+  try {
+    sendPdf(res, await buildReport(req, { type: 'incident', incident_id: req.params.id }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Download a lift's alarm history for a month
+ * Query: month (YYYY-MM, in the lift's time zone)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function downloadMonthlyReport(req, res, next) {
+  try {
+    sendPdf(res, await buildReport(req, { type: 'monthly', lift_id: req.params.id, month: req.query.month }));
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Generate a report and queue it over WhatsApp
+ * Body: type, incident_id (incident) or lift_id and month (monthly), and optionally to (numbers) or
+ * relations (lift contact relations; default REPORT_RELATIONS), caption
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function sendReport(req, res, next) {
+  try {
+    const body = req.body || {};
+    if (body.to !== undefined && body.relations !== undefined) {
+      throw createValidationError('Send either to or relations, not both', 'to');
+    }
+    for (const key of ['to', 'relations']) {
+      if (body[key] !== undefined && (!Array.isArray(body[key]) || body[key].length === 0 || body[key].some(v => typeof v !== 'string' || v.trim() === ''))) {
+        throw createValidationError(`Field ${key} must be a non-empty array of strings`, key);
+      }
+    }
+    const caption = optionalString(body, 'caption', { max: 1024 });
+
+    const report = await buildReport(req, body);
+    const recipients = body.to
+      ? [...new Set(body.to.map(m => m.replace(/\D+/g, '')).filter(Boolean))].map(msisdn => ({ contact_id: null, msisdn }))
+      : await reportRecipients({ query }, report.lift.id, body.relations);
+    if (recipients.length === 0) {
+      throw createValidationError('Nobody to send the report to: the lift has no contacts with those relations; pass to', 'to');
+    }
+
+    const data = await withTxn(async (client) => {
+      const document = await storeDocument(client, {
+        filename: report.filename,
+        caption: caption || report.title,
+        content: report.content,
+        kind: 'report',
+        orgId: report.lift.org_id,
+        liftId: report.lift.id,
+        meta: report.meta
+      });
+      const messageIds = await queueDocument(client, document, recipients, {
+        orgId: report.lift.org_id,
+        incidentId: report.meta.incident_id || null,
+        meta: { report: report.meta.type }
+      });
+      const sent = { document, recipients, message_ids: messageIds };
+      await recordAudit(client, req, { entity: 'report', entityId: document.id, action: 'send', after: sent });
+      return sent;
+    });
+
+    res.status(202).json({ ok: true, data });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/incidents/:id', downloadIncidentReport);
+router.get('/lifts/:id/monthly', downloadMonthlyReport);
+router.post('/send', jsonParser, sendReport);
+
+module.exports = router;
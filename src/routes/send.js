@@ -3,17 +3,299 @@
  * Handles sending messages with retry logic, circuit breaker, and DLQ
  */
 
+const crypto = require('crypto');
 const express = require('express');
-const { query } = require('../db');
+const { query, withTxn } = require('../db');
 const { sendMessage, sendTemplate } = require('../lib/waBridge');
 const { isRequestAllowed, recordAttempt } = require('../lib/breaker');
-const { updateMessageStatus, recordWaAttempt } = require('../lib/retryQueue');
+const { updateMessageStatus, markSent, recordWaAttempt } = require('../lib/retryQueue');
+const { patterns } = require('../validate');
+const { checkOutbound, applyDecision } = require('../lib/consent');
+const { hasSendScope, reserveQuota, getUsage } = require('../lib/apiKeys');
+const { getTenantSettings, tenantOf } = require('../lib/organisations');
+const { resolveTemplateSend, templatePayload } = require('../lib/templates');
+const { buildInteractive, interactivePayload } = require('../lib/interactive');
+const { DOCUMENT_MAX_BYTES, decodeDocument, storeDocument, documentPayload } = require('../lib/documents');
 
 const router = express.Router();
 
 // JSON parser for all routes
 const jsonParser = express.json({ limit: '128kb' });
 
+// /send/document carries the PDF as base64 (4 bytes per 3), plus room for the other fields
+const documentParser = express.json({ limit: Math.ceil(DOCUMENT_MAX_BYTES / 3) * 4 + 64 * 1024 });
+
+/**
+ * Run the consent / quiet-hours gate for a stored message and answer the request if it may not go out now
+ * @param {Object} res - Express response
+ * @param {string} messageId - Stored message id
+ * @param {string} to - Recipient
+ * @param {string} priority - alarm | normal
+ * @returns {Promise<boolean>} True when the response has been sent (message held back or blocked)
+ */
+async function holdIfNotAllowed(res, messageId, to, priority) {
+  const decision = await checkOutbound({ to, channel: 'wa', priority });
+  if (decision.allowed) return false;
+
+  const outcome = await applyDecision({ query }, messageId, decision);
+  console.log(JSON.stringify({ event: 'send_held', message_id: messageId, to, priority, ...outcome }));
+
+  if (outcome.status === 'blocked') {
+    res.status(403).json({
+      error: 'blocked',
+      message: `Recipient cannot receive wa messages (${outcome.reason})`,
+      message_id: messageId,
+      status: 'blocked',
+      reason: outcome.reason
+    });
+  } else {
+    res.status(202).json({
+      ok: true,
+      message_id: messageId,
+      status: 'queued',
+      reason: outcome.reason,
+      next_attempt_at: outcome.next_attempt_at
+    });
+  }
+  return true;
+}
+
+/**
+ * Answer 403 when the calling API key lacks a send scope (no key: SEND_AUTH=none)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} scope - Required scope
+ * @returns {boolean} True when the response has been sent
+ */
+function denyScope(req, res, scope) {
+  if (!req.apiClient || hasSendScope(req.apiClient, scope)) return false;
+  res.status(403).json({
+    error: 'forbidden',
+    message: `API key "${req.apiClient.name}" lacks scope ${scope}`
+  });
+  return true;
+}
+
+/**
+ * Store an outbound message, attributed to and counted against the calling API key and its organisation
+ * @param {Object} req - Express request
+ * @param {Function} build - Async function of the transaction client returning the message columns by name,
+ * without api_key_id and org_id; it may first store rows the message refers to (e.g. its document)
+ * @returns {Promise<string>} Message id
+ */
+async function storeOutbound(req, build) {
+  return withTxn(async (client) => {
+    if (req.apiClient) await reserveQuota(client, req.apiClient);
+    const row = {
+      ...(await build(client)),
+      api_key_id: req.apiClient ? req.apiClient.id : null,
+      org_id: tenantOf(req)
+    };
+    const columns = Object.keys(row);
+    const result = await client.query(`
+      INSERT INTO messages (
+        channel, provider, direction, status, attempt_count, next_attempt_at, ${columns.join(', ')}
+      ) VALUES (
+        'wa', 'internal', 'out', 'queued', 0, now(), ${columns.map((_, i) => `$${i + 1}`).join(', ')}
+      )
+      RETURNING id
+    `, Object.values(row));
+    return result.rows[0].id;
+  });
+}
+
+/**
+ * Answer a quota error from storeOutbound
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @returns {boolean} True when the response has been sent
+ */
+function sendQuotaError(res, error) {
+  if (error.code !== 'quota_exceeded') return false;
+  res.status(429).json({
+    error: 'quota_exceeded',
+    message: error.message,
+    period: error.period,
+    limit: error.limit
+  });
+  return true;
+}
+
+/**
+ * Answer a validation error thrown while preparing a send (e.g. template variables)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error
+ * @returns {boolean} True when the response has been sent
+ */
+function sendValidationError(res, error) {
+  if (error.code !== 'VALIDATION_ERROR') return false;
+  res.status(400).json({
+    error: 'validation_error',
+    field: error.field,
+    message: error.message
+  });
+  return true;
+}
+
+/**
+ * Resolve and validate the send priority (alarms bypass quiet hours)
+ * @param {Object} body - Request body
+ * @returns {string|null} alarm | normal, or null when invalid
+ */
+function resolvePriority(body) {
+  if (body.priority === undefined) return body.incident_id ? 'alarm' : 'normal';
+  return ['alarm', 'normal'].includes(body.priority) ? body.priority : null;
+}
+
+/**
+ * Validate priority and scope, store, gate and attempt one outbound message, scheduling a retry or
+ * dead-lettering it on failure. Shared by every /send route once it has built its payload; answers
+ * the request itself and leaves thrown errors (quota, validation) to the route
+ * @param {Object} req - Express request (body: to, and optionally incident_id, priority)
+ * @param {Object} res - Express response
+ * @param {Object} send - Message to send
+ * @param {string} send.type - Message type, naming its send:<type> scope
+ * @param {string} [send.messageId] - Pre-generated message id, when the payload refers to it
+ * @param {Object|Function} send.columns - Message columns for this type (body, template_name, ...) and
+ * optional meta fields; or an async function of the transaction client returning them
+ * @param {Function} send.deliver - Async function of the organisation's Bridge settings sending the payload
+ * @param {Object} send.dlq - Message summary for the DLQ event
+ * @returns {Promise<void>}
+ */
+async function sendOutbound(req, res, { type, messageId, columns, deliver, dlq }) {
+  const { to, incident_id } = req.body;
+
+  if (incident_id && !patterns.uuid.test(incident_id)) {
+    return res.status(400).json({
+      error: 'validation_error',
+      message: 'Invalid incident_id'
+    });
+  }
+
+  const priority = resolvePriority(req.body);
+  if (!priority) {
+    return res.status(400).json({
+      error: 'validation_error',
+      field: 'priority',
+      message: 'Field priority must be one of: alarm, normal'
+    });
+  }
+
+  if (denyScope(req, res, `send:${type}`) || (priority === 'alarm' && denyScope(req, res, 'send:alarm'))) return;
+
+  // An organisation's key may only attach its own lifts' incidents
+  if (incident_id) {
+    const incident = await query(`
+      SELECT 1 FROM incidents i
+      JOIN lifts l ON l.id = i.lift_id
+      WHERE i.id = $1 AND ($2::uuid IS NULL OR l.org_id = $2)
+    `, [incident_id, tenantOf(req)]);
+    if (incident.rows.length === 0) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Incident not found'
+      });
+    }
+  }
+  
+  // Check circuit breaker
+  const allowed = await isRequestAllowed();
+  if (!allowed) {
+    return res.status(503).json({
+      error: 'service_unavailable',
+      message: 'Circuit breaker is open'
+    });
+  }
+  
+  // Create message record
+  const storedId = await storeOutbound(req, async (client) => {
+    const { meta, ...fields } = typeof columns === 'function' ? await columns(client) : columns;
+    return {
+      ...(messageId ? { id: messageId } : {}),
+      provider_id: `${type}-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`,
+      to_msisdn: to,
+      ...fields,
+      incident_id: incident_id || null,
+      meta: JSON.stringify({ priority, ...meta })
+    };
+  });
+  
+  // Consent and quiet hours
+  if (await holdIfNotAllowed(res, storedId, to, priority)) return;
+  
+  // Attempt to send immediately, with the organisation's Bridge credentials
+  const { bridge } = await getTenantSettings(tenantOf(req));
+  const startTime = Date.now();
+  const response = await deliver(bridge);
+  
+  const latencyMs = Date.now() - startTime;
+  
+  // Record attempt
+  await recordWaAttempt(storedId, 1, {
+    httpCode: response.httpCode,
+    status: response.success ? 'success' : 'retry',
+    latencyMs,
+    errorKind: response.success ? null : getErrorKind(response.httpCode, response.error),
+    responseExcerpt: response.responseExcerpt
+  });
+  
+  // Record breaker attempt
+  await recordAttempt(response.success, response.httpCode);
+  
+  if (response.success) {
+    // Update message status to sent, keeping the wa_id status callbacks refer to
+    await markSent(storedId, response.data?.wa_id, 1);
+    
+    return res.status(200).json({
+      ok: true,
+      message_id: storedId,
+      status: 'sent',
+      attempt_count: 1,
+      latency_ms: latencyMs
+    });
+  }
+
+  // Check if we should retry
+  const maxAttempts = parseInt(process.env.RETRY_MAX_ATTEMPTS || '4');
+  if (1 >= maxAttempts) {
+    // Mark as permanently failed
+    await updateMessageStatus(storedId, 'permanently_failed', {
+      attempt_count: 1,
+      last_error: response.error,
+      last_error_at: new Date()
+    });
+    
+    // Emit DLQ event if enabled
+    if (process.env.DLQ_ENABLED === 'true') {
+      await emitDLQEvent(storedId, dlq, response);
+    }
+    
+    return res.status(502).json({
+      error: 'send_failed',
+      message: 'Message failed to send and exceeded retry limit',
+      message_id: storedId,
+      status: 'permanently_failed'
+    });
+  }
+
+  // Schedule for retry
+  const nextAttempt = calculateNextAttempt(1);
+  await updateMessageStatus(storedId, 'queued', {
+    attempt_count: 1,
+    last_error: response.error,
+    last_error_at: new Date(),
+    next_attempt_at: nextAttempt
+  });
+  
+  return res.status(202).json({
+    ok: true,
+    message_id: storedId,
+    status: 'queued',
+    attempt_count: 1,
+    next_attempt_at: nextAttempt
+  });
+}
+
 /**
  * Send text message
  * @param {Object} req - Express request
@@ -29,128 +311,16 @@ async function sendTextMessage(req, res) {
         message: 'Missing required fields: to, text'
       });
     }
-    
-    // Check circuit breaker
-    const allowed = await isRequestAllowed();
-    if (!allowed) {
-      return res.status(503).json({
-        error: 'service_unavailable',
-        message: 'Circuit breaker is open'
-      });
-    }
-    
-    // Create message record
-    const messageResult = await query(`
-      INSERT INTO messages (
-        channel, 
-        provider, 
-        provider_id, 
-        direction, 
-        from_msisdn, 
-        to_msisdn, 
-        body, 
-        status,
-        attempt_count,
-        next_attempt_at
-      ) VALUES (
-        'wa', 
-        'internal', 
-        $1, 
-        'out', 
-        NULL, 
-        $2, 
-        $3, 
-        'queued',
-        0,
-        now()
-      ) 
-      RETURNING id
-    `, [
-      `text-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      to,
-      text
-    ]);
-    
-    const messageId = messageResult.rows[0].id;
-    
-    // Attempt to send immediately
-    const startTime = Date.now();
-    const response = await sendMessage({
-      to,
+
+    return await sendOutbound(req, res, {
       type: 'text',
-      text: { body: text }
-    });
-    
-    const latencyMs = Date.now() - startTime;
-    
-    // Record attempt
-    await recordWaAttempt(messageId, 1, {
-      httpCode: response.httpCode,
-      status: response.success ? 'success' : 'retry',
-      latencyMs,
-      errorKind: response.success ? null : getErrorKind(response.httpCode, response.error),
-      responseExcerpt: response.responseExcerpt
+      columns: { body: text },
+      deliver: (bridge) => sendMessage({ to, type: 'text', text: { body: text } }, bridge),
+      dlq: { to, text }
     });
     
-    // Record breaker attempt
-    await recordAttempt(response.success, response.httpCode);
-    
-    if (response.success) {
-      // Update message status to sent
-      await updateMessageStatus(messageId, 'sent', {
-        attempt_count: 1
-      });
-      
-      return res.status(200).json({
-        ok: true,
-        message_id: messageId,
-        status: 'sent',
-        attempt_count: 1,
-        latency_ms: latencyMs
-      });
-    } else {
-      // Check if we should retry
-      const maxAttempts = parseInt(process.env.RETRY_MAX_ATTEMPTS || '4');
-      if (1 >= maxAttempts) {
-        // Mark as permanently failed
-        await updateMessageStatus(messageId, 'permanently_failed', {
-          attempt_count: 1,
-          last_error: response.error,
-          last_error_at: new Date()
-        });
-        
-        // Emit DLQ event if enabled
-        if (process.env.DLQ_ENABLED === 'true') {
-          await emitDLQEvent(messageId, { to, text }, response);
-        }
-        
-        return res.status(502).json({
-          error: 'send_failed',
-          message: 'Message failed to send and exceeded retry limit',
-          message_id: messageId,
-          status: 'permanently_failed'
-        });
-      } else {
-        // Schedule for retry
-        const nextAttempt = calculateNextAttempt(1);
-        await updateMessageStatus(messageId, 'queued', {
-          attempt_count: 1,
-          last_error: response.error,
-          last_error_at: new Date(),
-          next_attempt_at: nextAttempt
-        });
-        
-        return res.status(202).json({
-          ok: true,
-          message_id: messageId,
-          status: 'queued',
-          attempt_count: 1,
-          next_attempt_at: nextAttempt
-        });
-      }
-    }
-    
   } catch (error) {
+    if (sendQuotaError(res, error)) return;
     console.error('[send/text] Error:', error);
     return res.status(500).json({
       error: 'internal_error',
@@ -161,163 +331,143 @@ async function sendTextMessage(req, res) {
 
 /**
  * Send template message
+ * Name a registered template with template_key (or template_name) and fill it from variables, or pass
+ * template_components; registered templates are checked before anything is stored or sent.
+ * template_name and template_language default to the organisation's template
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
 async function sendTemplateMessage(req, res) {
   try {
-    const { to, template_name, template_language, template_components } = req.body;
+    const { to } = req.body;
     
-    if (!to || !template_name) {
+    if (!to) {
       return res.status(400).json({
         error: 'validation_error',
-        message: 'Missing required fields: to, template_name'
+        message: 'Missing required fields: to'
       });
     }
-    
-    // Check circuit breaker
-    const allowed = await isRequestAllowed();
-    if (!allowed) {
-      return res.status(503).json({
-        error: 'service_unavailable',
-        message: 'Circuit breaker is open'
-      });
-    }
-    
-    // Create message record
-    const messageResult = await query(`
-      INSERT INTO messages (
-        channel, 
-        provider, 
-        provider_id, 
-        direction, 
-        from_msisdn, 
-        to_msisdn, 
-        body, 
+
+    const tenant = await getTenantSettings(tenantOf(req));
+    const resolved = await resolveTemplateSend({ query }, tenantOf(req), req.body, tenant.template);
+    const template_name = resolved.name;
+    const template_language = resolved.language;
+    const template_components = resolved.components;
+    const template_key = resolved.template ? resolved.template.key : null;
+
+    return await sendOutbound(req, res, {
+      type: 'template',
+      columns: {
         template_name,
         template_language,
-        template_components,
-        status,
-        attempt_count,
-        next_attempt_at
-      ) VALUES (
-        'wa', 
-        'internal', 
-        $1, 
-        'out', 
-        NULL, 
-        $2, 
-        NULL, 
-        $3,
-        $4,
-        $5,
-        'queued',
-        0,
-        now()
-      ) 
-      RETURNING id
-    `, [
-      `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      to,
-      template_name,
-      template_language || 'en',
-      template_components ? JSON.stringify(template_components) : null
-    ]);
-    
-    const messageId = messageResult.rows[0].id;
-    
-    // Attempt to send immediately
-    const startTime = Date.now();
-    const response = await sendTemplate({
-      to,
-      type: 'template',
-      template: {
+        template_components: JSON.stringify(template_components),
+        meta: { template_key }
+      },
+      deliver: (bridge) => sendTemplate(templatePayload(to, {
         name: template_name,
-        language: { code: template_language || 'en' },
-        components: template_components || []
-      }
+        language: template_language,
+        components: template_components
+      }), bridge),
+      dlq: { to, template_name, template_language, template_components }
     });
     
-    const latencyMs = Date.now() - startTime;
+  } catch (error) {
+    if (sendQuotaError(res, error) || sendValidationError(res, error)) return;
+    console.error('[send/template] Error:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'Failed to send template message'
+    });
+  }
+}
+
+/**
+ * Send interactive reply-button message
+ * Body: to, text, buttons (1-3 of { id, title }), and optionally header, footer, incident_id, priority.
+ * Button ids may contain {message_id} (e.g. "ack:{message_id}") so replies link back to this message
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendInteractiveMessage(req, res) {
+  try {
+    const { to } = req.body;
     
-    // Record attempt
-    await recordWaAttempt(messageId, 1, {
-      httpCode: response.httpCode,
-      status: response.success ? 'success' : 'retry',
-      latencyMs,
-      errorKind: response.success ? null : getErrorKind(response.httpCode, response.error),
-      responseExcerpt: response.responseExcerpt
+    if (!to) {
+      return res.status(400).json({
+        error: 'validation_error',
+        message: 'Missing required fields: to'
+      });
+    }
+
+    const messageId = crypto.randomUUID();
+    const interactive = buildInteractive(req.body, messageId);
+
+    // The body text is kept alongside the buttons for listings and search
+    return await sendOutbound(req, res, {
+      type: 'interactive',
+      messageId,
+      columns: { body: interactive.body.text, interactive: JSON.stringify(interactive) },
+      deliver: (bridge) => sendMessage(interactivePayload(to, interactive), bridge),
+      dlq: { to, interactive }
     });
     
-    // Record breaker attempt
-    await recordAttempt(response.success, response.httpCode);
+  } catch (error) {
+    if (sendQuotaError(res, error) || sendValidationError(res, error)) return;
+    console.error('[send/interactive] Error:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'Failed to send interactive message'
+    });
+  }
+}
+
+/**
+ * Send PDF document
+ * Body: to, pdf (base64), filename (*.pdf), and optionally caption, incident_id, priority.
+ * Documents over DOCUMENT_MAX_BYTES are rejected
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendDocumentMessage(req, res) {
+  try {
+    const { to } = req.body;
     
-    if (response.success) {
-      // Update message status to sent
-      await updateMessageStatus(messageId, 'sent', {
-        attempt_count: 1
-      });
-      
-      return res.status(200).json({
-        ok: true,
-        message_id: messageId,
-        status: 'sent',
-        attempt_count: 1,
-        latency_ms: latencyMs
+    if (!to) {
+      return res.status(400).json({
+        error: 'validation_error',
+        message: 'Missing required fields: to'
       });
-    } else {
-      // Check if we should retry
-      const maxAttempts = parseInt(process.env.RETRY_MAX_ATTEMPTS || '4');
-      if (1 >= maxAttempts) {
-        // Mark as permanently failed
-        await updateMessageStatus(messageId, 'permanently_failed', {
-          attempt_count: 1,
-          last_error: response.error,
-          last_error_at: new Date()
-        });
-        
-        // Emit DLQ event if enabled
-        if (process.env.DLQ_ENABLED === 'true') {
-          await emitDLQEvent(messageId, { to, template_name, template_language, template_components }, response);
-        }
-        
-        return res.status(502).json({
-          error: 'send_failed',
-          message: 'Message failed to send and exceeded retry limit',
-          message_id: messageId,
-          status: 'permanently_failed'
-        });
-      } else {
-        // Schedule for retry
-        const nextAttempt = calculateNextAttempt(1);
-        await updateMessageStatus(messageId, 'queued', {
-          attempt_count: 1,
-          last_error: response.error,
-          last_error_at: new Date(),
-          next_attempt_at: nextAttempt
-        });
-        
-        return res.status(202).json({
-          ok: true,
-          message_id: messageId,
-          status: 'queued',
-          attempt_count: 1,
-          next_attempt_at: nextAttempt
-        });
-      }
     }
+
+    const document = decodeDocument(req.body);
+
+    // The document is stored in the same transaction as its message; the DLQ event leaves the file out
+    return await sendOutbound(req, res, {
+      type: 'document',
+      columns: async (client) => {
+        const stored = await storeDocument(client, { ...document, orgId: tenantOf(req) });
+        return {
+          body: document.caption,
+          document_id: stored.id,
+          meta: { filename: document.filename, size_bytes: stored.size_bytes }
+        };
+      },
+      deliver: (bridge) => sendMessage(documentPayload(to, document), bridge),
+      dlq: { to, filename: document.filename, caption: document.caption }
+    });
     
   } catch (error) {
-    console.error('[send/template] Error:', error);
+    if (sendQuotaError(res, error) || sendValidationError(res, error)) return;
+    console.error('[send/document] Error:', error);
     return res.status(500).json({
       error: 'internal_error',
-      message: 'Failed to send template message'
+      message: 'Failed to send document'
     });
   }
 }
 
 /**
- * Get message status
+ * Get message status (an API key only sees its own messages)
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  */
@@ -325,7 +475,7 @@ async function getMessageStatus(req, res) {
   try {
     const { messageId } = req.params;
     
-    const result = await query(`
+    const result = patterns.uuid.test(messageId) ? await query(`
       SELECT 
         id, 
         status, 
@@ -333,10 +483,16 @@ async function getMessageStatus(req, res) {
         last_error, 
         last_error_at, 
         next_attempt_at,
-        created_at
+        block_reason,
+        meta->>'wa_id' AS wa_id,
+        sent_at,
+        delivered_at,
+        read_at,
+        failed_at,
+        ts AS created_at
       FROM messages 
-      WHERE id = $1
-    `, [messageId]);
+      WHERE id = $1 AND ($2::uuid IS NULL OR api_key_id = $2)
+    `, [messageId, req.apiClient ? req.apiClient.id : null]) : { rows: [] };
     
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -371,6 +527,12 @@ async function getMessageStatus(req, res) {
         last_error: message.last_error,
         last_error_at: message.last_error_at,
         next_attempt_at: message.next_attempt_at,
+        block_reason: message.block_reason,
+        wa_id: message.wa_id,
+        sent_at: message.sent_at,
+        delivered_at: message.delivered_at,
+        read_at: message.read_at,
+        failed_at: message.failed_at,
         created_at: message.created_at
       },
       attempts: attemptsResult.rows
@@ -385,6 +547,36 @@ async function getMessageStatus(req, res) {
   }
 }
 
+/**
+ * Usage of the calling API key: sends, failures and remaining quota for today and this month
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function getKeyUsage(req, res) {
+  try {
+    if (!req.apiClient) {
+      return res.status(400).json({
+        error: 'no_api_key',
+        message: 'Usage is tracked per API key; this server runs with SEND_AUTH=none'
+      });
+    }
+
+    const usage = await getUsage(req.apiClient);
+    return res.status(200).json({
+      ok: true,
+      key: { id: req.apiClient.id, name: req.apiClient.name, scopes: req.apiClient.scopes },
+      usage
+    });
+
+  } catch (error) {
+    console.error('[send/usage] Error:', error);
+    return res.status(500).json({
+      error: 'internal_error',
+      message: 'Failed to get usage'
+    });
+  }
+}
+
 /**
  * Get breaker status
  * @param {Object} req - Express request
@@ -487,8 +679,11 @@ async function emitDLQEvent(messageId, message, lastResponse) {
 // Routes
 router.post('/text', jsonParser, sendTextMessage);
 router.post('/template', jsonParser, sendTemplateMessage);
+router.post('/interactive', jsonParser, sendInteractiveMessage);
+router.post('/document', documentParser, sendDocumentMessage);
 router.get('/status/:messageId', getMessageStatus);
 router.get('/breaker', getBreakerStatus);
+router.get('/usage', getKeyUsage);
 
 // Health check
 router.get('/health', (req, res) => {
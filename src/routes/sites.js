@@ -0,0 +1,271 @@
+/**
+ * Admin routes for sites
+ * List, create, update and delete sites, and browse the site → building → lift tree.
+ * Organisation admins only see and change their organisation's sites
+ */
+
+const express = require('express');
+const { query, withTxn } = require('../db');
+const { requireString, optionalString, pickFields, patterns, createValidationError } = require('../validate');
+const { tenantCondition, owningOrg } = require('../lib/organisations');
+const { SITE_FIELDS, checkTimezone, syncLiftCopies } = require('../lib/buildings');
+const { recordAudit } = require('../lib/audit');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '16kb' });
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * List sites with building and lift counts
+ * Query: region, org_id (platform admins)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listSites(req, res, next) {
+  try {
+    const region = optionalString(req.query, 'region', { max: 16 });
+    const params = [];
+    let where = tenantCondition(req, 's.org_id', params);
+    if (region) {
+      params.push(region);
+      where += ` AND s.region = $${params.length}`;
+    }
+
+    const result = await query(`
+      SELECT s.*,
+             (SELECT count(*)::int FROM buildings b WHERE b.site_id = s.id) AS buildings_count,
+             (SELECT count(*)::int FROM lifts l JOIN buildings b ON b.id = l.building_id WHERE b.site_id = s.id) AS lifts_count
+      FROM sites s
+      WHERE 1=1${where}
+      ORDER BY s.name
+    `, params);
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Sites with their buildings and lifts, plus the lifts not yet in a building
+ * Query: site_id (one site), org_id (platform admins)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function siteTree(req, res, next) {
+  try {
+    const siteId = optionalString(req.query, 'site_id', { pattern: patterns.uuid });
+    const params = [siteId];
+    const where = tenantCondition(req, 's.org_id', params);
+    const unassignedParams = [];
+    const unassignedWhere = tenantCondition(req, 'org_id', unassignedParams);
+
+    const [rows, unassigned] = await Promise.all([
+      query(`
+        SELECT s.id AS site_id, s.name AS site_name, s.address AS site_address, s.region AS site_region,
+               s.timezone AS site_timezone, s.org_id,
+               b.id AS building_id, b.name AS building_name, b.building_code, b.address AS building_address,
+               b.region AS building_region, b.timezone AS building_timezone,
+               l.id AS lift_id, l.msisdn, l.lift_code
+        FROM sites s
+        LEFT JOIN buildings b ON b.site_id = s.id
+        LEFT JOIN lifts l ON l.building_id = b.id
+        WHERE ($1::uuid IS NULL OR s.id = $1)${where}
+        ORDER BY s.name, b.name, l.lift_code NULLS LAST, l.msisdn
+      `, params),
+      siteId ? { rows: [] } : query(`
+        SELECT id, msisdn, lift_code, site_name, building
+        FROM lifts
+        WHERE building_id IS NULL${unassignedWhere}
+        ORDER BY msisdn
+      `, unassignedParams)
+    ]);
+
+    const sites = new Map();
+    const buildings = new Map();
+    for (const row of rows.rows) {
+      if (!sites.has(row.site_id)) {
+        sites.set(row.site_id, {
+          id: row.site_id,
+          name: row.site_name,
+          address: row.site_address,
+          region: row.site_region,
+          timezone: row.site_timezone,
+          org_id: row.org_id,
+          buildings: []
+        });
+      }
+      if (row.building_id && !buildings.has(row.building_id)) {
+        const building = {
+          id: row.building_id,
+          name: row.building_name,
+          building_code: row.building_code,
+          address: row.building_address || row.site_address,
+          region: row.building_region || row.site_region,
+          timezone: row.building_timezone || row.site_timezone,
+          lifts: []
+        };
+        buildings.set(row.building_id, building);
+        sites.get(row.site_id).buildings.push(building);
+      }
+      if (row.lift_id) {
+        buildings.get(row.building_id).lifts.push({ id: row.lift_id, msisdn: row.msisdn, lift_code: row.lift_code });
+      }
+    }
+
+    res.json({ ok: true, data: { sites: [...sites.values()], unassigned_lifts: unassigned.rows } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a site
+ * Body: name, address, region, timezone (default Africa/Johannesburg), org_id (platform admins only)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function createSite(req, res, next) {
+  try {
+    const fields = { ...checkTimezone(pickFields(req.body, SITE_FIELDS)), name: requireString(req.body, 'name', { max: 255 }) };
+    if (fields.timezone === null) delete fields.timezone;
+    fields.org_id = owningOrg(req);
+    const columns = Object.keys(fields);
+
+    const site = await withTxn(async (client) => {
+      const result = await client.query(`
+        INSERT INTO sites (${columns.join(', ')})
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `, Object.values(fields));
+      await recordAudit(client, req, { entity: 'site', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.status(201).json({ ok: true, data: site });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one site with its buildings
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showSite(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const params = [id];
+    const site = await query(`SELECT * FROM sites s WHERE s.id = $1${tenantCondition(req, 's.org_id', params)}`, params);
+    if (site.rows.length === 0) throw notFound('Site not found');
+
+    const buildings = await query(`
+      SELECT b.*, (SELECT count(*)::int FROM lifts l WHERE l.building_id = b.id) AS lifts_count
+      FROM buildings b
+      WHERE b.site_id = $1
+      ORDER BY b.name
+    `, [id]);
+
+    res.json({ ok: true, data: { ...site.rows[0], buildings: buildings.rows } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update some fields of a site; omitted fields are kept. Its lifts' site_name and region follow
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchSite(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const fields = checkTimezone(pickFields(req.body || {}, {
+      name: { required: true, max: 255 },
+      ...SITE_FIELDS,
+      timezone: { ...SITE_FIELDS.timezone, required: true }
+    }));
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      throw createValidationError(`Nothing to update; send any of name, ${Object.keys(SITE_FIELDS).join(', ')}`);
+    }
+
+    const site = await withTxn(async (client) => {
+      const params = [id];
+      const current = await client.query(`SELECT * FROM sites s WHERE s.id = $1${tenantCondition(req, 's.org_id', params)} FOR UPDATE`, params);
+      if (current.rows.length === 0) throw notFound('Site not found');
+
+      const result = await client.query(`
+        UPDATE sites SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(fields)]);
+      await syncLiftCopies(client, { siteId: id });
+      await recordAudit(client, req, { entity: 'site', entityId: id, action: 'update', before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: site });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a site; refused while it still has buildings
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteSite(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const params = [id];
+
+    try {
+      await withTxn(async (client) => {
+        const result = await client.query(`DELETE FROM sites s WHERE s.id = $1${tenantCondition(req, 's.org_id', params)} RETURNING *`, params);
+        if (result.rows.length === 0) throw notFound('Site not found');
+        await recordAudit(client, req, { entity: 'site', entityId: id, action: 'delete', before: result.rows[0] });
+      });
+    } catch (error) {
+      if (error.code !== '23503') throw error;
+      const inUse = new Error('Site still has buildings; move or delete them first');
+      inUse.status = 409;
+      inUse.code = 'SITE_IN_USE';
+      throw inUse;
+    }
+
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listSites);
+router.get('/tree', siteTree);
+router.post('/', jsonParser, createSite);
+router.get('/:id', showSite);
+router.patch('/:id', jsonParser, patchSite);
+router.delete('/:id', deleteSite);
+
+module.exports = router;
@@ -1,121 +1,63 @@
 const express = require('express');
+const { normalizeInbound, isSupportedProvider } = require('../lib/normalize');
+const { requireWebhookAuth, captureRawBody } = require('../lib/webhookAuth');
+const { detectShape, toInboundSms } = require('../lib/portalShapes');
+const { captureInbound } = require('../mw/capture');
 const router = express.Router();
 
+// Provider adapters can be switched off without a redeploy of the routes
+const ENABLE_PROVIDER_ADAPTERS = process.env.ENABLE_PROVIDER_ADAPTERS !== 'false';
+
 // Health
 router.get('/health', (_req, res) => {
   res.json({ ok: true, service: 'sms-routes' });
 });
 
-/**
- * Normalize phone number (strip leading +)
- * @param {string} phone - Raw phone number
- * @returns {string} Normalized phone number
- */
-function normalizePhone(phone) {
-  if (!phone) return '';
-  return phone.replace(/^\+/, '');
-}
-
-/**
- * Detect portal shape and extract data
- * @param {Object} body - Request body
- * @returns {Object} Normalized message data
- */
-function detectPortalShape(body) {
-  // Shape A: { "msisdn": "...", "text": "..." }
-  if (body.msisdn && body.text) {
-    return {
-      msisdn: normalizePhone(body.msisdn),
-      text: body.text.trim(),
-      provider_id: body.provider_id || 'portal',
-      provider_shape: 'PORTAL_A'
-    };
-  }
-  
-  // Shape B: { "phoneNumber": "...", "incomingData": "..." }
-  if (body.phoneNumber && body.incomingData) {
-    return {
-      msisdn: normalizePhone(body.phoneNumber),
-      text: body.incomingData.trim(),
-      provider_id: body.provider_id || 'portal',
-      provider_shape: 'PORTAL_B'
-    };
-  }
-  
-  // Shape C: { "from": "...", "text": "..." } OR { "from": "...", "body": "..." }
-  if (body.from && (body.text || body.body)) {
-    return {
-      msisdn: normalizePhone(body.from),
-      text: (body.text || body.body || '').trim(),
-      provider_id: body.provider_id || 'portal',
-      provider_shape: 'PORTAL_C'
-    };
-  }
-  
-  return null;
-}
-
 // Portal ingestion: handles all portal shapes
-router.post('/plain', express.json(), async (req, res) => {
+router.post('/plain', captureInbound('/sms/plain'), express.json({ verify: captureRawBody }), requireWebhookAuth('portal'), async (req, res) => {
   try {
     const body = req.body || {};
     
-    // Detect portal shape
-    const messageData = detectPortalShape(body);
-    if (!messageData) {
-      return res.status(400).json({
-        error: 'validation_error',
-        message: 'Invalid message format. Expected: msisdn+text, phoneNumber+incomingData, or from+text'
-      });
-    }
-    
-    // Validate required fields
-    if (!messageData.msisdn) {
+    // Detect portal shape (see portal_shapes / src/lib/portalShapes.js)
+    const match = await detectShape(body);
+    if (!match) {
       return res.status(400).json({
         error: 'validation_error',
-        field: 'msisdn',
-        message: 'Missing phone number'
-      });
-    }
-    
-    if (!messageData.text) {
-      return res.status(400).json({
-        error: 'validation_error',
-        field: 'text',
-        message: 'Missing message text'
+        message: 'Invalid message format. No portal shape matched (e.g. msisdn+text, phoneNumber+incomingData, or from+text)'
       });
     }
     
     // Create normalized message for ingestion
-    const payload = {
-      provider: 'portal',
-      provider_id: messageData.provider_id,
-      msisdn: `+${messageData.msisdn}`,
-      text: messageData.text,
-      ts: new Date().toISOString(),
-      meta: { 
-        provider_shape: messageData.provider_shape,
-        original: body
-      }
-    };
+    const payload = toInboundSms(match, body);
     
     // lazy-load to avoid circulars
     const { ingestMessage } = require('../lib/ingest');
-    const { ok, idempotent, message_id } = await ingestMessage(payload);
+    const { stored_message_id: message_id, idempotent, lift_id, incident_id, notified } = await ingestMessage(payload);
+    res.locals.capture = { message_id, outcome: idempotent ? 'duplicate' : 'accepted' };
     
     // Log the successful ingestion
     console.log(JSON.stringify({
       event: 'sms_ingested',
       provider: 'portal',
-      provider_id: messageData.provider_id,
-      msisdn: messageData.msisdn,
-      text_length: messageData.text.length,
+      provider_id: payload.provider_id,
+      msisdn: match.msisdn,
+      text_length: match.text.length,
       idempotent,
       message_id,
-      provider_shape: messageData.provider_shape
+      provider_shape: match.shape,
+      lift_id: lift_id || null,
+      incident_id: incident_id || null,
+      notified: notified ? notified.message_ids.length : 0
     }));
     
-    return res.status(202).json({ ok, idempotent, message_id });
+    return res.status(202).json({
+      ok: true,
+      idempotent,
+      message_id,
+      lift_id: lift_id || null,
+      incident_id: incident_id || null,
+      notified: notified ? notified.message_ids.length : 0
+    });
   } catch (err) {
     console.error('[sms/plain] ingest error:', JSON.stringify({
       message: err && err.message,
@@ -126,4 +68,68 @@ router.post('/plain', express.json(), async (req, res) => {
   }
 });
 
+// Provider webhooks: /sms/provider/twilio|infobip|mtn|vodacom|generic
+// Twilio and Vodacom post form-urlencoded bodies, the rest post JSON
+router.post('/provider/:provider',
+  express.json({ limit: '128kb', verify: captureRawBody }),
+  express.urlencoded({ extended: false, limit: '128kb', verify: captureRawBody }),
+  requireWebhookAuth(req => req.params.provider),
+  async (req, res, next) => {
+    const { provider } = req.params;
+
+    if (!ENABLE_PROVIDER_ADAPTERS || !isSupportedProvider(provider)) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: `Unknown SMS provider: ${provider}`
+      });
+    }
+
+    let messages;
+    try {
+      messages = normalizeInbound(provider, req.body);
+    } catch (err) {
+      if (err.code === 'VALIDATION_ERROR') {
+        return res.status(400).json({
+          error: 'validation_error',
+          field: err.field,
+          message: err.message
+        });
+      }
+      return next(err);
+    }
+
+    try {
+      const { ingestMessage } = require('../lib/ingest');
+      const results = [];
+
+      for (const msg of messages) {
+        const { stored_message_id: message_id, idempotent } = await ingestMessage(msg);
+        results.push({ idempotent, message_id });
+
+        console.log(JSON.stringify({
+          event: 'sms_ingested',
+          provider,
+          provider_id: msg.provider_id,
+          msisdn: msg.msisdn,
+          text_length: msg.text.length,
+          idempotent,
+          message_id
+        }));
+      }
+
+      if (results.length === 1) {
+        return res.status(202).json({ ok: true, ...results[0] });
+      }
+      return res.status(202).json({ ok: true, count: results.length, results });
+    } catch (err) {
+      console.error(`[sms/provider/${provider}] ingest error:`, JSON.stringify({
+        message: err && err.message,
+        code: err && err.code,
+        stack: err && err.stack
+      }));
+      return res.status(500).json({ error: 'internal_error', message: 'Failed to process SMS message' });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,260 @@
+/**
+ * Admin routes for the WhatsApp template registry
+ * List, register, update and retire templates, and preview the components a send would use.
+ * Organisation admins see platform templates alongside their own but can only change their own
+ */
+
+const express = require('express');
+const { query, withTxn } = require('../db');
+const { requireString, optionalString, requireEnum, patterns, createValidationError } = require('../validate');
+const { tenantOf, tenantCondition, owningOrg } = require('../lib/organisations');
+const { recordAudit, skipAudit } = require('../lib/audit');
+const {
+  TEMPLATE_CATEGORIES,
+  KEY_PATTERN,
+  NAME_PATTERN,
+  validateLanguages,
+  validateParams,
+  pickLanguage,
+  renderTemplate
+} = require('../lib/templates');
+
+const router = express.Router();
+
+// JSON parser for all routes
+const jsonParser = express.json({ limit: '64kb' });
+
+/**
+ * Build a 404 error for the error handler
+ * @param {string} message - Message
+ * @returns {Error} Error
+ */
+function notFound(message) {
+  const error = new Error(message);
+  error.status = 404;
+  error.code = 'NOT_FOUND';
+  return error;
+}
+
+/**
+ * SQL condition for the templates a caller can see: platform templates plus its organisation's
+ * (platform callers see everything, or one organisation's with ?org_id=)
+ * @param {Object} req - Express request
+ * @param {Array} params - Query parameters (the org id is appended)
+ * @returns {string} " AND (...)", or "" when unscoped
+ */
+function visibleCondition(req, params) {
+  const orgId = tenantOf(req) || optionalString(req.query, 'org_id', { pattern: patterns.uuid });
+  if (!orgId) return '';
+  params.push(orgId);
+  return ` AND (org_id IS NULL OR org_id = $${params.length})`;
+}
+
+/**
+ * Validated editable fields present in a body (PATCH semantics)
+ * @param {Object} body - Request body
+ * @returns {Object} Columns to write
+ */
+function templateFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = requireString(body, 'name', { pattern: NAME_PATTERN });
+  if (body.category !== undefined) fields.category = requireEnum(body, 'category', TEMPLATE_CATEGORIES);
+  if (body.languages !== undefined) fields.languages = validateLanguages(body.languages);
+  if (body.params !== undefined) fields.params = JSON.stringify(validateParams(body.params));
+  if (body.description !== undefined) fields.description = optionalString(body, 'description', { max: 500 });
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw createValidationError('Field active must be true or false', 'active');
+    fields.active = body.active;
+  }
+  return fields;
+}
+
+/**
+ * List templates
+ * Query: key, name, category, active (true|false), org_id (platform admins)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function listTemplates(req, res, next) {
+  try {
+    const params = [];
+    let sql = `SELECT * FROM templates WHERE 1=1${visibleCondition(req, params)}`;
+
+    for (const column of ['key', 'name']) {
+      const value = optionalString(req.query, column, { max: 512 });
+      if (!value) continue;
+      params.push(value);
+      sql += ` AND ${column} = $${params.length}`;
+    }
+    if (req.query.category) {
+      params.push(requireEnum(req.query, 'category', TEMPLATE_CATEGORIES));
+      sql += ` AND category = $${params.length}`;
+    }
+    if (req.query.active !== undefined) {
+      params.push(requireEnum(req.query, 'active', ['true', 'false']) === 'true');
+      sql += ` AND active = $${params.length}`;
+    }
+
+    const result = await query(`${sql} ORDER BY key, org_id NULLS FIRST`, params);
+    res.json({ ok: true, data: result.rows });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Register a template
+ * Body: key, name (WhatsApp template name), languages, params, and optionally category (default
+ * utility), description, active, org_id (platform admins)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function createTemplate(req, res, next) {
+  try {
+    const body = req.body || {};
+    const fields = {
+      key: requireString(body, 'key', { pattern: KEY_PATTERN }),
+      name: requireString(body, 'name', { pattern: NAME_PATTERN }),
+      languages: validateLanguages(body.languages),
+      ...templateFields(body),
+      org_id: owningOrg(req)
+    };
+    const columns = Object.keys(fields);
+
+    const template = await withTxn(async (client) => {
+      const result = await client.query(`
+        INSERT INTO templates (${columns.join(', ')})
+        VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `, Object.values(fields));
+      await recordAudit(client, req, { entity: 'template', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.status(201).json({ ok: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Get one template
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function showTemplate(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const params = [id];
+    const result = await query(`SELECT * FROM templates WHERE id = $1${visibleCondition(req, params)}`, params);
+    if (result.rows.length === 0) throw notFound('Template not found');
+    res.json({ ok: true, data: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update some fields of a template; omitted fields are kept. The key cannot change
+ * Organisation admins can only change their own organisation's templates
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function patchTemplate(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const fields = templateFields(req.body || {});
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      throw createValidationError('Nothing to update; send any of name, category, languages, params, description, active');
+    }
+
+    const template = await withTxn(async (client) => {
+      const params = [id];
+      const current = await client.query(`SELECT * FROM templates WHERE id = $1${tenantCondition(req, 'org_id', params)} FOR UPDATE`, params);
+      if (current.rows.length === 0) throw notFound('Template not found');
+
+      const result = await client.query(`
+        UPDATE templates SET ${columns.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = now()
+        WHERE id = $1
+        RETURNING *
+      `, [id, ...Object.values(fields)]);
+      await recordAudit(client, req, { entity: 'template', entityId: id, action: 'update', before: current.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.json({ ok: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete a template (sent messages keep its name and components)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function deleteTemplate(req, res, next) {
+  try {
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    await withTxn(async (client) => {
+      const params = [id];
+      const result = await client.query(`DELETE FROM templates WHERE id = $1${tenantCondition(req, 'org_id', params)} RETURNING *`, params);
+      if (result.rows.length === 0) throw notFound('Template not found');
+      await recordAudit(client, req, { entity: 'template', entityId: id, action: 'delete', before: result.rows[0] });
+    });
+    res.json({ ok: true });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Preview the components a send would use; nothing is sent
+ * Body: variables (default: each parameter's example), language
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ */
+async function renderPreview(req, res, next) {
+  try {
+    skipAudit(req);
+    const id = requireString(req.params, 'id', { pattern: patterns.uuid });
+    const params = [id];
+    const result = await query(`SELECT * FROM templates WHERE id = $1${visibleCondition(req, params)}`, params);
+    const template = result.rows[0];
+    if (!template) throw notFound('Template not found');
+
+    const body = req.body || {};
+    const variables = body.variables === undefined
+      ? Object.fromEntries(template.params.map(param => [param.name, param.example]))
+      : body.variables;
+
+    res.json({
+      ok: true,
+      data: {
+        key: template.key,
+        name: template.name,
+        language: pickLanguage(template, optionalString(body, 'language', { max: 16 })),
+        components: renderTemplate(template, variables)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Routes
+router.get('/', listTemplates);
+router.post('/', jsonParser, createTemplate);
+router.get('/:id', showTemplate);
+router.patch('/:id', jsonParser, patchTemplate);
+router.delete('/:id', deleteTemplate);
+router.post('/:id/render', jsonParser, renderPreview);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { withTxn } = require('../db');
+const { requireWebhookAuth, captureRawBody } = require('../lib/webhookAuth');
+const { parseInbound, handleInboundMessage } = require('../lib/waInbound');
+const { parseStatusCallbacks, applyStatusCallback } = require('../lib/deliveryStatus');
+const { captureInbound } = require('../mw/capture');
+const router = express.Router();
+
+// Bridge callback for recipient replies and button presses
+// Always answers 200 once authenticated so the Bridge does not retry payloads we cannot use
+router.post('/inbound', captureInbound('/wa/inbound'), express.json({ limit: '256kb', verify: captureRawBody }), requireWebhookAuth('bridge'), async (req, res) => {
+  const messages = parseInbound(req.body);
+  if (messages.length === 0) {
+    res.locals.capture = { outcome: 'accepted', detail: 'no messages in payload' };
+    return res.status(200).json({ ok: true, processed: 0, results: [] });
+  }
+
+  try {
+    const results = [];
+    for (const msg of messages) {
+      const result = await handleInboundMessage(msg);
+      results.push(result);
+
+      console.log(JSON.stringify({
+        event: 'wa_inbound',
+        wa_id: msg.wa_id,
+        from: msg.from,
+        kind: msg.kind,
+        intent: result.intent || null,
+        idempotent: result.idempotent,
+        message_id: result.message_id || null,
+        incident_id: result.incident_id || null,
+        acknowledged: !!result.acknowledged,
+        backup_requested: !!result.backup_requested,
+        consent: result.consent ? result.consent.status : null
+      }));
+    }
+
+    const allDuplicates = results.every(r => r.idempotent);
+    res.locals.capture = {
+      message_id: results.length === 1 ? results[0].message_id : undefined,
+      outcome: allDuplicates ? 'duplicate' : 'accepted'
+    };
+    return res.status(200).json({ ok: true, processed: results.length, results });
+  } catch (err) {
+    console.error('[wa/inbound] error:', JSON.stringify({
+      message: err && err.message,
+      code: err && err.code,
+      stack: err && err.stack
+    }));
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to process WhatsApp message' });
+  }
+});
+
+// Bridge callback for delivery status (sent, delivered, read, failed) of messages we sent, by wa_id
+// Callbacks for unknown wa_ids are answered 200 too: they may belong to messages sent outside this service
+router.post('/status', captureInbound('/wa/status'), express.json({ limit: '256kb', verify: captureRawBody }), requireWebhookAuth('bridge'), async (req, res) => {
+  const callbacks = parseStatusCallbacks(req.body);
+  if (callbacks.length === 0) {
+    res.locals.capture = { outcome: 'accepted', detail: 'no statuses in payload' };
+    return res.status(200).json({ ok: true, processed: 0, results: [] });
+  }
+
+  try {
+    const results = [];
+    for (const callback of callbacks) {
+      const result = await withTxn(client => applyStatusCallback(client, callback));
+      results.push(result);
+
+      console.log(JSON.stringify({
+        event: 'wa_status',
+        wa_id: callback.wa_id,
+        to: callback.to,
+        status: callback.status,
+        ts: callback.ts,
+        matched: result.matched,
+        message_id: result.message_id || null,
+        changed: !!result.changed
+      }));
+    }
+
+    const unmatched = results.filter(r => !r.matched).length;
+    res.locals.capture = {
+      message_id: results.length === 1 ? results[0].message_id : undefined,
+      outcome: 'accepted',
+      detail: unmatched ? `${unmatched} of ${results.length} statuses for unknown wa_id` : undefined
+    };
+    return res.status(200).json({ ok: true, processed: results.length, results });
+  } catch (err) {
+    console.error('[wa/status] error:', JSON.stringify({
+      message: err && err.message,
+      code: err && err.code,
+      stack: err && err.stack
+    }));
+    return res.status(500).json({ error: 'internal_error', message: 'Failed to process status callback' });
+  }
+});
+
+module.exports = router;
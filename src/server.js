@@ -1,26 +1,50 @@
 const express = require("express");
 const morgan  = require("morgan");
-const crypto  = require("crypto");
-const fs      = require("fs");
 const fetch   = require("node-fetch");
 const { PubSub } = require('@google-cloud/pubsub');
 const { sendTemplateViaBridge, sendTextViaBridge } = require("./lib/bridge");
 const { query, withTxn } = require("./db");
-const { requireString, optionalString, requireEnum, patterns, createValidationError } = require("./validate");
+const { requireString, patterns } = require("./validate");
 const { requestLogger } = require("./mw/log");
 const { errorHandler } = require("./mw/error");
 const { getPagination, paginateQuery } = require("./pagination");
 const smsRoutes = require('./routes/sms');
 const sendRoutes = require("./routes/send");
+const waRoutes = require("./routes/wa");
 const { startRetryProcessor } = require("./lib/retryQueue");
-
-const BRIDGE_BASE_URL = process.env.BRIDGE_BASE_URL || "https://wa.woosh.ai";
-const BRIDGE_API_KEY  = process.env.BRIDGE_API_KEY || "";
-const BRIDGE_TEMPLATE_NAME = process.env.BRIDGE_TEMPLATE_NAME || "growthpoint_testv1";
-// Always default to "en" and normalize any provided code down to "en"
-const BRIDGE_TEMPLATE_LANG = ((process.env.BRIDGE_TEMPLATE_LANG || "en").trim().split(/[_-]/)[0] || "en");
-const REGISTRY_PATH   = process.env.REGISTRY_PATH || "./data/registry.csv";
-const HMAC_SECRET     = process.env.SMSPORTAL_HMAC_SECRET || "";
+const { startEscalationWorker } = require("./lib/escalation");
+const { requireWebhookAuth, captureRawBody } = require("./lib/webhookAuth");
+const { detectShape } = require("./lib/portalShapes");
+const portalShapeRoutes = require("./routes/portalShapes");
+const captureRoutes = require("./routes/captures");
+const incidentRoutes = require("./routes/incidents");
+const escalationRoutes = require("./routes/escalation");
+const oncallRoutes = require("./routes/oncall");
+const { captureInbound } = require("./mw/capture");
+const { adminCors, requireAdminAuth } = require("./mw/adminAuth");
+const { auditAdminWrites } = require("./mw/audit");
+const { recordAudit } = require("./lib/audit");
+const { requireApiKey } = require("./mw/apiKeyAuth");
+const { getTenantSettings, settingsForLiftMsisdn, tenantOf, tenantCondition } = require("./lib/organisations");
+const { getLatestCapture } = require("./lib/captures");
+const { checkOutbound, recordBlockedSend } = require("./lib/consent");
+const { getDirectory } = require("./lib/directory");
+const directoryRoutes = require("./routes/directory");
+const registryRoutes = require("./routes/registry");
+const liftRoutes = require("./routes/lifts");
+const contactRoutes = require("./routes/contacts");
+const adminTokenRoutes = require("./routes/adminTokens");
+const apiKeyRoutes = require("./routes/apiKeys");
+const organisationRoutes = require("./routes/organisations");
+const siteRoutes = require("./routes/sites");
+const buildingRoutes = require("./routes/buildings");
+const auditRoutes = require("./routes/audit");
+const templateRoutes = require("./routes/templates");
+const reportRoutes = require("./routes/reports");
+const { buildAlarmTemplate } = require("./lib/templates");
+
+// BRIDGE_* settings (base URL, API key, template name/language) are per organisation, with the
+// environment as fallback: see src/lib/organisations.js
 const SMS_INBOUND_TOPIC = process.env.SMS_INBOUND_TOPIC || "sms-inbound";
 
 // Initialize Pub/Sub
@@ -34,60 +58,44 @@ const jsonParser = express.json({ limit: '128kb' });
 app.use(morgan("tiny"));
 app.use(requestLogger);
 
-// CORS for admin routes
-app.use('/admin/*', (req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Authorization, X-Admin-Token, Content-Type');
-  
-  if (req.method === 'OPTIONS') {
-    return res.status(204).send();
-  }
-  
-  next();
-});
+// CORS and token auth for admin routes (GET /admin/status stays public for the deploy probes);
+// every successful admin write ends up in the audit trail
+app.use('/admin', adminCors, requireAdminAuth, auditAdminWrites);
 // unified latest-inbound buffer for readers/writers
 global.LAST_INBOUND = (typeof global.LAST_INBOUND !== "undefined") ? global.LAST_INBOUND : null;
 
 // ---------- registry ----------
-let REGISTRY = new Map();
-function loadRegistry() {
-  REGISTRY = new Map();
-  if (!fs.existsSync(REGISTRY_PATH)) return;
-  const rows = fs.readFileSync(REGISTRY_PATH, "utf8").split(/\r?\n/).filter(Boolean);
-  rows.shift(); // header
-  for (const line of rows) {
-    const cells = line.split(",");
-    if (cells.length < 6) continue;
-    const [building, building_code, lift_id, msisdn, ...recips] = cells.map(s => s.trim());
-    const recipients = recips.filter(Boolean);
-    REGISTRY.set((msisdn || "").replace(/\D/g, ""), { building, building_code, lift_id, recipients });
-  }
-  console.log(`[registry] loaded ${REGISTRY.size} entries from ${REGISTRY_PATH}`);
-}
-loadRegistry();
+// data/registry.csv is the `csv` contact directory backend (see src/lib/directory.js)
+getDirectory('csv').reload();
 
 app.get("/", (_req, res) => res.status(200).send("woosh-lifts: ok"));
 
 // Mount SMS routes (core functionality only)
 app.use('/sms', smsRoutes);
 
-// Mount send routes
-app.use('/send', sendRoutes);
+// Mount send routes (client API keys, see src/lib/apiKeys.js)
+app.use('/send', requireApiKey, sendRoutes);
+
+// Mount WhatsApp webhook routes (Bridge callbacks)
+app.use('/wa', waRoutes);
 
-// Admin status (enriched, no secrets)
+// Admin status (enriched, no secrets); scoped to the organisation of a presented org token
 app.get('/admin/status', async (req, res) => {
   try {
-    const templateEnabled = Boolean(process.env.BRIDGE_TEMPLATE_NAME && process.env.BRIDGE_TEMPLATE_LANG);
+    const orgId = tenantOf(req);
+    const tenant = orgId ? await getTenantSettings(orgId).catch(() => null) : null;
+    const templateName = tenant ? tenant.template.name : (process.env.BRIDGE_TEMPLATE_NAME || null);
+    const templateLang = tenant ? tenant.template.language : (process.env.BRIDGE_TEMPLATE_LANG || null);
+    const templateEnabled = Boolean(templateName && templateLang);
     
     // Check database connectivity and get counts
     let dbStatus = { db: false, lifts_count: 0, contacts_count: 0, last_event_ts: null };
     try {
       // Use Promise.all for parallel queries
       const [liftsResult, contactsResult, lastEventResult] = await Promise.all([
-        query('SELECT COUNT(*) as count FROM lifts'),
-        query('SELECT COUNT(*) as count FROM contacts'),
-        query('SELECT MAX(ts) as last_ts FROM events')
+        query('SELECT COUNT(*) as count FROM lifts WHERE ($1::uuid IS NULL OR org_id = $1)', [orgId]),
+        query('SELECT COUNT(*) as count FROM contacts WHERE ($1::uuid IS NULL OR org_id = $1)', [orgId]),
+        query('SELECT MAX(e.ts) as last_ts FROM events e LEFT JOIN lifts l ON l.id = e.lift_id WHERE ($1::uuid IS NULL OR l.org_id = $1)', [orgId])
       ]);
       
       dbStatus = {
@@ -112,8 +120,9 @@ app.get('/admin/status', async (req, res) => {
       secrets: true,
       env: process.env.ENV || 'dev',
       templateEnabled,
-      templateName: process.env.BRIDGE_TEMPLATE_NAME || null,
-      templateLang: process.env.BRIDGE_TEMPLATE_LANG || null,
+      templateName,
+      templateLang,
+      org_id: orgId,
       ...dbStatus,
       build,
       timestamp: new Date().toISOString()
@@ -129,40 +138,66 @@ const logEvent = (event, extra = {}) =>
   console.log(JSON.stringify({ event, ts: new Date().toISOString(), ...extra }));
 const plus = d => (d ? `+${d}` : '');
 const digits = v => (v ?? '').toString().replace(/\D+/g, '');
-function normalize(body = {}) {
-  const id = body.id ?? body.Id ?? body.messageId ?? body.reqId ?? `gen-${Date.now()}`;
-  const phoneRaw = body.phone ?? body.phoneNumber ?? body.msisdn ?? body.to ?? body.from ?? '';
-  const textRaw = body.text ?? body.incomingData ?? body.IncomingData ?? body.message ?? body.body ?? '';
+// Shape detection is shared with /sms/plain (portal_shapes table)
+async function normalize(body = {}) {
+  const match = await detectShape(body);
   return {
-    smsId: String(id).slice(0, 128),
-    toDigits: digits(phoneRaw).slice(0, 20),
-    incoming: String(textRaw || '').trim().slice(0, 1024)
+    smsId: String(match?.provider_id || `gen-${Date.now()}`).slice(0, 128),
+    toDigits: (match?.msisdn || '').slice(0, 20),
+    incoming: (match?.text || '').slice(0, 1024),
+    match
   };
 }
 
+// Consent gate for the direct alarm paths (alarms skip quiet hours; a DB outage fails open)
+async function alarmSendAllowed(to, { source, smsId, text, orgId }) {
+  try {
+    const decision = await checkOutbound({ to, channel: 'wa', priority: 'alarm' });
+    if (decision.allowed) return { allowed: true };
+    await recordBlockedSend({ channel: 'wa', to, body: text, reason: decision.reason, source, meta: { sms_id: smsId }, orgId });
+    return decision;
+  } catch (e) {
+    logEvent('consent_check_error', { source, sms_id: smsId, error: e?.message });
+    return { allowed: true };
+  }
+}
+
+// Bridge and template settings of the organisation owning a lift (environment on lookup failure)
+async function liftTenantSettings(liftMsisdn) {
+  try {
+    return await settingsForLiftMsisdn(liftMsisdn);
+  } catch (e) {
+    logEvent('tenant_settings_error', { msisdn: plus(liftMsisdn), error: e?.message });
+    return getTenantSettings(null);
+  }
+}
+
+// Components for a lift's alarm template (see buildAlarmTemplate). A registered template gets the lift,
+// building, msisdn and message variables in its own language; an unregistered one keeps its single body
+// parameter in the organisation's language
+async function alarmTemplate(tenant, liftMsisdn, text, fallbackParam) {
+  const liftResult = await query('SELECT site_name, building FROM lifts WHERE msisdn = $1', [liftMsisdn]);
+  return buildAlarmTemplate({ query }, tenant, { msisdn: liftMsisdn, ...liftResult.rows[0] }, text, { fallbackParam });
+}
+
 // --- Bridge template sender (raw) ---
-async function sendTemplateRaw({ to, name, langCode, paramText }) {
+async function sendTemplateRaw({ to, name, langCode, components, bridge }) {
   const payload = {
     to,
     type: "template",
     template: {
       name,
       language: { code: langCode },
-      components: [
-        {
-          type: "body",
-          parameters: [{ type: "text", text: paramText }]
-        }
-      ]
+      components
     }
   };
-  const resp = await fetch(`${BRIDGE_BASE_URL.replace(/\/+$/,'')}/v1/send`, {
+  const resp = await fetch(`${bridge.baseUrl.replace(/\/+$/,'')}/v1/send`, {
     method: "POST",
     headers: {
       // Use canonical casing and include both common auth headers.
       "Content-Type": "application/json",
-      "Authorization": `Bearer ${BRIDGE_API_KEY}`,
-      "X-Api-Key": `${BRIDGE_API_KEY}`
+      "Authorization": `Bearer ${bridge.apiKey}`,
+      "X-Api-Key": `${bridge.apiKey}`
     },
     body: JSON.stringify(payload),
     timeout: 10_000
@@ -201,28 +236,38 @@ app.get('/__debug', (req, res) => {
 });
 
 // DIRECT route: template-first, no forwarding
-app.post('/sms/direct', jsonParser, async (req, res) => {
+app.post('/sms/direct', captureInbound('/sms/direct'), express.json({ limit: '128kb', verify: captureRawBody }), requireWebhookAuth('direct'), async (req, res) => {
   try {
-    const { smsId, toDigits, incoming } = normalize(req.body || {});
+    const { smsId, toDigits, incoming } = await normalize(req.body || {});
     if (!toDigits || !incoming) {
       return res.status(400).json({ ok: false, error: 'bad_request', detail: 'missing phone/text' });
     }
     logEvent('sms_received', { sms_id: smsId, to: plus(toDigits), text_len: incoming.length, direct: true });
 
-      const tplName = process.env.BRIDGE_TEMPLATE_NAME;
-      const tplLang = BRIDGE_TEMPLATE_LANG; // locked to "en" as standardized
       const to = toDigits; // Bridge expects digits only (no '+')
+      const tenant = await liftTenantSettings(to);
+      const tplName = tenant.template.name;
+      const tplLang = tenant.template.language; // BRIDGE_TEMPLATE_LANG (en_US) unless the organisation sets its own
+
+      const gate = await alarmSendAllowed(to, { source: 'sms_direct', smsId, text: incoming, orgId: tenant.org_id });
+      if (!gate.allowed) {
+        logEvent('wa_send_blocked', { sms_id: smsId, to: plus(to), reason: gate.reason });
+        res.locals.capture = { detail: `blocked: ${gate.reason}` };
+        return res.status(202).json({ ok: true, blocked: true, reason: gate.reason, id: smsId });
+      }
 
       if (tplName) {
         try {
-          // Exact Bridge schema: one body var set to "Emergency Button"
+          // Unregistered templates get one body var set to "Emergency Button"
+          const tpl = await alarmTemplate(tenant, to, incoming, "Emergency Button");
           const r = await sendTemplateRaw({
             to,
             name: tplName,
-            langCode: tplLang,            // e.g., "en"
-            paramText: "Emergency Button" // fills {{1}} in your template
+            langCode: tpl.language || tplLang, // e.g., "en_US"
+            components: tpl.components,
+            bridge: tenant.bridge
           });
-          logEvent('wa_template_ok', { sms_id: smsId, to: plus(to), provider_id: r?.id || null, templateName: tplName, lang: tplLang, variant: 'bridge_raw' });
+          logEvent('wa_template_ok', { sms_id: smsId, to: plus(to), provider_id: r?.id || null, templateName: tplName, templateKey: tpl.key, lang: tpl.language || tplLang, variant: 'bridge_raw' });
           return res.status(202).json({ ok: true, template: true, id: smsId });
         } catch (e) {
           const status = e?.status || null;
@@ -233,8 +278,8 @@ app.post('/sms/direct', jsonParser, async (req, res) => {
     // fallback → plain text
     try {
       const r2 = await sendTextViaBridge({ 
-        baseUrl: BRIDGE_BASE_URL,
-        apiKey: BRIDGE_API_KEY,
+        baseUrl: tenant.bridge.baseUrl,
+        apiKey: tenant.bridge.apiKey,
         to, 
         text: `SMS received: "${incoming}"` 
       });
@@ -250,70 +295,32 @@ app.post('/sms/direct', jsonParser, async (req, res) => {
   }
 });
 
-// ---------- HMAC helpers ----------
+// ---------- body helpers ----------
 function toStr(body) {
   return Buffer.isBuffer(body) ? body.toString("utf8")
        : typeof body === "string" ? body
        : (body && typeof body === "object") ? JSON.stringify(body)
        : "";
 }
-function verifySignature(req, raw) {
-  const sig = req.header("x-signature") || "";
-  const calc = crypto.createHmac("sha256", HMAC_SECRET).update(raw).digest("hex");
-  if (!sig || sig.length !== calc.length) return false;
-  return crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(calc));
-}
 
 // ---------- routes ----------
-app.post("/sms/inbound", express.raw({ type: "*/*" }), async (req, res) => {
+// SMSPortal signs /sms/inbound (see src/lib/webhookAuth.js for schemes and key rotation)
+app.post("/sms/inbound", captureInbound("/sms/inbound"), express.raw({ type: "*/*" }), requireWebhookAuth("smsportal"), async (req, res) => {
   try {
     const raw = toStr(req.body) || "";
-    if (!verifySignature(req, raw)) {
-      console.warn("[inbound] invalid signature");
-      return res.status(401).json({ error: "invalid signature" });
-    }
     const evt = JSON.parse(raw);
     console.log("[inbound] event", evt);
 
-    const b = evt || {};
-
-    // helper
-    const s = v => (v === null || v === undefined) ? "" : String(v).trim();
-
-    // ID
-    const smsId =
-      s(b.id) ||
-      s(b.Id) ||
-      `sms-${Date.now()}`;
-
-    // Phone (normalize to digits for Bridge; keep pretty copy for logs)
-    const rawPhone =
-      s(b.phone) ||
-      s(b.phoneNumber) ||
-      s(b.to) ||
-      s(b.msisdn) ||
-      s(b.from);
-
-    const toDigits = rawPhone.replace(/[^\d]/g, "");
-
-    // Message text (first non-empty wins)
-    let incoming =
-      s(b.text) ||
-      s(b.incomingData) ||
-      s(b.IncomingData) ||
-      s(b.message) ||
-      s(b.body);
-
-    // Cap to 1024 for template param
-    if (incoming.length > 1024) incoming = incoming.slice(0, 1024);
+    const { toDigits, incoming, match } = await normalize(evt || {});
+    const smsId = match?.provider_id ? match.provider_id.slice(0, 128) : `sms-${Date.now()}`;
 
     // Optional metadata (pass-through for logs/analytics)
     const meta = {
-      mcc: s(b.mcc || b.Mcc),
-      mnc: s(b.mnc || b.Mnc),
-      sc:  s(b.sc  || b.Sc  || b.shortcode),
-      keyword: s(b.keyword || b.Keyword),
-      incomingUtc: s(b.incomingUtc || b.IncomingUtc || b.incomingDateTime || b.IncomingDateTime)
+      mcc: match?.meta.mcc || "",
+      mnc: match?.meta.mnc || "",
+      sc:  match?.meta.shortcode || "",
+      keyword: match?.meta.keyword || "",
+      incomingUtc: match?.ts || ""
     };
 
     // Basic validation (same error shape as before, but now tolerant)
@@ -333,28 +340,38 @@ app.post("/sms/inbound", express.raw({ type: "*/*" }), async (req, res) => {
     // --- Template-first insert (non-breaking) ---
 
     let templateAttempted = false;
-    if (BRIDGE_API_KEY && BRIDGE_TEMPLATE_NAME && toDigits && incoming) {
+    const tenant = await liftTenantSettings(toDigits);
+    const tplName = tenant.template.name;
+    const tplLang = tenant.template.language;
+    const gate = (tenant.bridge.apiKey && tplName && toDigits && incoming)
+      ? await alarmSendAllowed(toDigits, { source: 'sms_inbound', smsId, text: incoming, orgId: tenant.org_id })
+      : { allowed: true };
+    if (!gate.allowed) {
+      console.log(JSON.stringify({ event: "wa_template_blocked_inbound", sms_id: smsId, to: toDigits, reason: gate.reason }));
+    }
+    if (gate.allowed && tenant.bridge.apiKey && tplName && toDigits && incoming) {
       templateAttempted = true;
       try {
-        const components = [{ type: "body", parameters: [{ type: "text", text: incoming }]}];
+        const tpl = await alarmTemplate(tenant, toDigits, incoming, incoming);
         const graph = await sendTemplateViaBridge({
-          baseUrl: BRIDGE_BASE_URL,
-          apiKey: BRIDGE_API_KEY,
+          baseUrl: tenant.bridge.baseUrl,
+          apiKey: tenant.bridge.apiKey,
           to: toDigits,
-          name: BRIDGE_TEMPLATE_NAME,
-          languageCode: (BRIDGE_TEMPLATE_LANG === "en" ? "en_US" : BRIDGE_TEMPLATE_LANG),
-          components
+          name: tplName,
+          languageCode: tpl.language || tplLang,
+          components: tpl.components
         });
         const wa_id = graph?.messages?.[0]?.id || null;
-        console.log(JSON.stringify({ event: "wa_template_ok_inbound", sms_id: smsId, to: toDigits, templateName: BRIDGE_TEMPLATE_NAME, lang: BRIDGE_TEMPLATE_LANG, wa_id, text_len: incoming.length }));
+        console.log(JSON.stringify({ event: "wa_template_ok_inbound", sms_id: smsId, to: toDigits, org_id: tenant.org_id, templateName: tplName, templateKey: tpl.key, lang: tpl.language || tplLang, wa_id, text_len: incoming.length }));
         // Continue to existing Pub/Sub logic below
       } catch (e) {
         console.log(JSON.stringify({
           event: "wa_template_fail_inbound",
           sms_id: smsId,
           to: toDigits,
-          templateName: BRIDGE_TEMPLATE_NAME,
-          lang: BRIDGE_TEMPLATE_LANG,
+          org_id: tenant.org_id,
+          templateName: tplName,
+          lang: tplLang,
           status: e?.status || 0,
           body: e?.body || String(e)
         }));
@@ -382,12 +399,7 @@ app.post("/sms/inbound", express.raw({ type: "*/*" }), async (req, res) => {
   }
 });
 
-app.post("/admin/registry/reload", (_req, res) => {
-  loadRegistry();
-  res.json({ status: "ok", size: REGISTRY.size });
-});
-
-// Admin endpoint to test WhatsApp Bridge
+// Admin endpoint to test WhatsApp Bridge (the caller's organisation credentials)
 app.post("/admin/ping-bridge", express.json(), async (req, res) => {
   try {
     const { to, text } = req.body;
@@ -395,11 +407,12 @@ app.post("/admin/ping-bridge", express.json(), async (req, res) => {
       return res.status(400).json({ error: "missing to or text parameter" });
     }
     
-    const response = await fetch(`${BRIDGE_BASE_URL}/api/messages/send`, {
+    const { bridge } = await getTenantSettings(tenantOf(req));
+    const response = await fetch(`${bridge.baseUrl}/api/messages/send`, {
       method: "POST",
       headers: { 
         "Content-Type": "application/json", 
-        "X-Api-Key": BRIDGE_API_KEY 
+        "X-Api-Key": bridge.apiKey 
       },
       body: JSON.stringify({ to, text })
     });
@@ -419,69 +432,33 @@ app.post("/admin/ping-bridge", express.json(), async (req, res) => {
 
 // ========== ADMIN API ENDPOINTS ==========
 
-// Lift Management
-app.post('/admin/lifts', jsonParser, async (req, res) => {
-  try {
-    const msisdn = requireString(req.body, 'msisdn', { pattern: patterns.msisdn });
-    const site_name = optionalString(req.body, 'site_name', { max: 255 });
-    const building = optionalString(req.body, 'building', { max: 255 });
-    const notes = optionalString(req.body, 'notes', { max: 1000 });
-    
-    const result = await query(`
-      INSERT INTO lifts (msisdn, site_name, building, notes)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (msisdn) DO UPDATE SET
-        site_name = EXCLUDED.site_name,
-        building = EXCLUDED.building,
-        notes = EXCLUDED.notes
-      RETURNING *
-    `, [msisdn, site_name, building, notes]);
-    
-    res.json({ ok: true, data: result.rows[0] });
-  } catch (error) {
-    if (error.code === 'VALIDATION_ERROR') {
-      return res.status(400).json({ ok: false, error: { code: 'VALIDATION_ERROR', message: error.message } });
-    }
-    throw error;
-  }
-});
-
-app.get('/admin/lifts/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await query('SELECT * FROM lifts WHERE id = $1', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Lift not found' } });
-    }
-    
-    res.json({ ok: true, data: result.rows[0] });
-  } catch (error) {
-    throw error;
-  }
-});
-
+// Resolve (or create) a lift by msisdn with its contacts
+// New lifts belong to the caller's organisation; another organisation's lift is reported as 404
 app.get('/admin/resolve/lift', async (req, res) => {
   try {
     const msisdn = requireString(req.query, 'msisdn', { pattern: patterns.msisdn });
+    const orgId = tenantOf(req);
     
     // Get or create lift
     let liftResult = await query('SELECT * FROM lifts WHERE msisdn = $1', [msisdn]);
     let created = false;
     
     if (liftResult.rows.length === 0) {
-      liftResult = await query('INSERT INTO lifts (msisdn) VALUES ($1) RETURNING *', [msisdn]);
+      liftResult = await query('INSERT INTO lifts (msisdn, org_id) VALUES ($1, $2) RETURNING *', [msisdn, orgId]);
       created = true;
+      await recordAudit({ query }, req, { entity: 'lift', entityId: liftResult.rows[0].id, action: 'create', after: liftResult.rows[0] });
+    } else if (orgId && liftResult.rows[0].org_id !== orgId) {
+      return res.status(404).json({ ok: false, error: { code: 'NOT_FOUND', message: 'Lift not found' } });
     }
     
     const lift = liftResult.rows[0];
     
-    // Get linked contacts
+    // Get linked contacts, the building's included
     const contactsResult = await query(`
-      SELECT c.id, c.display_name, c.primary_msisdn, c.email, c.role, lc.relation
+      SELECT c.id, c.display_name, c.primary_msisdn, c.email, c.role, lr.relation, lr.source
       FROM contacts c
-      JOIN lift_contacts lc ON lc.contact_id = c.id
-      WHERE lc.lift_id = $1
+      JOIN lift_recipients lr ON lr.contact_id = c.id
+      WHERE lr.lift_id = $1
       ORDER BY c.display_name NULLS LAST, c.primary_msisdn
     `, [lift.id]);
     
@@ -501,128 +478,54 @@ app.get('/admin/resolve/lift', async (req, res) => {
   }
 });
 
-// Contact Management
-app.post('/admin/contacts', jsonParser, async (req, res) => {
-  try {
-    const display_name = optionalString(req.body, 'display_name', { max: 255 });
-    const primary_msisdn = optionalString(req.body, 'primary_msisdn', { pattern: patterns.msisdn });
-    const email = optionalString(req.body, 'email', { pattern: patterns.email });
-    const role = optionalString(req.body, 'role', { max: 100 });
-    
-    if (!primary_msisdn && !email) {
-      throw createValidationError('At least one of primary_msisdn or email is required');
-    }
-    
-    let result;
-    if (primary_msisdn) {
-      result = await query(`
-        INSERT INTO contacts (display_name, primary_msisdn, email, role)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (primary_msisdn) DO UPDATE SET
-          display_name = EXCLUDED.display_name,
-          email = EXCLUDED.email,
-          role = EXCLUDED.role,
-          updated_at = now()
-        RETURNING *
-      `, [display_name, primary_msisdn, email, role]);
-    } else {
-      result = await query(`
-        INSERT INTO contacts (display_name, primary_msisdn, email, role)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (email) DO UPDATE SET
-          display_name = EXCLUDED.display_name,
-          primary_msisdn = EXCLUDED.primary_msisdn,
-          role = EXCLUDED.role,
-          updated_at = now()
-        RETURNING *
-      `, [display_name, primary_msisdn, email, role]);
-    }
-    
-    res.json({ ok: true, data: result.rows[0] });
-  } catch (error) {
-    if (error.code === 'VALIDATION_ERROR') {
-      return res.status(400).json({ ok: false, error: { code: 'VALIDATION_ERROR', message: error.message } });
-    }
-    throw error;
-  }
-});
+// Lifts and contacts
+app.use('/admin/lifts', liftRoutes);
+app.use('/admin/contacts', contactRoutes);
 
-app.get('/admin/lifts/:id/contacts', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await query(`
-      SELECT c.id, c.display_name, c.primary_msisdn, c.email, c.role, lc.relation
-      FROM contacts c
-      JOIN lift_contacts lc ON lc.contact_id = c.id
-      WHERE lc.lift_id = $1
-      ORDER BY c.display_name NULLS LAST, c.primary_msisdn
-    `, [id]);
-    
-    res.json({ ok: true, data: result.rows });
-  } catch (error) {
-    throw error;
-  }
-});
+// Portal shape mappings
+app.use('/admin/portal-shapes', portalShapeRoutes);
 
-app.post('/admin/lifts/:id/contacts', jsonParser, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const contact_id = requireString(req.body, 'contact_id', { pattern: patterns.uuid });
-    const relation = optionalString(req.body, 'relation', { max: 32 }) || 'tenant';
-    
-    await query(`
-      INSERT INTO lift_contacts (lift_id, contact_id, relation)
-      VALUES ($1, $2, $3)
-      ON CONFLICT (lift_id, contact_id) DO NOTHING
-    `, [id, contact_id, relation]);
-    
-    res.json({ ok: true });
-  } catch (error) {
-    if (error.code === 'VALIDATION_ERROR') {
-      return res.status(400).json({ ok: false, error: { code: 'VALIDATION_ERROR', message: error.message } });
-    }
-    throw error;
-  }
-});
+// Raw inbound capture store
+app.use('/admin/captures', captureRoutes);
 
-app.delete('/admin/lifts/:id/contacts/:contactId', async (req, res) => {
-  try {
-    const { id, contactId } = req.params;
-    await query('DELETE FROM lift_contacts WHERE lift_id = $1 AND contact_id = $2', [id, contactId]);
-    res.json({ ok: true });
-  } catch (error) {
-    throw error;
-  }
-});
+// Lift alarm incidents
+app.use('/admin/incidents', incidentRoutes);
 
-// Consent Management
-app.post('/admin/contacts/:id/consent', jsonParser, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const channel = requireEnum(req.body, 'channel', ['sms', 'wa']);
-    const status = requireEnum(req.body, 'status', ['opt_in', 'opt_out']);
-    const source = optionalString(req.body, 'source', { max: 255 });
-    
-    const result = await query(`
-      INSERT INTO consents (contact_id, channel, status, source)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (contact_id, channel) DO UPDATE SET
-        status = EXCLUDED.status,
-        source = EXCLUDED.source,
-        ts = now()
-      RETURNING *
-    `, [id, channel, status, source]);
-    
-    res.json({ ok: true, data: result.rows[0] });
-  } catch (error) {
-    if (error.code === 'VALIDATION_ERROR') {
-      return res.status(400).json({ ok: false, error: { code: 'VALIDATION_ERROR', message: error.message } });
-    }
-    throw error;
-  }
-});
+// Escalation policies (per lift, plus the global default)
+app.use('/admin/escalation-policies', escalationRoutes);
+
+// On-call rotations, shifts and overrides
+app.use('/admin/oncall', oncallRoutes);
+
+// Contact directory lookups and backend comparison
+app.use('/admin/directory', directoryRoutes);
+
+// Registry CSV import/export and reload
+app.use('/admin/registry', registryRoutes);
+
+// Admin API tokens (issue, list, revoke)
+app.use('/admin/tokens', adminTokenRoutes);
 
-// Messages endpoint with pagination
+// Client API keys for /send, with usage
+app.use('/admin/api-keys', apiKeyRoutes);
+
+// Organisations (tenants): Bridge credentials, default template, branding
+app.use('/admin/organisations', organisationRoutes);
+
+// Sites and buildings (lifts belong to a building; building contacts cover all its lifts)
+app.use('/admin/sites', siteRoutes);
+app.use('/admin/buildings', buildingRoutes);
+
+// Audit trail of admin changes
+app.use('/admin/audit', auditRoutes);
+
+// WhatsApp template registry
+app.use('/admin/templates', templateRoutes);
+
+// Incident and monthly alarm-history PDF reports
+app.use('/admin/reports', reportRoutes);
+
+// Messages endpoint with pagination (organisation tokens see their organisation's messages)
 app.get('/admin/messages', async (req, res) => {
   try {
     const { lift_id } = req.query;
@@ -635,6 +538,7 @@ app.get('/admin/messages', async (req, res) => {
       baseQuery += ' AND from_msisdn = (SELECT msisdn FROM lifts WHERE id = $1)';
       params.push(lift_id);
     }
+    baseQuery += tenantCondition(req, 'org_id', params);
     
     const result = await paginateQuery(baseQuery, params, pagination);
     
@@ -656,7 +560,7 @@ module.exports = app;
 
 // -------- super-permissive portal test endpoint --------
 // Accept anything, record it, always return 200.
-app.all("/sms/portal", express.raw({ type: "*/*" }), (req, res) => {
+app.all("/sms/portal", captureInbound("/sms/portal"), express.raw({ type: "*/*" }), (req, res) => {
   try {
     const raw = toStr(req.body) || "";
     let b = {};
@@ -692,9 +596,19 @@ app.all("/sms/portal", express.raw({ type: "*/*" }), (req, res) => {
 if (typeof global.LAST_INBOUND === "undefined") global.LAST_INBOUND = null;
 
 // --- latest inbound reader (always available) ---
-app.get("/api/inbound/latest", (_req, res) => {
-  if (!global.LAST_INBOUND) return res.status(404).json({ error: "no_inbound_yet" });
-  res.json(global.LAST_INBOUND);
+// Falls back to the capture store so the latest payload survives restarts
+app.get("/api/inbound/latest", async (_req, res) => {
+  if (global.LAST_INBOUND) return res.json(global.LAST_INBOUND);
+  try {
+    const capture = await getLatestCapture("/sms/portal");
+    if (!capture) return res.status(404).json({ error: "no_inbound_yet" });
+    let raw = capture.body_raw;
+    try { raw = JSON.parse(capture.body_raw); } catch { /* keep raw text */ }
+    res.json({ id: capture.id, from: capture.msisdn, received_at: capture.ts, capture_id: capture.id, raw });
+  } catch (e) {
+    console.error("[inbound/latest] capture lookup failed", e.message);
+    res.status(404).json({ error: "no_inbound_yet" });
+  }
 });
 
 // Error handling middleware (must be last)
@@ -718,6 +632,14 @@ async function start() {
       console.error(JSON.stringify({ level: 'error', msg: 'retry_start_throw', error: e?.message, stack: e?.stack }));
     }
 
+    if (process.env.ESCALATION_ENABLED !== 'false') {
+      try {
+        startEscalationWorker();
+      } catch (e) {
+        console.error(JSON.stringify({ level: 'error', msg: 'escalation_start_throw', error: e?.message, stack: e?.stack }));
+      }
+    }
+
     const server = app.listen(PORT, HOST, () => {
       console.log(JSON.stringify({ level: 'info', msg: 'server_listening', port: PORT, host: HOST }));
     });
@@ -1,9 +1,10 @@
 // Simple validation utilities for admin endpoints
 
-function createValidationError(message) {
+function createValidationError(message, field) {
   const error = new Error(message);
   error.status = 400;
   error.code = 'VALIDATION_ERROR';
+  if (field) error.field = field;
   return error;
 }
 
@@ -71,6 +72,18 @@ function requireEnum(obj, key, allowedValues) {
   return str;
 }
 
+// Validate only the fields present in a body (PATCH semantics): absent keys are left out of the
+// result so they are not overwritten; null or "" clears an optional field
+// spec: { field: { required?, max?, pattern? } }
+function pickFields(obj, spec) {
+  const fields = {};
+  for (const [key, options] of Object.entries(spec)) {
+    if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+    fields[key] = options.required ? requireString(obj, key, options) : optionalString(obj, key, options);
+  }
+  return fields;
+}
+
 // Common patterns
 const patterns = {
   msisdn: /^[0-9]{10,15}$/,  // 10-15 digits
@@ -82,6 +95,7 @@ module.exports = {
   requireString,
   optionalString,
   requireEnum,
+  pickFields,
   patterns,
   createValidationError
 };